@@ -0,0 +1,276 @@
+/**
+ * Dwolla Client
+ *
+ * Holds the Dwolla credentials and OAuth token in memory and makes
+ * authenticated requests, refreshing the token when it expires. Every
+ * route module talks to Dwolla through dwollaRequest and the list helpers.
+ *
+ * Credentials are set with POST /api/config and never written to storage.
+ */
+
+/**
+ * Storage for Dwolla configuration and tokens
+ * Kept in memory only - credentials and tokens are never written to disk
+ * - key: Dwolla API Key
+ * - secret: Dwolla API Secret
+ * - accessToken: Current OAuth access token
+ * - expiresIn: Token lifetime in seconds
+ * - tokenCreatedAt: Timestamp when token was created
+ * - webhookSecret: Secret used to sign webhook payloads (from the webhook subscription)
+ */
+const dwollaConfig = {
+  key: null,
+  secret: null,
+  accessToken: null,
+  expiresIn: null,
+  tokenCreatedAt: null,
+  webhookSecret: process.env.DWOLLA_WEBHOOK_SECRET || null
+};
+
+/**
+ * Dwolla environment the client talks to, set with DWOLLA_ENVIRONMENT
+ * - sandbox (default): Dwolla's sandbox API
+ * - mock: an in-process fake Dwolla (see ./mock), no network or keys needed
+ * Some actions (like suspending a customer) only exist in these two.
+ */
+const DWOLLA_ENVIRONMENT = process.env.DWOLLA_ENVIRONMENT || 'sandbox';
+
+/**
+ * Environments the client can talk to
+ * Both support sandbox-only actions, so routes don't need to check.
+ */
+const SANDBOX_ENVIRONMENTS = ['sandbox', 'mock'];
+
+if (!SANDBOX_ENVIRONMENTS.includes(DWOLLA_ENVIRONMENT)) {
+  throw new Error(`Unknown DWOLLA_ENVIRONMENT "${DWOLLA_ENVIRONMENT}". Use "sandbox" or "mock".`);
+}
+
+/**
+ * Dwolla SDK client instance
+ */
+let dwollaClient = null;
+
+/**
+ * Optional factory that replaces the Dwolla client, e.g. a stub in tests
+ * Set with setDwollaClientFactory before POST /api/config.
+ */
+let dwollaClientFactory = null;
+
+// ============================================================================
+// DWOLLA SDK & TOKEN MANAGEMENT
+// ============================================================================
+
+/**
+ * Initialize the Dwolla client with provided credentials
+ * Uses sandbox environment for learning purposes, or the in-process
+ * mock when DWOLLA_ENVIRONMENT=mock
+ */
+function initializeDwollaClient(key, secret) {
+  if (dwollaClientFactory) {
+    dwollaClient = dwollaClientFactory({ key, secret });
+
+    console.log('[Dwolla] Client initialized from custom factory');
+    return;
+  }
+
+  if (DWOLLA_ENVIRONMENT === 'mock') {
+    const { createMockDwollaClient } = require('../mock');
+    dwollaClient = createMockDwollaClient({ key, secret });
+
+    console.log('[Dwolla] Client initialized for mock environment');
+    return;
+  }
+
+  const Client = require('dwolla-v2').Client;
+
+  // Initialize Dwolla client for SANDBOX environment
+  // In production, you would use 'production' instead of 'sandbox'
+  dwollaClient = new Client({
+    key: key,
+    secret: secret,
+    environment: DWOLLA_ENVIRONMENT
+  });
+
+  console.log(`[Dwolla] Client initialized for ${DWOLLA_ENVIRONMENT} environment`);
+}
+
+/**
+ * Replace how the Dwolla client is created
+ * Used by the test suite to run the routes against a stubbed Dwolla API.
+ *
+ * @param {Function|null} factory - ({ key, secret }) => client with the dwolla-v2 interface
+ */
+function setDwollaClientFactory(factory) {
+  dwollaClientFactory = factory;
+}
+
+/**
+ * Get a valid access token, refreshing if expired
+ *
+ * Dwolla OAuth tokens expire after a set time (usually 1 hour).
+ * This function checks if the current token is still valid,
+ * and requests a new one if it's expired.
+ *
+ * @returns {Promise<string>} Valid access token
+ */
+async function getValidAccessToken() {
+  if (!dwollaConfig.key || !dwollaConfig.secret) {
+    throw new Error('Dwolla credentials not configured. Please set up API key and secret.');
+  }
+
+  // Check if we have a valid token that hasn't expired
+  // We subtract 60 seconds as a buffer to ensure the token doesn't expire mid-request
+  const now = Date.now();
+  const tokenAge = (now - dwollaConfig.tokenCreatedAt) / 1000; // Convert to seconds
+  const isExpired = !dwollaConfig.accessToken || tokenAge >= (dwollaConfig.expiresIn - 60);
+
+  if (isExpired) {
+    console.log('[Dwolla] Token expired or missing, requesting new token...');
+
+    // Request new OAuth token using client credentials grant
+    // This is the standard way to authenticate with Dwolla's API
+    try {
+      const response = await dwollaClient.auth.client();
+
+      dwollaConfig.accessToken = response.access_token;
+      dwollaConfig.expiresIn = response.expires_in;
+      dwollaConfig.tokenCreatedAt = Date.now();
+
+      console.log('[Dwolla] New token obtained, expires in:', response.expires_in, 'seconds');
+    } catch (error) {
+      console.error('[Dwolla] Token request failed:', error.message);
+      throw new Error('Failed to obtain Dwolla access token. Check your API credentials.');
+    }
+  }
+
+  return dwollaConfig.accessToken;
+}
+
+/**
+ * Make an authenticated request to the Dwolla API
+ * Automatically handles token refresh before each request
+ *
+ * @param {string} method - HTTP method (get, post, delete)
+ * @param {string} url - Dwolla API endpoint URL
+ * @param {object} body - Request body (for POST requests)
+ * @param {object} headers - Extra request headers (e.g. Idempotency-Key)
+ * @returns {Promise<object>} API response
+ */
+async function dwollaRequest(method, url, body = null, headers = {}) {
+  // Ensure we have a valid token before making the request
+  await getValidAccessToken();
+
+  try {
+    let response;
+
+    if (method === 'get') {
+      // GET request - fetching data from Dwolla
+      response = await dwollaClient.get(url, undefined, headers);
+    } else if (method === 'post') {
+      // POST request - creating resources in Dwolla
+      response = await dwollaClient.post(url, body, headers);
+    } else if (method === 'delete') {
+      // DELETE request - removing resources from Dwolla
+      response = await dwollaClient.delete(url, undefined, headers);
+    }
+
+    return response;
+  } catch (error) {
+    console.error(`[Dwolla] API ${method.toUpperCase()} ${url} failed:`, error.message);
+    throw error;
+  }
+}
+
+// ============================================================================
+// LIST HELPERS
+// ============================================================================
+
+/**
+ * Largest page size Dwolla accepts on list endpoints
+ */
+const DWOLLA_MAX_PAGE_SIZE = 200;
+
+/**
+ * Fetch every item of a Dwolla list resource
+ *
+ * Dwolla list endpoints return at most 200 items per page and link to the
+ * following page with _links.next, so we keep following it until it's gone.
+ *
+ * @param {string} url - List URL (e.g. 'customers')
+ * @param {string} embeddedKey - Key of the items in _embedded (e.g. 'customers')
+ * @returns {Promise<object[]>} All items across every page
+ */
+async function dwollaListAll(url, embeddedKey) {
+  const items = [];
+  const separator = url.includes('?') ? '&' : '?';
+  let nextUrl = `${url}${separator}limit=${DWOLLA_MAX_PAGE_SIZE}`;
+
+  while (nextUrl) {
+    const response = await dwollaRequest('get', nextUrl);
+    items.push(...(response.body._embedded?.[embeddedKey] || []));
+    nextUrl = response.body._links?.next?.href || null;
+  }
+
+  return items;
+}
+
+/**
+ * Fetch a single page of a Dwolla list resource
+ *
+ * @param {string} url - List URL (e.g. 'customers')
+ * @param {string} embeddedKey - Key of the items in _embedded
+ * @param {object} page - { limit, offset }
+ * @returns {Promise<{items: object[], total: number}>} Page items and the total count
+ */
+async function dwollaListPage(url, embeddedKey, { limit, offset }) {
+  const separator = url.includes('?') ? '&' : '?';
+  const response = await dwollaRequest('get', `${url}${separator}limit=${limit}&offset=${offset}`);
+  const items = response.body._embedded?.[embeddedKey] || [];
+
+  return {
+    items,
+    total: response.body.total ?? items.length
+  };
+}
+
+/**
+ * How many Dwolla requests a bulk lookup sends at once
+ * Keeps syncs of large accounts under Dwolla's rate limit.
+ */
+const DWOLLA_MAX_CONCURRENT_REQUESTS = 5;
+
+/**
+ * Run an async Dwolla lookup for every item, a few at a time
+ *
+ * @param {Array} items - Items to look up
+ * @param {Function} lookup - async (item, index) => result
+ * @returns {Promise<Array>} Results in the same order as items
+ */
+async function dwollaMapLimited(items, lookup) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await lookup(items[index], index);
+    }
+  };
+
+  const workerCount = Math.min(DWOLLA_MAX_CONCURRENT_REQUESTS, items.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+module.exports = {
+  dwollaConfig,
+  DWOLLA_ENVIRONMENT,
+  DWOLLA_MAX_PAGE_SIZE,
+  initializeDwollaClient,
+  setDwollaClientFactory,
+  getValidAccessToken,
+  dwollaRequest,
+  dwollaListAll,
+  dwollaListPage,
+  dwollaMapLimited
+};
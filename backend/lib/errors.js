@@ -0,0 +1,172 @@
+/**
+ * Errors
+ *
+ * Route handlers pass failures to next() as an ApiError. The error
+ * middleware mounted last in server.js turns them into the one error body
+ * every endpoint returns:
+ *
+ *   { error: { code: 'ValidationError', message: 'Message', fields: [{ path, code, message }] } }
+ *
+ * When the ApiError was caused by a Dwolla error, the HTTP status, code
+ * and fields are Dwolla's own, so clients can tell which field was
+ * rejected and why. Validation done locally passes its own fields in the
+ * same shape (see fieldError).
+ */
+
+// Code used when there's no Dwolla error to take one from
+const DEFAULT_ERROR_CODES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  409: 'Conflict',
+  422: 'UnprocessableEntity',
+  429: 'TooManyRequests',
+  500: 'ServerError',
+  502: 'BadGateway'
+};
+
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status to respond with, unless the cause is a Dwolla error
+   * @param {string} message - Message shown to the user
+   * @param {object} options
+   * @param {Error} options.cause - Error this came from; Dwolla errors supply status, code and fields
+   * @param {object} options.details - Extra properties for the response body (e.g. itemErrors)
+   * @param {object[]} options.fields - Field errors found locally (see fieldError); the code becomes ValidationError
+   */
+  constructor(status, message, { cause, details, fields } = {}) {
+    super(message, { cause });
+    this.name = 'ApiError';
+    this.status = upstreamStatus(cause) || status;
+
+    const dwollaError = parseDwollaError(cause);
+    const localCode = fields?.length ? 'ValidationError' : DEFAULT_ERROR_CODES[this.status];
+    this.code = dwollaError?.code || localCode || 'Error';
+    this.fields = dwollaError?.fields || fields || [];
+    this.details = details || {};
+  }
+}
+
+/**
+ * Build a field error the way Dwolla reports one
+ *
+ * @param {string} path - JSON pointer to the field (e.g. '/email', '/controller/ssn')
+ * @param {string} code - Dwolla-style code: 'Required', 'Invalid' or 'Duplicate'
+ * @param {string} message - Message shown next to the field
+ * @returns {{path: string, code: string, message: string}}
+ */
+function fieldError(path, code, message) {
+  return { path, code, message };
+}
+
+/**
+ * Field errors for required fields that are missing
+ *
+ * @param {string[]} names - Missing field names
+ * @param {string} prefix - Path of the object holding them (e.g. '/address')
+ */
+function requiredFieldErrors(names, prefix = '') {
+  return names.map(name => fieldError(`${prefix}/${name}`, 'Required', `${name} is required`));
+}
+
+/**
+ * Read the code, message and field errors out of a Dwolla error response
+ *
+ * Dwolla returns { code, message, _embedded: { errors: [{ code, message, path }] } },
+ * with _embedded only present for validation errors.
+ *
+ * @param {Error} error - Error thrown by the Dwolla client
+ * @returns {object|null} { code, message, fields }, or null if it isn't a Dwolla error
+ */
+function parseDwollaError(error) {
+  const body = error?.body;
+  if (!body || typeof body !== 'object') {
+    return null;
+  }
+
+  return {
+    code: body.code || null,
+    message: body.message || null,
+    fields: (body._embedded?.errors || []).map(e => ({
+      path: e.path || null,
+      code: e.code || null,
+      message: e.message
+    }))
+  };
+}
+
+/**
+ * HTTP status to respond with for a Dwolla error
+ *
+ * Client errors keep Dwolla's status (400, 403, 404, 409, 429...). Dwolla
+ * server errors become 502, since the problem is upstream, not with the
+ * request.
+ *
+ * @param {Error} error - Error thrown by the Dwolla client
+ * @returns {number|null} Status, or null if it isn't a Dwolla error
+ */
+function upstreamStatus(error) {
+  if (!parseDwollaError(error) || typeof error.status !== 'number' || error.status < 400) {
+    return null;
+  }
+  return error.status >= 500 ? 502 : error.status;
+}
+
+/**
+ * Turn a Dwolla error into a message for the user
+ * Field errors are joined, since they say more than the top-level message.
+ * Dwolla's field messages usually end with a period already, so they are
+ * joined with a space and only the ones without one get a period added.
+ *
+ * @param {Error} error - Error thrown by the Dwolla client
+ * @param {string} fallback - Message to use when Dwolla didn't give one
+ * @param {Function} fieldMessage - Message for a field error ({ path, code, message }), e.g. a friendlier one
+ */
+function dwollaErrorMessage(error, fallback, fieldMessage = field => field.message) {
+  const dwollaError = parseDwollaError(error);
+  if (dwollaError?.fields.length) {
+    return dwollaError.fields
+      .map(fieldMessage)
+      .map(message => (/[.!?]$/.test(message) ? message : `${message}.`))
+      .join(' ');
+  }
+  return dwollaError?.message || fallback;
+}
+
+/**
+ * Express error middleware
+ * Anything that isn't an ApiError is logged and reported as a 500.
+ */
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  let apiError = err;
+  if (err.type === 'entity.parse.failed') {
+    // Malformed JSON rejected by body-parser
+    apiError = new ApiError(400, 'Request body is not valid JSON');
+  } else if (!(err instanceof ApiError)) {
+    console.error('[Server] Unhandled error:', err.message);
+    apiError = new ApiError(500, 'Internal server error', { cause: err });
+  }
+
+  res.status(apiError.status).json({
+    error: {
+      code: apiError.code,
+      message: apiError.message,
+      fields: apiError.fields,
+      ...apiError.details
+    }
+  });
+}
+
+module.exports = {
+  ApiError,
+  fieldError,
+  requiredFieldErrors,
+  parseDwollaError,
+  dwollaErrorMessage,
+  errorHandler
+};
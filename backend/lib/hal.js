@@ -0,0 +1,168 @@
+/**
+ * Dwolla Resource Mappers
+ *
+ * Turn Dwolla's HAL resources into the flat objects this API returns and
+ * stores. Every route maps a resource type with the same function here, so
+ * a customer or funding source has the same shape wherever it appears.
+ */
+
+/**
+ * Get the ID at the end of a Dwolla resource URL
+ * URL format: https://api-sandbox.dwolla.com/customers/{id}
+ *
+ * @param {string|null|undefined} url - Resource URL
+ * @returns {string|null} The ID, or null without a URL
+ */
+function idFromUrl(url) {
+  return url ? url.split('/').pop() : null;
+}
+
+/**
+ * Map a Dwolla customer to our response format
+ * Also what is kept in storage.customers for duplicate checks and lookups.
+ */
+function mapCustomer(customer) {
+  const customerUrl = customer._links.self.href;
+
+  return {
+    id: idFromUrl(customerUrl),
+    url: customerUrl,
+    firstName: customer.firstName,
+    lastName: customer.lastName,
+    email: customer.email,
+    phone: customer.phone || null,
+    type: customer.type || 'personal',
+    businessName: customer.businessName || null,
+    status: customer.status, // unverified, verified, document, retry, suspended, deactivated
+    createdAt: customer.created
+  };
+}
+
+/**
+ * Map a Dwolla funding source to our response format
+ * Also what is kept in storage.fundingSources, with microDeposits
+ * tracking the verification progress (pending, completed, failed, maxattempts)
+ * and verificationMethod recording how it was verified (micro-deposits, iav,
+ * simulated-iav, or null while unverified or when added with account numbers).
+ *
+ * customerId is null for the master account's funding sources.
+ */
+function mapFundingSource(fs) {
+  const fundingSourceUrl = fs._links.self.href;
+
+  return {
+    id: idFromUrl(fundingSourceUrl),
+    url: fundingSourceUrl,
+    customerId: idFromUrl(fs._links.customer?.href),
+    name: fs.name,
+    type: fs.type,
+    bankAccountType: fs.bankAccountType,
+    status: fs.status, // verified, unverified
+    bankName: fs.bankName,
+    removed: Boolean(fs.removed),
+    created: fs.created
+  };
+}
+
+/**
+ * Map a Dwolla beneficial owner to our response format
+ */
+function mapBeneficialOwner(owner, customerId) {
+  const ownerUrl = owner._links.self.href;
+
+  return {
+    id: idFromUrl(ownerUrl),
+    url: ownerUrl,
+    customerId,
+    firstName: owner.firstName,
+    lastName: owner.lastName,
+    verificationStatus: owner.verificationStatus, // verified, document, incomplete
+    created: owner.created
+  };
+}
+
+/**
+ * Map a Dwolla document to our response format
+ */
+function mapDocument(document, customerId) {
+  const documentUrl = document._links.self.href;
+
+  return {
+    id: idFromUrl(documentUrl),
+    url: documentUrl,
+    customerId,
+    type: document.type,
+    status: document.status, // pending, reviewed
+    failureReason: document.failureReason || null,
+    allFailureReasons: document.allFailureReasons || [],
+    created: document.created
+  };
+}
+
+/**
+ * Map a Dwolla mass payment to our response format
+ */
+function mapMassPayment(massPayment) {
+  const massPaymentUrl = massPayment._links.self.href;
+
+  return {
+    id: idFromUrl(massPaymentUrl),
+    url: massPaymentUrl,
+    status: massPayment.status, // deferred, pending, processing, complete, cancelled
+    total: massPayment.total || null,
+    totalFees: massPayment.totalFees || null,
+    created: massPayment.created,
+    sourceFundingSourceUrl: massPayment._links.source?.href || null,
+    metadata: massPayment.metadata || null,
+    correlationId: massPayment.correlationId || null
+  };
+}
+
+/**
+ * Map a Dwolla mass payment item to our response format
+ */
+function mapMassPaymentItem(item) {
+  const itemUrl = item._links.self.href;
+
+  return {
+    id: idFromUrl(itemUrl),
+    url: itemUrl,
+    status: item.status, // pending, success, failed
+    amount: item.amount,
+    destinationFundingSourceUrl: item._links.destination?.href || null,
+    transferUrl: item._links.transfer?.href || null,
+    metadata: item.metadata || null,
+    correlationId: item.correlationId || null,
+    errors: (item._embedded?.errors || []).map(e => e.message)
+  };
+}
+
+/**
+ * Map a Dwolla webhook subscription to our response format
+ *
+ * @param {object} subscription - Dwolla webhook subscription resource
+ * @param {boolean} hasLocalSecret - Whether we stored this subscription's secret
+ */
+function mapWebhookSubscription(subscription, hasLocalSecret) {
+  const subscriptionUrl = subscription._links.self.href;
+
+  return {
+    id: idFromUrl(subscriptionUrl),
+    url: subscriptionUrl,
+    webhookUrl: subscription.url,
+    paused: subscription.paused,
+    created: subscription.created,
+    hasLocalSecret
+  };
+}
+
+module.exports = {
+  idFromUrl,
+  mapCustomer,
+  mapFundingSource,
+  mapBeneficialOwner,
+  mapDocument,
+  mapMassPayment,
+  mapMassPaymentItem,
+  mapWebhookSubscription
+};
@@ -0,0 +1,153 @@
+/**
+ * Idempotency
+ *
+ * Middleware that makes create endpoints safe to retry: repeats of a
+ * request are answered with the first response instead of creating the
+ * resource twice. Cached responses are kept in storage.idempotencyKeys.
+ */
+
+const crypto = require('crypto');
+const storage = require('./store');
+const { ApiError } = require('./errors');
+
+/**
+ * How long a cached response is replayed for an Idempotency-Key
+ * Matches how long Dwolla itself honors an Idempotency-Key (24 hours)
+ */
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * How long a response is replayed for a request sent without a key
+ * Long enough to catch a double-click or a quick retry, short enough that
+ * a second identical payout made on purpose isn't swallowed.
+ */
+const DERIVED_KEY_TTL_MS = 60 * 1000;
+
+/**
+ * Maximum number of cached responses kept
+ * Expired ones are pruned on every write; this caps a burst within a day.
+ */
+const MAX_CACHED_RESPONSES = 1000;
+
+/**
+ * Idempotency keys whose request is still being processed
+ */
+const inFlightIdempotencyKeys = new Set();
+
+/**
+ * Serialize a value with object keys sorted, so key order doesn't change the hash
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash a request body so repeated requests can be recognized
+ */
+function hashRequestBody(body) {
+  const { idempotencyKey, ...rest } = body || {};
+  return crypto.createHash('sha256').update(stableStringify(rest)).digest('hex');
+}
+
+/**
+ * Cache a response, pruning expired ones so old response bodies
+ * (names, emails, addresses) aren't kept forever
+ */
+async function cacheResponse({ ttl, ...response }) {
+  const now = Date.now();
+  await storage.idempotencyKeys.removeWhere(cached => !(now < cached.expiresAt));
+  await storage.idempotencyKeys.add(
+    { ...response, createdAt: now, expiresAt: now + ttl },
+    { maxSize: MAX_CACHED_RESPONSES }
+  );
+}
+
+/**
+ * Express middleware that makes a create endpoint idempotent
+ *
+ * The key comes from the Idempotency-Key header (or an `idempotencyKey`
+ * body field). Without one, an identical body sent again within
+ * DERIVED_KEY_TTL_MS is treated as a repeat, so a double-click is caught
+ * even when the client sends no key. Those responses carry an
+ * Idempotency-Key-Derived header. Only a client key deduplicates for the
+ * full 24 hours.
+ *
+ * - The key is exposed as req.idempotencyKey and should be forwarded to Dwolla
+ * - A successful (201) response is cached and replayed for repeats of the key
+ * - A repeat while the first request is still running gets 409, even if the
+ *   first client has disconnected - the handler may still create the resource
+ * - Reusing a client key with a different body gets 422
+ *
+ * @param {string} scope - Keys are only compared within the same scope (e.g. 'transfers')
+ */
+function idempotent(scope) {
+  return async (req, res, next) => {
+    try {
+      const requestHash = hashRequestBody(req.body);
+      const clientKey = req.get('Idempotency-Key') || req.body?.idempotencyKey;
+      const cacheId = clientKey ? `${scope}:${clientKey}` : `${scope}:derived:${requestHash}`;
+      const ttl = clientKey ? IDEMPOTENCY_TTL_MS : DERIVED_KEY_TTL_MS;
+
+      // Dwolla honors a key for 24 hours, so a derived key sent to Dwolla is
+      // unique per request - otherwise Dwolla would swallow the repeat instead
+      const idempotencyKey = clientKey || `${scope}-${requestHash.slice(0, 24)}-${Date.now()}`;
+      if (!clientKey) {
+        res.set('Idempotency-Key-Derived', `window=${DERIVED_KEY_TTL_MS / 1000}s`);
+      }
+
+      const cached = await storage.idempotencyKeys.findById(cacheId);
+      if (cached && Date.now() < cached.expiresAt) {
+        if (cached.requestHash !== requestHash) {
+          return next(new ApiError(422, 'This Idempotency-Key was already used for a different request'));
+        }
+
+        console.log('[Idempotency] Replaying response for:', cacheId);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(cached.statusCode).json(cached.body);
+      }
+      if (cached) {
+        await storage.idempotencyKeys.remove(cacheId);
+      }
+
+      if (inFlightIdempotencyKeys.has(cacheId)) {
+        return next(new ApiError(409, 'A request with this Idempotency-Key is already in progress'));
+      }
+
+      // Released once the handler has answered, not when the client goes away:
+      // 'close' fires on a disconnect while the handler is still running
+      inFlightIdempotencyKeys.add(cacheId);
+      res.on('finish', () => inFlightIdempotencyKeys.delete(cacheId));
+
+      // Cache the response body once the handler sends a successful result
+      const sendJson = res.json.bind(res);
+      res.json = (body) => {
+        if (res.statusCode === 201) {
+          cacheResponse({ id: cacheId, requestHash, statusCode: res.statusCode, body, ttl })
+            .catch(error => console.error('[Idempotency] Failed to cache response:', error.message))
+            .finally(() => inFlightIdempotencyKeys.delete(cacheId));
+        } else {
+          inFlightIdempotencyKeys.delete(cacheId);
+        }
+        return sendJson(body);
+      };
+
+      req.idempotencyKey = idempotencyKey;
+      next();
+    } catch (error) {
+      console.error('[Idempotency] Error checking Idempotency-Key:', error.message);
+      next(new ApiError(500, 'Failed to check Idempotency-Key', { cause: error }));
+    }
+  };
+}
+
+module.exports = {
+  idempotent
+};
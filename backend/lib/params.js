@@ -0,0 +1,33 @@
+/**
+ * Route Parameter Validation
+ *
+ * Dwolla resource IDs are UUIDs. Checking them up front gives a clear 400
+ * for malformed IDs instead of a Dwolla lookup that can only fail.
+ */
+
+const { ApiError } = require('./errors');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Build a router.param callback that only lets UUIDs through
+ *
+ * A router whose :id belongs to different resources passes labels keyed
+ * by the path's first segment, e.g. { customers: 'customer',
+ * 'funding-sources': 'funding source' }.
+ *
+ * @param {string|object} label - Resource name for the error (e.g. 'customer')
+ */
+function uuidParam(label) {
+  return (req, res, next, value) => {
+    if (!UUID_PATTERN.test(value)) {
+      const resource = typeof label === 'string' ? label : label[req.path.split('/')[1]] || 'resource';
+      return next(new ApiError(400, `Invalid ${resource} ID`));
+    }
+    next();
+  };
+}
+
+module.exports = {
+  uuidParam
+};
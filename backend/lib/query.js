@@ -0,0 +1,132 @@
+/**
+ * Query String Helpers
+ *
+ * Read and validate pagination and filter parameters, and pass filters
+ * on to Dwolla list URLs.
+ */
+
+const { DWOLLA_MAX_PAGE_SIZE } = require('./dwolla');
+
+/**
+ * Read limit/offset query parameters
+ *
+ * Without a limit, the caller should return everything (a full sync).
+ *
+ * @param {object} query - req.query
+ * @returns {{limit: number|null, offset: number, error: string|null}}
+ */
+function parsePagination(query) {
+  const limit = query.limit !== undefined ? Number(query.limit) : null;
+  const offset = query.offset !== undefined ? Number(query.offset) : 0;
+
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > DWOLLA_MAX_PAGE_SIZE)) {
+    return { limit, offset, error: `limit must be a whole number between 1 and ${DWOLLA_MAX_PAGE_SIZE}` };
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { limit, offset, error: 'offset must be a whole number of 0 or more' };
+  }
+
+  return { limit, offset, error: null };
+}
+
+/**
+ * Customer statuses Dwolla accepts as a filter
+ */
+const CUSTOMER_STATUSES = ['unverified', 'retry', 'document', 'verified', 'suspended', 'deactivated'];
+
+/**
+ * Transfer statuses Dwolla accepts as a filter
+ */
+const TRANSFER_STATUSES = ['pending', 'processed', 'cancelled', 'failed'];
+
+/**
+ * Read customer filters from the query string
+ *
+ * - search: Matches against name, business name and email
+ * - status: One of CUSTOMER_STATUSES
+ *
+ * @param {object} query - req.query
+ * @returns {{filters: object, error: string|null}}
+ */
+function parseCustomerFilters(query) {
+  const filters = {};
+
+  if (query.search) filters.search = query.search;
+
+  if (query.status) {
+    if (!CUSTOMER_STATUSES.includes(query.status)) {
+      return { filters, error: `status must be one of: ${CUSTOMER_STATUSES.join(', ')}` };
+    }
+    filters.status = query.status;
+  }
+
+  return { filters, error: null };
+}
+
+/**
+ * Read transfer filters from the query string
+ *
+ * - search: Matches against name, business name and email of either party
+ * - startAmount / endAmount: Amount range (inclusive)
+ * - startDate / endDate: Created date range, YYYY-MM-DD
+ * - status: One of TRANSFER_STATUSES
+ * - correlationId: Exact correlation ID given when the transfer was created
+ *
+ * @param {object} query - req.query
+ * @returns {{filters: object, error: string|null}}
+ */
+function parseTransferFilters(query) {
+  const filters = {};
+
+  if (query.search) filters.search = query.search;
+  if (query.correlationId) filters.correlationId = query.correlationId;
+
+  for (const key of ['startAmount', 'endAmount']) {
+    if (query[key] !== undefined && query[key] !== '') {
+      const amount = Number(query[key]);
+      if (!Number.isFinite(amount) || amount < 0) {
+        return { filters, error: `${key} must be a positive number` };
+      }
+      filters[key] = query[key];
+    }
+  }
+
+  for (const key of ['startDate', 'endDate']) {
+    if (query[key]) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(query[key]) || isNaN(Date.parse(query[key]))) {
+        return { filters, error: `${key} must be a date in YYYY-MM-DD format` };
+      }
+      filters[key] = query[key];
+    }
+  }
+
+  if (query.status) {
+    if (!TRANSFER_STATUSES.includes(query.status)) {
+      return { filters, error: `status must be one of: ${TRANSFER_STATUSES.join(', ')}` };
+    }
+    filters.status = query.status;
+  }
+
+  return { filters, error: null };
+}
+
+/**
+ * Append filters to a Dwolla list URL
+ *
+ * @param {string} url - List URL (e.g. 'customers')
+ * @param {object} filters - Query parameters to pass through
+ * @returns {string} URL with the filters as a query string
+ */
+function withFilters(url, filters) {
+  const queryString = new URLSearchParams(filters).toString();
+  return queryString ? `${url}?${queryString}` : url;
+}
+
+module.exports = {
+  CUSTOMER_STATUSES,
+  TRANSFER_STATUSES,
+  parsePagination,
+  parseCustomerFilters,
+  parseTransferFilters,
+  withFilters
+};
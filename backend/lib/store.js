@@ -0,0 +1,16 @@
+/**
+ * Shared Storage
+ *
+ * The one storage instance used by every route module, so they all read
+ * and write the same repositories. See ../storage for the drivers.
+ */
+
+const { createStorage } = require('../storage');
+
+/**
+ * Repositories for customers, transfers, webhooks and webhook subscriptions
+ * In memory by default, or saved to a file with STORAGE_DRIVER=file
+ */
+const storage = createStorage();
+
+module.exports = storage;
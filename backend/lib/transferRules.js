@@ -0,0 +1,229 @@
+/**
+ * Transfer Rules
+ *
+ * Which customers may send and receive funds, and to which of their
+ * funding sources. Shared by transfers, mass payments, payroll plans and
+ * the eligible customers list, so they all apply the same rules.
+ */
+
+const { dwollaRequest } = require('./dwolla');
+
+/**
+ * What a customer may do in a transfer, based on its Dwolla type and status
+ *
+ * - personal / business (verified): send and receive once status is verified;
+ *   unverified funding sources can receive only when explicitly allowed
+ * - unverified: send and receive (with limits), verified funding sources only,
+ *   and only with the master account or a verified customer on the other side
+ * - receive-only: receive only; its bank accounts are never verified, so
+ *   unverified funding sources are always payable
+ * - suspended / deactivated customers can do neither
+ *
+ * @param {object} customer - Dwolla customer (type and status)
+ * @returns {{canSend: boolean, canReceive: boolean, unverifiedDestinations: string, verified: boolean, reason: string|null}}
+ *   unverifiedDestinations is 'always', 'optIn' (allowUnverified / includeUnverified) or 'never'
+ */
+function getCustomerTransferRules(customer) {
+  const none = reason => ({ canSend: false, canReceive: false, unverifiedDestinations: 'never', verified: false, reason });
+
+  if (customer.status === 'suspended' || customer.status === 'deactivated') {
+    return none(`Customer is ${customer.status}`);
+  }
+
+  if (customer.type === 'receive-only') {
+    return {
+      canSend: false,
+      canReceive: true,
+      unverifiedDestinations: 'always',
+      verified: false,
+      reason: 'Receive-only customers cannot send funds'
+    };
+  }
+
+  if (customer.type === 'unverified') {
+    return { canSend: true, canReceive: true, unverifiedDestinations: 'never', verified: false, reason: null };
+  }
+
+  if (customer.status !== 'verified') {
+    return none(`Customer verification is not complete (status: ${customer.status})`);
+  }
+
+  return { canSend: true, canReceive: true, unverifiedDestinations: 'optIn', verified: true, reason: null };
+}
+
+/**
+ * Get the funding sources a customer can be paid to
+ *
+ * Whether unverified funding sources count depends on the customer type
+ * (see getCustomerTransferRules); includeUnverified is the opt-in used for
+ * verified customers.
+ *
+ * @param {object} customer - Dwolla customer
+ * @param {boolean} includeUnverified - Include unverified funding sources of verified customers
+ * @returns {Promise<object[]>} Non-removed Dwolla funding sources, empty if the customer can't receive
+ */
+async function getPayableFundingSources(customer, includeUnverified) {
+  const rules = getCustomerTransferRules(customer);
+  if (!rules.canReceive) {
+    return [];
+  }
+
+  const fsResponse = await dwollaRequest('get', `${customer._links.self.href}/funding-sources`);
+  const allSources = fsResponse.body._embedded['funding-sources']
+    .filter(fs => !fs.removed);
+
+  // Filter funding sources based on the customer type and includeUnverified flag
+  if (rules.unverifiedDestinations === 'always' || (rules.unverifiedDestinations === 'optIn' && includeUnverified)) {
+    // Include all non-removed funding sources (both verified and unverified)
+    return allSources;
+  }
+
+  // Only include verified funding sources
+  return allSources.filter(fs => fs.status === 'verified');
+}
+
+/**
+ * Fetch the customer that owns a funding source
+ *
+ * @param {object} fundingSource - Dwolla funding source
+ * @returns {Promise<object|null>} Dwolla customer, or null for master account funding sources
+ */
+async function getFundingSourceOwner(fundingSource) {
+  const customerUrl = fundingSource._links?.customer?.href;
+  if (!customerUrl) {
+    return null;
+  }
+
+  const customerResponse = await dwollaRequest('get', customerUrl);
+  return customerResponse.body;
+}
+
+/**
+ * Check that a funding source can send money
+ * The source funding source must always be verified, and the customer who
+ * owns it (if any) must be allowed to send - receive-only customers can't
+ *
+ * @param {string} sourceFundingSourceUrl - Funding source URL
+ * @returns {Promise<{error: string|null, owner: object|null}>} Error message (null if the
+ *   source is usable) and the Dwolla customer that owns it (null for the master account)
+ */
+async function checkSourceFundingSource(sourceFundingSourceUrl) {
+  let sourceFs;
+  try {
+    sourceFs = await dwollaRequest('get', sourceFundingSourceUrl);
+  } catch (err) {
+    return { error: 'Invalid source funding source', owner: null };
+  }
+
+  if (sourceFs.body.status !== 'verified') {
+    return {
+      error: 'Source funding source is not verified. Only verified funding sources can send transfers.',
+      owner: null
+    };
+  }
+
+  let owner;
+  try {
+    owner = await getFundingSourceOwner(sourceFs.body);
+  } catch (err) {
+    return { error: 'Could not check the customer who owns the source funding source.', owner: null };
+  }
+
+  if (owner) {
+    const rules = getCustomerTransferRules(owner);
+    if (!rules.canSend) {
+      return { error: `Source customer cannot send funds. ${rules.reason}.`, owner };
+    }
+  }
+
+  return { error: null, owner };
+}
+
+/**
+ * Check that a funding source can receive money
+ *
+ * Verified funding sources can receive whenever the customer who owns them
+ * can. Unverified funding sources follow the owner's customer type (see
+ * getCustomerTransferRules): receive-only customers can always be paid to
+ * them, verified customers only when allowUnverified is set (per Dwolla
+ * documentation), and unverified customers never.
+ *
+ * @param {string} destinationFundingSourceUrl - Funding source URL
+ * @param {boolean} allowUnverified - Allow unverified funding sources of verified customers
+ * @returns {Promise<{error: string|null, owner: object|null}>} Error message (null if the
+ *   destination is usable) and the Dwolla customer that owns it (null for the master account)
+ */
+async function checkDestinationFundingSource(destinationFundingSourceUrl, allowUnverified) {
+  let destFs;
+  try {
+    destFs = await dwollaRequest('get', destinationFundingSourceUrl);
+  } catch (err) {
+    return { error: 'Invalid destination funding source', owner: null };
+  }
+
+  let owner;
+  try {
+    owner = await getFundingSourceOwner(destFs.body);
+  } catch (err) {
+    return { error: 'Could not verify the customer who owns the destination funding source.', owner: null };
+  }
+
+  if (!owner) {
+    return { error: null, owner: null };
+  }
+
+  const rules = getCustomerTransferRules(owner);
+  if (!rules.canReceive) {
+    return { error: `Destination customer cannot receive funds. ${rules.reason}.`, owner };
+  }
+
+  if (destFs.body.status === 'verified' || rules.unverifiedDestinations === 'always') {
+    return { error: null, owner };
+  }
+
+  if (rules.unverifiedDestinations === 'never') {
+    return {
+      error: 'Cannot send to unverified funding source - the customer who owns it is not verified.',
+      owner
+    };
+  }
+
+  if (!allowUnverified) {
+    return {
+      error: 'Destination funding source is not verified. Enable "Allow unverified" to send to unverified funding sources.',
+      owner
+    };
+  }
+
+  console.log('[Transfers] Allowing transfer to unverified funding source (customer is verified)');
+  return { error: null, owner };
+}
+
+/**
+ * Check that two customers may transfer to each other
+ * At least one side must be the master account or a verified customer.
+ *
+ * @param {object|null} sourceOwner - Customer that owns the source (null for the master account)
+ * @param {object|null} destinationOwner - Customer that owns the destination (null for the master account)
+ * @returns {string|null} Error message, or null if allowed
+ */
+function checkTransferParties(sourceOwner, destinationOwner) {
+  if (!sourceOwner || !destinationOwner) {
+    return null;
+  }
+
+  if (!getCustomerTransferRules(sourceOwner).verified && !getCustomerTransferRules(destinationOwner).verified) {
+    return 'Transfers between two unverified or receive-only customers are not allowed. One side must be the master account or a verified customer.';
+  }
+
+  return null;
+}
+
+module.exports = {
+  getCustomerTransferRules,
+  getPayableFundingSources,
+  getFundingSourceOwner,
+  checkSourceFundingSource,
+  checkDestinationFundingSource,
+  checkTransferParties
+};
@@ -0,0 +1,297 @@
+/**
+ * Transfers
+ *
+ * Create transfers and read back their details: fees, ACH addenda and,
+ * for failed transfers, the ACH return code explained. Used by the
+ * transfer routes, balance transfers and webhooks.
+ */
+
+const storage = require('./store');
+const { dwollaRequest } = require('./dwolla');
+const { idFromUrl } = require('./hal');
+const { parseDwollaError, dwollaErrorMessage } = require('./errors');
+
+/**
+ * Create a transfer in Dwolla and store it locally
+ * Funding sources and options must already be validated.
+ *
+ * @param {object} params
+ * @param {string} params.sourceFundingSourceUrl
+ * @param {string} params.destinationFundingSourceUrl
+ * @param {number|string} params.amount
+ * @param {string} params.currency
+ * @param {object} params.transferOptions - Fields from buildTransferOptions
+ * @param {string} params.idempotencyKey - Forwarded as Dwolla's Idempotency-Key
+ * @returns {Promise<object>} Stored transfer record
+ */
+async function createTransfer({ sourceFundingSourceUrl, destinationFundingSourceUrl, amount, currency, transferOptions = {}, idempotencyKey }) {
+  // Build transfer body
+  const transferBody = {
+    _links: {
+      source: { href: sourceFundingSourceUrl },
+      destination: { href: destinationFundingSourceUrl }
+    },
+    amount: {
+      currency,
+      value: amount.toString()
+    },
+    ...transferOptions
+  };
+
+  // DWOLLA API CALL: Create transfer
+  // POST https://api-sandbox.dwolla.com/transfers
+  const response = await dwollaRequest('post', 'transfers', transferBody, {
+    'Idempotency-Key': idempotencyKey
+  });
+
+  // Get transfer URL from Location header
+  const transferUrl = response.headers.get('location');
+
+  console.log('[Transfers] Transfer created:', transferUrl);
+
+  // DWOLLA API CALL: Get transfer details
+  const transferResponse = await dwollaRequest('get', transferUrl);
+  const transfer = transferResponse.body;
+
+  // Store transfer locally
+  const transferRecord = {
+    id: idFromUrl(transferUrl),
+    url: transferUrl,
+    status: transfer.status, // pending, processed, cancelled, failed
+    amount: transfer.amount,
+    created: transfer.created,
+    sourceFundingSourceUrl,
+    destinationFundingSourceUrl,
+    metadata: transfer.metadata || transferOptions.metadata || null,
+    correlationId: transfer.correlationId || transferOptions.correlationId || null,
+    clearing: transfer.clearing || transferOptions.clearing || null,
+    achAddenda: getTransferAddenda(transfer) || getTransferAddenda(transferOptions),
+    fees: await fetchTransferFees(transfer)
+  };
+
+  await storage.transfers.add(transferRecord);
+
+  return transferRecord;
+}
+
+/**
+ * Friendly message for a Dwolla field error on a transfer
+ */
+function transferFieldMessage(field) {
+  if (field.code === 'InsufficientFunds') {
+    return 'Insufficient funds in source account.';
+  }
+  if (field.code === 'Invalid' && field.path === '/_links/source/href') {
+    return 'Source funding source is not verified.';
+  }
+  if (field.code === 'Invalid' && field.path === '/_links/destination/href') {
+    return 'Destination funding source is not verified.';
+  }
+  return field.message;
+}
+
+/**
+ * Parse a Dwolla transfer error into a user-friendly message
+ * Only field errors are shown; anything else gets the fallback.
+ */
+function transferErrorMessage(error, fallback) {
+  if (!parseDwollaError(error)?.fields.length) {
+    return fallback;
+  }
+  return dwollaErrorMessage(error, fallback, transferFieldMessage);
+}
+
+/**
+ * ACH return codes and what they mean in plain language
+ *
+ * fundingSource describes what Dwolla does with the bank account that
+ * caused the return: most returns that mean the account can't be used
+ * again get it removed, while R01 / R09 leave it in place.
+ */
+const ACH_RETURN_CODES = {
+  R01: {
+    explanation: 'The account did not have enough money to cover the transfer.',
+    fundingSource: 'Not changed. The transfer can be tried again once the account has enough money.'
+  },
+  R02: {
+    explanation: 'The bank account has been closed.',
+    fundingSource: 'Removed by Dwolla. Add a different bank account.'
+  },
+  R03: {
+    explanation: 'The bank could not find an account matching the account number and name.',
+    fundingSource: 'Removed by Dwolla. Check the account and routing numbers and add the account again.'
+  },
+  R04: {
+    explanation: 'The account number is not valid at this bank.',
+    fundingSource: 'Removed by Dwolla. Check the account number and add the account again.'
+  },
+  R05: {
+    explanation: 'A business debit was taken from a consumer account without the right authorization.',
+    fundingSource: 'Removed by Dwolla, and the customer may be deactivated.'
+  },
+  R06: {
+    explanation: 'The sending bank asked for the transfer to be returned.',
+    fundingSource: 'Not changed.'
+  },
+  R07: {
+    explanation: 'The account holder revoked the authorization they gave for this debit.',
+    fundingSource: 'Removed by Dwolla, and the customer may be deactivated.'
+  },
+  R08: {
+    explanation: 'The account holder placed a stop payment on this transfer.',
+    fundingSource: 'Removed by Dwolla, and the customer may be deactivated.'
+  },
+  R09: {
+    explanation: 'The account has money, but not enough of it has cleared to cover the transfer.',
+    fundingSource: 'Not changed. The transfer can be tried again later.'
+  },
+  R10: {
+    explanation: 'The account holder told their bank they did not authorize this debit.',
+    fundingSource: 'Removed by Dwolla, and the customer may be deactivated.'
+  },
+  R11: {
+    explanation: 'The account holder says the debit does not match what they authorized (e.g. wrong amount or date).',
+    fundingSource: 'Removed by Dwolla.'
+  },
+  R12: {
+    explanation: 'The branch holding the account was sold to another bank.',
+    fundingSource: 'Removed by Dwolla. Add the account again with the new bank details.'
+  },
+  R13: {
+    explanation: 'The routing number is not valid for ACH.',
+    fundingSource: 'Removed by Dwolla. Check the routing number and add the account again.'
+  },
+  R14: {
+    explanation: 'The person the account was set up to pay on behalf of has died.',
+    fundingSource: 'Removed by Dwolla.'
+  },
+  R15: {
+    explanation: 'The account holder has died.',
+    fundingSource: 'Removed by Dwolla.'
+  },
+  R16: {
+    explanation: 'The bank has frozen the account.',
+    fundingSource: 'Removed by Dwolla.'
+  },
+  R17: {
+    explanation: 'The bank could not process the entry because some details were invalid.',
+    fundingSource: 'Not changed. Check the account details.'
+  },
+  R20: {
+    explanation: 'The account cannot accept ACH transfers (e.g. some savings or investment accounts).',
+    fundingSource: 'Removed by Dwolla. Use a checking account instead.'
+  },
+  R23: {
+    explanation: 'The receiver refused the credit.',
+    fundingSource: 'Not changed.'
+  },
+  R24: {
+    explanation: 'The bank received what looks like a duplicate of this transfer.',
+    fundingSource: 'Not changed.'
+  },
+  R29: {
+    explanation: 'The business that owns the account told its bank it did not authorize this debit.',
+    fundingSource: 'Removed by Dwolla, and the customer may be deactivated.'
+  },
+  R51: {
+    explanation: 'The item was ineligible or the debit was not authorized.',
+    fundingSource: 'Removed by Dwolla, and the customer may be deactivated.'
+  }
+};
+
+/**
+ * Fetch why a failed transfer failed
+ *
+ * Dwolla links failed transfers to a failure resource with the ACH return
+ * code. The code is looked up in ACH_RETURN_CODES for a plain-language
+ * explanation. Failures to fetch are logged but not fatal.
+ *
+ * @param {object} transfer - Dwolla transfer
+ * @returns {Promise<object|null>} { code, description, explanation, fundingSourceEffect, failedFundingSourceUrl }
+ */
+async function fetchTransferFailure(transfer) {
+  const failureUrl = transfer._links?.failure?.href;
+  if (!failureUrl) {
+    return null;
+  }
+
+  try {
+    // DWOLLA API CALL: Get transfer failure reason
+    // GET https://api-sandbox.dwolla.com/transfers/{id}/failure
+    const response = await dwollaRequest('get', failureUrl);
+    const failure = response.body;
+    const known = ACH_RETURN_CODES[failure.code];
+
+    return {
+      code: failure.code,
+      description: failure.description || null,
+      explanation: known ? known.explanation : (failure.explanation || 'Unknown return code. See the description from the bank.'),
+      fundingSourceEffect: known ? known.fundingSource : 'Unknown. Check the funding source status.',
+      failedFundingSourceUrl: failure._links?.['failed-funding-source']?.href || null
+    };
+  } catch (err) {
+    console.warn('[Transfers] Failed to fetch failure reason for transfer:', transfer._links?.self?.href);
+    return null;
+  }
+}
+
+/**
+ * Read the ACH addenda text back out of a Dwolla transfer
+ */
+function getTransferAddenda(transfer) {
+  const achDetails = transfer.achDetails;
+  if (!achDetails) {
+    return null;
+  }
+
+  return {
+    source: achDetails.source?.addenda?.values?.[0] || null,
+    destination: achDetails.destination?.addenda?.values?.[0] || null
+  };
+}
+
+/**
+ * Fetch the fee transfers that belong to a transfer
+ *
+ * Facilitator fees are separate transfers linked from the parent
+ * transfer's `fees` relation. A failed lookup is logged and treated as
+ * no fees, so it never hides the parent transfer.
+ *
+ * @param {object} transfer - Dwolla transfer resource
+ * @returns {Promise<object[]>} Fee transfers in our format (empty when there are none)
+ */
+async function fetchTransferFees(transfer) {
+  const feesUrl = transfer._links?.fees?.href;
+  if (!feesUrl) {
+    return [];
+  }
+
+  let fees;
+  try {
+    // DWOLLA API CALL: List fees for a transfer
+    // GET https://api-sandbox.dwolla.com/transfers/{id}/fees
+    const response = await dwollaRequest('get', feesUrl);
+    fees = response.body._embedded?.fees || [];
+  } catch (err) {
+    console.warn('[Transfers] Failed to fetch fees from:', feesUrl);
+    return [];
+  }
+
+  return fees.map(fee => ({
+    id: idFromUrl(fee._links.self.href),
+    url: fee._links.self.href,
+    status: fee.status,
+    amount: fee.amount,
+    created: fee.created,
+    chargedToFundingSourceUrl: fee._links.source?.href || null
+  }));
+}
+
+module.exports = {
+  ACH_RETURN_CODES,
+  createTransfer,
+  transferErrorMessage,
+  fetchTransferFailure,
+  getTransferAddenda,
+  fetchTransferFees
+};
@@ -0,0 +1,737 @@
+/**
+ * Mock Dwolla Handlers
+ *
+ * Answers requests against the mock state the way the Dwolla API does:
+ * HAL bodies, Location headers on 201s and Dwolla's error envelopes.
+ *
+ * Sandbox behaviors that are honored:
+ * - SSN magic numbers on verification: last four 0001 = retry,
+ *   0002 = document, 0003 = suspended, anything else = verified
+ * - Transfers stay pending until POST /sandbox-simulations processes them
+ * - A bank funding source named after an ACH return code (e.g. "R01")
+ *   fails the transfers it's part of with that code
+ * - Micro-deposits of $0.10 or less verify; three wrong attempts lock them
+ */
+
+const crypto = require('crypto');
+const {
+  MOCK_BASE_URL,
+  addFundingSource,
+  href,
+  money,
+  newestFirst,
+  rootResource,
+  accountResource,
+  customerResource,
+  fundingSourceResource,
+  transferResource
+} = require('./state');
+
+/**
+ * Return codes the mock knows how to fail a transfer with
+ * Codes that close the account also remove the failed funding source.
+ */
+const RETURN_CODES = {
+  R01: { description: 'Insufficient Funds', removes: false },
+  R02: { description: 'Account Closed', removes: true },
+  R03: { description: 'No Account/Unable to Locate Account', removes: true },
+  R04: { description: 'Invalid Account Number Structure', removes: true },
+  R05: { description: 'Unauthorized debit to consumer account using corporate SEC code', removes: false },
+  R07: { description: 'Authorization Revoked by Customer', removes: true },
+  R08: { description: 'Payment Stopped', removes: false },
+  R09: { description: 'Uncollected Funds', removes: false },
+  R10: { description: 'Customer Advises Not Authorized', removes: true },
+  R16: { description: 'Account Frozen', removes: true },
+  R20: { description: 'Non-Transaction Account', removes: true },
+  R29: { description: 'Corporate Customer Advises Not Authorized', removes: true }
+};
+
+/**
+ * Verification outcome for the last four digits of the SSN
+ */
+const SSN_OUTCOMES = {
+  '0001': 'retry',
+  '0002': 'document',
+  '0003': 'suspended'
+};
+
+/**
+ * Fields required to create a verified personal customer
+ */
+const PERSONAL_VERIFIED_FIELDS = [
+  'firstName', 'lastName', 'email', 'address1', 'city', 'state', 'postalCode', 'dateOfBirth', 'ssn'
+];
+
+/**
+ * Customer fields that can be changed after creation, by customer type
+ */
+const UPDATABLE_FIELDS = {
+  unverified: ['firstName', 'lastName', 'email', 'businessName'],
+  'receive-only': ['firstName', 'lastName', 'email', 'businessName'],
+  personal: ['email', 'phone', 'address1', 'address2', 'city', 'state', 'postalCode'],
+  business: ['email', 'phone', 'address1', 'address2', 'city', 'state', 'postalCode', 'website']
+};
+
+/**
+ * Allowed customer status changes: action -> statuses it can be applied from
+ */
+const STATUS_TRANSITIONS = {
+  deactivated: ['unverified', 'retry', 'document', 'verified', 'suspended'],
+  reactivated: ['deactivated'],
+  suspended: ['unverified', 'retry', 'document', 'verified']
+};
+
+const MAX_MICRO_DEPOSIT_ATTEMPTS = 3;
+
+/**
+ * Resources the mock doesn't implement; requests for them get a 404
+ */
+const UNSUPPORTED_RESOURCES = [
+  'mass-payments', 'documents', 'beneficial-owners', 'beneficial-ownership',
+  'business-classifications', 'webhook-subscriptions', 'webhooks'
+];
+
+// ----------------------------------------------------------------------------
+// Responses and errors
+// ----------------------------------------------------------------------------
+
+function respond(status, body = {}, location = null) {
+  const headers = new Headers();
+  if (location) {
+    headers.set('location', location);
+  }
+  return { status, headers, body };
+}
+
+/**
+ * Throw the same kind of error dwolla-v2 throws for a non-2xx response
+ */
+function fail(status, body) {
+  const error = new Error(JSON.stringify(body));
+  error.status = status;
+  error.headers = new Headers();
+  error.body = body;
+  throw error;
+}
+
+function notFound() {
+  fail(404, { code: 'NotFound', message: 'The requested resource was not found.' });
+}
+
+function invalidState(message) {
+  fail(400, { code: 'InvalidResourceState', message });
+}
+
+/**
+ * @param {Array<[string, string, string]>} errors - [code, path, message] triples
+ */
+function validationError(errors) {
+  fail(400, {
+    code: 'ValidationError',
+    message: 'Validation error(s) present. See embedded errors list for more details.',
+    _embedded: {
+      errors: errors.map(([code, path, message]) => ({ code, message, path, _links: {} }))
+    }
+  });
+}
+
+function requireFields(body, fields) {
+  const missing = fields.filter(field => !body[field]);
+  if (missing.length > 0) {
+    validationError(missing.map(field => ['Required', `/${field}`, `${field} is required.`]));
+  }
+}
+
+// ----------------------------------------------------------------------------
+// Lookups
+// ----------------------------------------------------------------------------
+
+/**
+ * Resolve the ID at the end of a resource URL to a record
+ */
+function fromHref(map, url) {
+  const id = String(url || '').split('/').pop();
+  return map.get(id) || null;
+}
+
+function getCustomer(state, id) {
+  return state.customers.get(id) || notFound();
+}
+
+function getFundingSource(state, id) {
+  return state.fundingSources.get(id) || notFound();
+}
+
+function getTransfer(state, id) {
+  return state.transfers.get(id) || notFound();
+}
+
+function fundingSourcesOf(state, ownerType, ownerId) {
+  return newestFirst(state.fundingSources)
+    .filter(fs => fs.ownerType === ownerType && fs.ownerId === ownerId);
+}
+
+function balanceOf(state, ownerType, ownerId) {
+  return fundingSourcesOf(state, ownerType, ownerId).find(fs => fs.type === 'balance' && !fs.removed) || null;
+}
+
+/**
+ * Page a list and build the HAL envelope with next/prev links
+ * The links keep every other query parameter (search, status...), so
+ * following them stays within the same filtered list.
+ */
+function page(url, query, key, items) {
+  const limit = Math.min(Math.max(parseInt(query.get('limit'), 10) || 25, 1), 200);
+  const offset = Math.max(parseInt(query.get('offset'), 10) || 0, 0);
+  const base = url.split('?')[0];
+
+  const pageHref = (pageOffset) => {
+    const pageQuery = new URLSearchParams(query);
+    pageQuery.set('limit', limit);
+    pageQuery.set('offset', pageOffset);
+    return `${base}?${pageQuery}`;
+  };
+
+  const links = { self: { href: url } };
+  if (offset + limit < items.length) {
+    links.next = { href: pageHref(offset + limit) };
+  }
+  if (offset > 0) {
+    links.prev = { href: pageHref(Math.max(offset - limit, 0)) };
+  }
+
+  return {
+    _links: links,
+    _embedded: { [key]: items.slice(offset, offset + limit) },
+    total: items.length
+  };
+}
+
+// ----------------------------------------------------------------------------
+// Customers
+// ----------------------------------------------------------------------------
+
+function checkDuplicateEmail(state, email, excludeId = null) {
+  const taken = [...state.customers.values()].some(c =>
+    c.id !== excludeId && c.email.toLowerCase() === String(email).toLowerCase()
+  );
+  if (taken) {
+    validationError([['Duplicate', '/email', 'A customer with the specified email already exists.']]);
+  }
+}
+
+/**
+ * Run a verification for a customer and apply the SSN magic number outcome
+ * The customer gets a balance funding source once verified.
+ */
+function verifyCustomer(state, customer, body) {
+  const type = body.type;
+  const ssn = String(body.ssn || body.controller?.ssn || '').replace(/-/g, '');
+
+  if (type === 'business') {
+    requireFields(body, ['firstName', 'lastName', 'email', 'businessName', 'businessType', 'address1', 'city', 'state', 'postalCode']);
+  } else {
+    requireFields(body, PERSONAL_VERIFIED_FIELDS);
+  }
+
+  const isRetry = customer.status === 'retry';
+  if (isRetry && !/^\d{9}$/.test(ssn)) {
+    validationError([['InvalidFormat', '/ssn', 'A full 9-digit SSN is required when retrying verification.']]);
+  }
+  if (ssn && !/^(\d{4}|\d{9})$/.test(ssn)) {
+    validationError([['InvalidFormat', '/ssn', 'SSN must be the last four digits or the full nine digits.']]);
+  }
+
+  let status = SSN_OUTCOMES[ssn.slice(-4)] || 'verified';
+  // A second failed attempt moves on to documents
+  if (isRetry && status === 'retry') {
+    status = 'document';
+  }
+
+  Object.assign(customer, {
+    type,
+    status,
+    firstName: body.firstName,
+    lastName: body.lastName,
+    email: body.email,
+    businessName: body.businessName || customer.businessName || null
+  });
+  for (const field of ['phone', 'address1', 'address2', 'city', 'state', 'postalCode']) {
+    if (body[field]) customer[field] = body[field];
+  }
+
+  if (status === 'verified' && !balanceOf(state, 'customer', customer.id)) {
+    addFundingSource(state, {
+      ownerType: 'customer',
+      ownerId: customer.id,
+      type: 'balance',
+      name: 'Balance',
+      status: 'verified'
+    });
+  }
+}
+
+function createCustomer(state, body) {
+  requireFields(body, ['firstName', 'lastName', 'email']);
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(body.email)) {
+    validationError([['InvalidFormat', '/email', 'Email is not a valid email address.']]);
+  }
+  if (body.type && !['receive-only', 'personal', 'business'].includes(body.type)) {
+    validationError([['InvalidFormat', '/type', 'Type must be receive-only, personal or business.']]);
+  }
+  checkDuplicateEmail(state, body.email);
+
+  const customer = {
+    id: crypto.randomUUID(),
+    firstName: body.firstName,
+    lastName: body.lastName,
+    email: body.email,
+    businessName: body.businessName || null,
+    type: body.type === 'receive-only' ? 'receive-only' : 'unverified',
+    status: 'unverified',
+    created: new Date().toISOString()
+  };
+
+  if (body.type === 'personal' || body.type === 'business') {
+    verifyCustomer(state, customer, body);
+  }
+
+  state.customers.set(customer.id, customer);
+  return respond(201, {}, href(`customers/${customer.id}`));
+}
+
+function listCustomers(state, url, query) {
+  const search = (query.get('search') || '').toLowerCase();
+  const status = query.get('status');
+
+  const customers = newestFirst(state.customers).filter(c =>
+    (!status || c.status === status) &&
+    (!search || [c.firstName, c.lastName, c.email, c.businessName]
+      .some(value => value && value.toLowerCase().includes(search)))
+  );
+
+  return respond(200, page(url, query, 'customers', customers.map(customerResource)));
+}
+
+/**
+ * POST /customers/{id}: status change, verification (upgrade or retry) or field update
+ */
+function updateCustomer(state, customer, body) {
+  if (body.status) {
+    const from = STATUS_TRANSITIONS[body.status];
+    if (!from) {
+      validationError([['InvalidFormat', '/status', 'Status must be deactivated, reactivated or suspended.']]);
+    }
+    if (!from.includes(customer.status)) {
+      invalidState(`Customer cannot be ${body.status} from status ${customer.status}.`);
+    }
+    customer.status = body.status === 'reactivated'
+      ? (customer.type === 'unverified' || customer.type === 'receive-only' ? 'unverified' : 'verified')
+      : body.status;
+    return respond(200, customerResource(customer));
+  }
+
+  if (customer.status === 'deactivated' || customer.status === 'suspended') {
+    invalidState(`Customer is ${customer.status} and cannot be updated.`);
+  }
+
+  if (body.type === 'personal' || body.type === 'business') {
+    const canVerify = ['unverified', 'receive-only'].includes(customer.type) || customer.status === 'retry';
+    if (!canVerify) {
+      invalidState(`Customer with status ${customer.status} cannot be verified again.`);
+    }
+    verifyCustomer(state, customer, body);
+    return respond(200, customerResource(customer));
+  }
+
+  const allowed = UPDATABLE_FIELDS[customer.type] || [];
+  const notAllowed = Object.keys(body).filter(field => !allowed.includes(field));
+  if (notAllowed.length > 0) {
+    validationError(notAllowed.map(field => ['NotAllowed', `/${field}`, `${field} cannot be updated for a ${customer.type} customer.`]));
+  }
+  if (body.email) {
+    checkDuplicateEmail(state, body.email, customer.id);
+  }
+
+  Object.assign(customer, body);
+  return respond(200, customerResource(customer));
+}
+
+// ----------------------------------------------------------------------------
+// Funding sources
+// ----------------------------------------------------------------------------
+
+function createFundingSource(state, customer, body) {
+  requireFields(body, ['routingNumber', 'accountNumber', 'bankAccountType', 'name']);
+  if (!/^\d{9}$/.test(body.routingNumber)) {
+    validationError([['InvalidFormat', '/routingNumber', 'Routing number must be 9 digits.']]);
+  }
+  if (!/^\d{4,17}$/.test(body.accountNumber)) {
+    validationError([['InvalidFormat', '/accountNumber', 'Account number must be 4 to 17 digits.']]);
+  }
+  if (!['checking', 'savings'].includes(body.bankAccountType)) {
+    validationError([['InvalidFormat', '/bankAccountType', 'Bank account type must be checking or savings.']]);
+  }
+  if (customer.status === 'deactivated' || customer.status === 'suspended') {
+    invalidState(`Customer is ${customer.status}.`);
+  }
+
+  const duplicate = fundingSourcesOf(state, 'customer', customer.id).find(fs =>
+    !fs.removed && fs.routingNumber === body.routingNumber && fs.accountNumber === body.accountNumber
+  );
+  if (duplicate) {
+    fail(400, {
+      code: 'DuplicateResource',
+      message: `Bank already exists: id=${duplicate.id}`,
+      _links: { about: { href: href(`funding-sources/${duplicate.id}`) } }
+    });
+  }
+
+  const fundingSource = addFundingSource(state, {
+    ownerType: 'customer',
+    ownerId: customer.id,
+    type: 'bank',
+    name: body.name,
+    bankAccountType: body.bankAccountType,
+    routingNumber: body.routingNumber,
+    accountNumber: body.accountNumber,
+    status: 'unverified'
+  });
+
+  return respond(201, {}, href(`funding-sources/${fundingSource.id}`));
+}
+
+function updateFundingSource(state, fundingSource, body) {
+  if (fundingSource.removed) {
+    invalidState('Funding source has been removed.');
+  }
+
+  if (body.removed === true) {
+    if (fundingSource.type === 'balance') {
+      invalidState('A balance funding source cannot be removed.');
+    }
+    fundingSource.removed = true;
+  } else if (body.name) {
+    fundingSource.name = body.name;
+  } else {
+    validationError([['Required', '/name', 'name is required.']]);
+  }
+
+  return respond(200, fundingSourceResource(state, fundingSource));
+}
+
+function balanceResource(fundingSource) {
+  const balance = { value: fundingSource.balance, currency: 'USD' };
+  return {
+    _links: { self: { href: href(`funding-sources/${fundingSource.id}/balance`) } },
+    balance,
+    total: balance,
+    lastUpdated: new Date().toISOString()
+  };
+}
+
+function getMicroDeposits(state, fundingSource) {
+  const microDeposits = state.microDeposits.get(fundingSource.id) || notFound();
+  return respond(200, {
+    _links: { self: { href: href(`funding-sources/${fundingSource.id}/micro-deposits`) } },
+    created: microDeposits.created,
+    status: microDeposits.status,
+    failure: microDeposits.status === 'failed' ? { code: 'R03', description: 'No Account/Unable to Locate Account' } : undefined
+  });
+}
+
+/**
+ * POST /funding-sources/{id}/micro-deposits: initiate without a body, verify with amounts
+ * Sandbox deposits are available right away, so they start out processed.
+ */
+function postMicroDeposits(state, fundingSource, body) {
+  if (fundingSource.type !== 'bank' || fundingSource.status === 'verified' || fundingSource.removed) {
+    invalidState('Funding source cannot be verified with micro-deposits.');
+  }
+
+  const microDeposits = state.microDeposits.get(fundingSource.id);
+
+  if (!body || !body.amount1) {
+    if (microDeposits) {
+      invalidState('Micro-deposits already initiated for this funding source.');
+    }
+    state.microDeposits.set(fundingSource.id, { created: new Date().toISOString(), status: 'processed', attempts: 0 });
+    return respond(201, {}, href(`funding-sources/${fundingSource.id}/micro-deposits`));
+  }
+
+  if (!microDeposits) {
+    invalidState('Micro-deposits have not been initiated for this funding source.');
+  }
+  if (microDeposits.attempts >= MAX_MICRO_DEPOSIT_ATTEMPTS) {
+    fail(403, { code: 'InvalidResourceState', message: 'Too many attempts.' });
+  }
+
+  const amounts = [body.amount1, body.amount2].map(amount => Number(amount?.value));
+  if (!amounts.every(amount => amount > 0 && amount <= 0.1)) {
+    microDeposits.attempts++;
+    if (microDeposits.attempts >= MAX_MICRO_DEPOSIT_ATTEMPTS) {
+      fail(403, { code: 'InvalidResourceState', message: 'Too many attempts.' });
+    }
+    validationError([['InvalidAmount', '/amount1', 'Wrong amount(s).']]);
+  }
+
+  fundingSource.status = 'verified';
+  return respond(200, {});
+}
+
+// ----------------------------------------------------------------------------
+// Transfers
+// ----------------------------------------------------------------------------
+
+function adjustBalance(fundingSource, amount) {
+  if (fundingSource.type === 'balance') {
+    fundingSource.balance = money(Number(fundingSource.balance) + amount);
+  }
+}
+
+function createTransfer(state, body, headers) {
+  const idempotencyKey = headers['Idempotency-Key'] || headers['idempotency-key'];
+  if (idempotencyKey && state.idempotencyKeys.has(idempotencyKey)) {
+    return respond(201, {}, state.idempotencyKeys.get(idempotencyKey));
+  }
+
+  const source = fromHref(state.fundingSources, body._links?.source?.href);
+  const destination = fromHref(state.fundingSources, body._links?.destination?.href);
+  const errors = [];
+  if (!source) errors.push(['NotFound', '/_links/source/href', 'Funding source not found.']);
+  if (!destination) errors.push(['NotFound', '/_links/destination/href', 'Funding source not found.']);
+
+  const value = Number(body.amount?.value);
+  if (!(value > 0) || !/^\d+(\.\d{1,2})?$/.test(String(body.amount?.value))) {
+    errors.push(['InvalidAmount', '/amount/value', 'Amount must be a positive value with at most two decimals.']);
+  }
+  if (body.amount?.currency !== 'USD') {
+    errors.push(['InvalidFormat', '/amount/currency', 'Currency must be USD.']);
+  }
+  if (errors.length > 0) {
+    validationError(errors);
+  }
+
+  if (source.removed || destination.removed) {
+    validationError([['Invalid', '/_links', 'Funding source has been removed.']]);
+  }
+  if (source.status !== 'verified') {
+    validationError([['Invalid', '/_links/source/href', 'Source funding source must be verified.']]);
+  }
+  if (source.type === 'balance' && Number(source.balance) < value) {
+    validationError([['InsufficientFunds', '/amount/value', 'Insufficient funds.']]);
+  }
+
+  const transfer = {
+    id: crypto.randomUUID(),
+    sourceId: source.id,
+    destinationId: destination.id,
+    amount: money(value),
+    currency: 'USD',
+    status: 'pending',
+    created: new Date().toISOString(),
+    metadata: body.metadata,
+    correlationId: body.correlationId,
+    clearing: body.clearing,
+    achDetails: body.achDetails
+  };
+  state.transfers.set(transfer.id, transfer);
+
+  // Balance funds leave as soon as the transfer is created
+  adjustBalance(source, -value);
+
+  // Balance to balance moves instantly
+  if (source.type === 'balance' && destination.type === 'balance') {
+    adjustBalance(destination, value);
+    transfer.status = 'processed';
+  }
+
+  const location = href(`transfers/${transfer.id}`);
+  if (idempotencyKey) {
+    state.idempotencyKeys.set(idempotencyKey, location);
+  }
+  return respond(201, {}, location);
+}
+
+function cancelTransfer(state, transfer, body) {
+  if (body.status !== 'cancelled') {
+    validationError([['InvalidFormat', '/status', 'Status must be cancelled.']]);
+  }
+  if (transfer.status !== 'pending') {
+    invalidState('A transfer can only be cancelled while it is pending.');
+  }
+
+  transfer.status = 'cancelled';
+  adjustBalance(state.fundingSources.get(transfer.sourceId), Number(transfer.amount));
+  return respond(200, transferResource(state, transfer));
+}
+
+function listTransfers(state, url, query, ownerType, ownerId) {
+  const owned = new Set(fundingSourcesOf(state, ownerType, ownerId).map(fs => fs.id));
+  const status = query.get('status');
+  const correlationId = query.get('correlationId');
+  const startAmount = query.get('startAmount');
+  const endAmount = query.get('endAmount');
+  const startDate = query.get('startDate');
+  const endDate = query.get('endDate');
+
+  const transfers = newestFirst(state.transfers).filter(t =>
+    (owned.has(t.sourceId) || owned.has(t.destinationId)) &&
+    (!status || t.status === status) &&
+    (!correlationId || t.correlationId === correlationId) &&
+    (!startAmount || Number(t.amount) >= Number(startAmount)) &&
+    (!endAmount || Number(t.amount) <= Number(endAmount)) &&
+    (!startDate || t.created.slice(0, 10) >= startDate) &&
+    (!endDate || t.created.slice(0, 10) <= endDate)
+  );
+
+  return respond(200, page(url, query, 'transfers', transfers.map(t => transferResource(state, t))));
+}
+
+/**
+ * POST /sandbox-simulations: process every pending transfer
+ * Transfers touching a bank named after a return code fail with that code.
+ */
+function runSimulations(state) {
+  const pending = [...state.transfers.values()].filter(t => t.status === 'pending');
+
+  for (const transfer of pending) {
+    const source = state.fundingSources.get(transfer.sourceId);
+    const destination = state.fundingSources.get(transfer.destinationId);
+    const failed = [source, destination].find(fs => fs.type === 'bank' && RETURN_CODES[fs.name]);
+
+    if (failed) {
+      const returnCode = RETURN_CODES[failed.name];
+      transfer.status = 'failed';
+      transfer.failure = { code: failed.name, description: returnCode.description, fundingSourceId: failed.id };
+      adjustBalance(source, Number(transfer.amount));
+      if (returnCode.removes) {
+        failed.removed = true;
+      }
+    } else {
+      transfer.status = 'processed';
+      adjustBalance(destination, Number(transfer.amount));
+    }
+  }
+
+  return respond(200, {
+    _links: { self: { href: href('sandbox-simulations') } },
+    total: pending.length
+  });
+}
+
+function failureResource(transfer) {
+  if (!transfer.failure) {
+    notFound();
+  }
+  return {
+    _links: {
+      self: { href: href(`transfers/${transfer.id}/failure`) },
+      'failed-funding-source': { href: href(`funding-sources/${transfer.failure.fundingSourceId}`) }
+    },
+    code: transfer.failure.code,
+    description: transfer.failure.description,
+    explanation: null
+  };
+}
+
+// ----------------------------------------------------------------------------
+// Routing
+// ----------------------------------------------------------------------------
+
+/**
+ * Dispatch a request to the matching handler
+ *
+ * @param {object} state - Mock state from createMockState
+ * @param {string} method - get, post or delete
+ * @param {string} path - Absolute URL or path relative to the API root
+ * @param {object} body - Request body for POSTs
+ * @param {object} headers - Request headers
+ * @returns {object} { status, headers, body }
+ */
+function handleRequest(state, method, path, body = {}, headers = {}) {
+  const url = new URL(String(path).replace(/^\//, ''), `${MOCK_BASE_URL}/`);
+  const segments = url.pathname.split('/').filter(Boolean);
+  const [resource, id, sub] = segments;
+  const query = url.searchParams;
+  const fullUrl = url.toString();
+  body = body || {};
+
+  if (segments.length === 0 && method === 'get') {
+    return respond(200, rootResource(state));
+  }
+
+  if (resource === 'accounts' && id === state.accountId) {
+    if (!sub && method === 'get') return respond(200, accountResource(state));
+    if (sub === 'funding-sources' && method === 'get') {
+      const items = fundingSourcesOf(state, 'account', id).map(fs => fundingSourceResource(state, fs));
+      return respond(200, { _links: { self: { href: fullUrl } }, _embedded: { 'funding-sources': items } });
+    }
+    if (sub === 'transfers' && method === 'get') return listTransfers(state, fullUrl, query, 'account', id);
+  }
+
+  if (resource === 'customers') {
+    if (!id) {
+      if (method === 'post') return createCustomer(state, body);
+      if (method === 'get') return listCustomers(state, fullUrl, query);
+    } else {
+      const customer = getCustomer(state, id);
+      if (!sub && method === 'get') return respond(200, customerResource(customer));
+      if (!sub && method === 'post') return updateCustomer(state, customer, body);
+      if (sub === 'funding-sources' && method === 'post') return createFundingSource(state, customer, body);
+      if (sub === 'funding-sources' && method === 'get') {
+        const items = fundingSourcesOf(state, 'customer', id)
+          .filter(fs => query.get('removed') !== 'false' || !fs.removed)
+          .map(fs => fundingSourceResource(state, fs));
+        return respond(200, { _links: { self: { href: fullUrl } }, _embedded: { 'funding-sources': items } });
+      }
+      if (sub === 'transfers' && method === 'get') return listTransfers(state, fullUrl, query, 'customer', id);
+      if (sub === 'iav-token' && method === 'post') {
+        return respond(201, {
+          _links: { self: { href: fullUrl } },
+          token: crypto.randomBytes(24).toString('base64url')
+        });
+      }
+    }
+  }
+
+  if (resource === 'funding-sources' && id) {
+    const fundingSource = getFundingSource(state, id);
+    if (!sub && method === 'get') return respond(200, fundingSourceResource(state, fundingSource));
+    if (!sub && method === 'post') return updateFundingSource(state, fundingSource, body);
+    if (sub === 'balance' && method === 'get') {
+      if (fundingSource.type !== 'balance') notFound();
+      return respond(200, balanceResource(fundingSource));
+    }
+    if (sub === 'micro-deposits' && method === 'get') return getMicroDeposits(state, fundingSource);
+    if (sub === 'micro-deposits' && method === 'post') return postMicroDeposits(state, fundingSource, body);
+  }
+
+  if (resource === 'transfers') {
+    if (!id && method === 'post') return createTransfer(state, body, headers);
+    if (id) {
+      const transfer = getTransfer(state, id);
+      if (!sub && method === 'get') return respond(200, transferResource(state, transfer));
+      if (!sub && method === 'post') return cancelTransfer(state, transfer, body);
+      if (sub === 'failure' && method === 'get') return respond(200, failureResource(transfer));
+      if (sub === 'fees' && method === 'get') {
+        return respond(200, { _links: { self: { href: fullUrl } }, _embedded: { fees: [] }, total: 0 });
+      }
+    }
+  }
+
+  if (resource === 'sandbox-simulations' && !id && method === 'post') {
+    return runSimulations(state);
+  }
+
+  const unsupported = segments.find(segment => UNSUPPORTED_RESOURCES.includes(segment));
+  if (unsupported) {
+    fail(404, { code: 'NotFound', message: `${unsupported} is not supported by the mock Dwolla environment.` });
+  }
+
+  notFound();
+}
+
+module.exports = {
+  handleRequest
+};
@@ -0,0 +1,60 @@
+/**
+ * Mock Dwolla Environment
+ *
+ * An in-process fake of the Dwolla API with the same interface as the
+ * dwolla-v2 Client, used when DWOLLA_ENVIRONMENT=mock. Nothing leaves the
+ * machine, so the app can be developed and demoed without sandbox keys.
+ *
+ * Supported resources: root, accounts, customers, funding sources
+ * (including balances and micro-deposits), transfers and sandbox
+ * simulations. Mass payments, documents, beneficial owners and webhook
+ * subscriptions answer with a 404.
+ *
+ * Data lives in memory per API key, so saving the same key again keeps it.
+ * Any non-empty key and secret are accepted.
+ */
+
+const crypto = require('crypto');
+const { createMockState } = require('./state');
+const { handleRequest } = require('./handlers');
+
+/**
+ * Mock state per API key
+ */
+const environments = new Map();
+
+/**
+ * Create a mock client
+ * Mirrors dwolla-v2: auth.client(), get(), post() and delete() return
+ * promises and reject with the error body on non-2xx responses.
+ *
+ * @param {object} options
+ * @param {string} options.key - API key
+ * @param {string} options.secret - API secret
+ */
+function createMockDwollaClient({ key, secret }) {
+  if (!environments.has(key)) {
+    environments.set(key, createMockState());
+  }
+  const state = environments.get(key);
+
+  const request = async (method, path, body, headers) => handleRequest(state, method, path, body, headers);
+
+  return {
+    auth: {
+      client: async () => {
+        if (!key || !secret) {
+          throw new Error(JSON.stringify({ error: 'invalid_client' }));
+        }
+        return { access_token: crypto.randomBytes(24).toString('hex'), expires_in: 3600 };
+      }
+    },
+    get: (path, query, headers = {}) => request('get', path, null, headers),
+    post: (path, body, headers = {}) => request('post', path, body, headers),
+    delete: (path, query, headers = {}) => request('delete', path, null, headers)
+  };
+}
+
+module.exports = {
+  createMockDwollaClient
+};
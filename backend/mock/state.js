@@ -0,0 +1,242 @@
+/**
+ * Mock Dwolla State
+ *
+ * The data behind the mock Dwolla environment: one master account,
+ * customers, funding sources, transfers and micro-deposits, plus helpers
+ * that turn records into the HAL resources the real API returns.
+ *
+ * The master account starts with a verified bank account and a balance
+ * of $10,000.00 so payouts work straight away.
+ */
+
+const crypto = require('crypto');
+
+const MOCK_BASE_URL = 'https://api-mock.dwolla.local';
+
+/**
+ * Starting balance of the master account
+ */
+const INITIAL_ACCOUNT_BALANCE = '10000.00';
+
+/**
+ * Build an absolute URL for a resource path
+ */
+function href(path) {
+  return `${MOCK_BASE_URL}/${path}`;
+}
+
+/**
+ * Format a number as a Dwolla money value
+ */
+function money(value) {
+  return (Math.round(Number(value) * 100) / 100).toFixed(2);
+}
+
+/**
+ * Create an empty mock environment with a seeded master account
+ */
+function createMockState() {
+  const accountId = crypto.randomUUID();
+  const now = new Date().toISOString();
+
+  const state = {
+    accountId,
+    account: { id: accountId, name: 'Mock Dwolla Account', created: now },
+    customers: new Map(),
+    fundingSources: new Map(),
+    transfers: new Map(),
+    microDeposits: new Map(),
+    idempotencyKeys: new Map()
+  };
+
+  addFundingSource(state, {
+    ownerType: 'account',
+    ownerId: accountId,
+    type: 'balance',
+    name: 'Balance',
+    status: 'verified',
+    balance: INITIAL_ACCOUNT_BALANCE
+  });
+  addFundingSource(state, {
+    ownerType: 'account',
+    ownerId: accountId,
+    type: 'bank',
+    name: 'Mock Bank Checking',
+    bankAccountType: 'checking',
+    routingNumber: '222222226',
+    accountNumber: '000000001',
+    status: 'verified'
+  });
+
+  return state;
+}
+
+/**
+ * Add a funding source record
+ * @returns {object} The new record
+ */
+function addFundingSource(state, fields) {
+  const fundingSource = {
+    id: crypto.randomUUID(),
+    bankAccountType: null,
+    bankName: fields.type === 'bank' ? 'SANDBOX TEST BANK' : null,
+    removed: false,
+    balance: fields.type === 'balance' ? '0.00' : null,
+    created: new Date().toISOString(),
+    ...fields
+  };
+  state.fundingSources.set(fundingSource.id, fundingSource);
+  return fundingSource;
+}
+
+/**
+ * URL of whoever owns a funding source (the account or a customer)
+ */
+function ownerHref(fundingSource) {
+  return fundingSource.ownerType === 'account'
+    ? href(`accounts/${fundingSource.ownerId}`)
+    : href(`customers/${fundingSource.ownerId}`);
+}
+
+/**
+ * Newest records first, the order Dwolla lists use
+ */
+function newestFirst(map) {
+  return [...map.values()].reverse();
+}
+
+// ----------------------------------------------------------------------------
+// HAL representations
+// ----------------------------------------------------------------------------
+
+function rootResource(state) {
+  return {
+    _links: {
+      self: { href: `${MOCK_BASE_URL}/` },
+      account: { href: href(`accounts/${state.accountId}`) },
+      customers: { href: href('customers') }
+    }
+  };
+}
+
+function accountResource(state) {
+  const self = href(`accounts/${state.accountId}`);
+  return {
+    _links: {
+      self: { href: self },
+      'funding-sources': { href: `${self}/funding-sources` },
+      transfers: { href: `${self}/transfers` },
+      customers: { href: href('customers') }
+    },
+    id: state.account.id,
+    name: state.account.name,
+    created: state.account.created
+  };
+}
+
+function customerResource(customer) {
+  const self = href(`customers/${customer.id}`);
+  const resource = {
+    _links: {
+      self: { href: self },
+      'funding-sources': { href: `${self}/funding-sources` },
+      transfers: { href: `${self}/transfers` }
+    },
+    id: customer.id,
+    firstName: customer.firstName,
+    lastName: customer.lastName,
+    email: customer.email,
+    type: customer.type,
+    status: customer.status,
+    created: customer.created
+  };
+
+  for (const field of ['businessName', 'phone', 'address1', 'address2', 'city', 'state', 'postalCode']) {
+    if (customer[field]) resource[field] = customer[field];
+  }
+  return resource;
+}
+
+function fundingSourceResource(state, fundingSource) {
+  const self = href(`funding-sources/${fundingSource.id}`);
+  const links = { self: { href: self } };
+  links[fundingSource.ownerType] = { href: ownerHref(fundingSource) };
+
+  if (fundingSource.type === 'balance') {
+    links.balance = { href: `${self}/balance` };
+  }
+
+  const microDeposits = state.microDeposits.get(fundingSource.id);
+  if (fundingSource.type === 'bank' && fundingSource.status === 'unverified' && !fundingSource.removed) {
+    if (!microDeposits) {
+      links['initiate-micro-deposits'] = { href: `${self}/micro-deposits` };
+    } else if (microDeposits.status !== 'failed') {
+      links['verify-micro-deposits'] = { href: `${self}/micro-deposits` };
+    }
+  }
+  if (microDeposits) {
+    links['micro-deposits'] = { href: `${self}/micro-deposits` };
+  }
+
+  const resource = {
+    _links: links,
+    id: fundingSource.id,
+    status: fundingSource.status,
+    type: fundingSource.type,
+    name: fundingSource.name,
+    created: fundingSource.created,
+    removed: fundingSource.removed,
+    channels: ['ach']
+  };
+  if (fundingSource.type === 'bank') {
+    resource.bankAccountType = fundingSource.bankAccountType;
+    resource.bankName = fundingSource.bankName;
+  }
+  return resource;
+}
+
+function transferResource(state, transfer) {
+  const self = href(`transfers/${transfer.id}`);
+  const source = state.fundingSources.get(transfer.sourceId);
+  const destination = state.fundingSources.get(transfer.destinationId);
+
+  const links = {
+    self: { href: self },
+    source: { href: ownerHref(source) },
+    'source-funding-source': { href: href(`funding-sources/${source.id}`) },
+    destination: { href: ownerHref(destination) },
+    'destination-funding-source': { href: href(`funding-sources/${destination.id}`) }
+  };
+  if (transfer.status === 'pending') {
+    links.cancel = { href: self };
+  }
+  if (transfer.status === 'failed') {
+    links.failure = { href: `${self}/failure` };
+  }
+
+  const resource = {
+    _links: links,
+    id: transfer.id,
+    status: transfer.status,
+    amount: { value: transfer.amount, currency: transfer.currency },
+    created: transfer.created
+  };
+  for (const field of ['metadata', 'correlationId', 'clearing', 'achDetails']) {
+    if (transfer[field]) resource[field] = transfer[field];
+  }
+  return resource;
+}
+
+module.exports = {
+  MOCK_BASE_URL,
+  createMockState,
+  addFundingSource,
+  href,
+  money,
+  newestFirst,
+  rootResource,
+  accountResource,
+  customerResource,
+  fundingSourceResource,
+  transferResource
+};
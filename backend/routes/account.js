@@ -0,0 +1,390 @@
+/**
+ * Master Account Routes
+ *
+ * The Dwolla account itself: details, funding sources and balance, plus
+ * moving money between balances and bank accounts.
+ */
+
+const express = require('express');
+const storage = require('../lib/store');
+const { dwollaRequest } = require('../lib/dwolla');
+const { idFromUrl, mapFundingSource } = require('../lib/hal');
+const { idempotent } = require('../lib/idempotency');
+const {
+  checkSourceFundingSource,
+  checkDestinationFundingSource,
+  checkTransferParties
+} = require('../lib/transferRules');
+const { createTransfer, transferErrorMessage } = require('../lib/transfers');
+const { ApiError } = require('../lib/errors');
+const { uuidParam } = require('../lib/params');
+
+const router = express.Router();
+
+router.param('id', uuidParam('customer'));
+
+// ----------------------------------------------------------------------------
+// MASTER ACCOUNT (YOUR ACCOUNT) ENDPOINTS
+// ----------------------------------------------------------------------------
+
+/**
+ * GET /api/me
+ * Get the master account (your Dwolla account) details
+ */
+router.get('/me', async (req, res, next) => {
+  try {
+    // DWOLLA API CALL: Get root/account info
+    // GET https://api-sandbox.dwolla.com/
+    const rootResponse = await dwollaRequest('get', '/');
+    const accountUrl = rootResponse.body._links.account.href;
+
+    // DWOLLA API CALL: Get account details
+    const accountResponse = await dwollaRequest('get', accountUrl);
+    const account = accountResponse.body;
+
+    res.json({
+      account: {
+        id: idFromUrl(accountUrl),
+        url: accountUrl,
+        name: account.name,
+        type: account.type
+      }
+    });
+  } catch (error) {
+    console.error('[Account] Error getting account:', error.message);
+    next(new ApiError(500, 'Failed to get account details', { cause: error }));
+  }
+});
+
+/**
+ * GET /api/me/funding-sources
+ * Get the master account's funding sources
+ */
+router.get('/me/funding-sources', async (req, res, next) => {
+  try {
+    // Get account URL first
+    const rootResponse = await dwollaRequest('get', '/');
+    const accountUrl = rootResponse.body._links.account.href;
+
+    // DWOLLA API CALL: List account funding sources
+    // GET https://api-sandbox.dwolla.com/accounts/{id}/funding-sources
+    const response = await dwollaRequest('get', `${accountUrl}/funding-sources`);
+
+    const fundingSources = response.body._embedded['funding-sources']
+      .filter(fs => !fs.removed)
+      .map(mapFundingSource);
+
+    res.json({ fundingSources });
+  } catch (error) {
+    console.error('[Account] Error listing funding sources:', error.message);
+    next(new ApiError(500, 'Failed to list funding sources', { cause: error }));
+  }
+});
+
+/**
+ * Get the master account URL
+ */
+async function getAccountUrl() {
+  // DWOLLA API CALL: Get root
+  // GET https://api-sandbox.dwolla.com/
+  const rootResponse = await dwollaRequest('get', '/');
+  return rootResponse.body._links.account.href;
+}
+
+/**
+ * Look up the balance of an account or verified customer
+ *
+ * @param {string} ownerUrl - Master account URL or customer URL
+ * @returns {Promise<{balanceFundingSource: object|null, balance: object|null, total: object|null}>}
+ *   balance is { value, currency }; null when there is no balance funding source
+ */
+async function getBalance(ownerUrl) {
+  // Get funding sources to find balance
+  const fsResponse = await dwollaRequest('get', `${ownerUrl}/funding-sources`);
+
+  // Find the balance funding source
+  const balanceFundingSource = fsResponse.body._embedded['funding-sources']
+    .find(fs => fs.type === 'balance' && !fs.removed) || null;
+
+  const balanceUrl = balanceFundingSource?._links.balance?.href;
+  if (!balanceUrl) {
+    return { balanceFundingSource, balance: null, total: null };
+  }
+
+  // DWOLLA API CALL: Get balance
+  const balanceResponse = await dwollaRequest('get', balanceUrl);
+  return {
+    balanceFundingSource,
+    balance: balanceResponse.body.balance,
+    total: balanceResponse.body.total || null
+  };
+}
+
+/**
+ * GET /api/me/balance
+ * Get the master account's balance (if available)
+ */
+router.get('/me/balance', async (req, res, next) => {
+  try {
+    const { balance, total } = await getBalance(await getAccountUrl());
+
+    if (balance) {
+      res.json({ balance, total });
+      return;
+    }
+
+    res.json({ balance: null, message: 'Balance not available for this account type' });
+  } catch (error) {
+    console.error('[Account] Error getting balance:', error.message);
+    next(new ApiError(500, 'Failed to get balance', { cause: error }));
+  }
+});
+
+// ----------------------------------------------------------------------------
+// BALANCE TRANSFERS
+// ----------------------------------------------------------------------------
+
+/**
+ * Validate a balance transfer amount
+ * @returns {string|null} Error message, or null if valid
+ */
+function checkBalanceTransferAmount(amount) {
+  if (!/^\d+(\.\d{1,2})?$/.test(String(amount ?? '')) || !(Number(amount) > 0)) {
+    return 'Amount must be a positive number with at most 2 decimal places';
+  }
+  return null;
+}
+
+/**
+ * Check that a balance covers an amount
+ * @returns {string|null} Insufficient funds error, or null if the balance is enough
+ */
+function checkSufficientFunds(balance, amount, label) {
+  if (Number(balance.value) < Number(amount)) {
+    return `Insufficient funds: ${label} is ${Number(balance.value).toFixed(2)} ${balance.currency}, ` +
+      `but ${Number(amount).toFixed(2)} ${balance.currency} was requested.`;
+  }
+  return null;
+}
+
+/**
+ * Find a verified bank funding source of an account or customer
+ *
+ * @param {string} ownerUrl - Master account URL or customer URL
+ * @param {string} bankFundingSourceId - Specific funding source to use (optional)
+ * @returns {Promise<{bank: object|null, error: string|null}>}
+ */
+async function getVerifiedBank(ownerUrl, bankFundingSourceId) {
+  const fsResponse = await dwollaRequest('get', `${ownerUrl}/funding-sources`);
+  const banks = fsResponse.body._embedded['funding-sources']
+    .filter(fs => fs.type === 'bank' && !fs.removed);
+
+  const bank = bankFundingSourceId
+    ? banks.find(fs => idFromUrl(fs._links.self.href) === bankFundingSourceId)
+    : banks.find(fs => fs.status === 'verified');
+
+  if (!bank) {
+    return {
+      bank: null,
+      error: bankFundingSourceId ? 'Bank funding source not found' : 'No verified bank account found'
+    };
+  }
+  if (bank.status !== 'verified') {
+    return { bank: null, error: 'Bank funding source is not verified' };
+  }
+  return { bank, error: null };
+}
+
+/**
+ * POST /api/me/balance/fund
+ * Move money from the master account's bank into its Dwolla balance
+ *
+ * Body: amount, bankFundingSourceId (optional, defaults to the first verified bank)
+ */
+router.post('/me/balance/fund', idempotent('balance-fund'), async (req, res, next) => {
+  try {
+    const { amount, bankFundingSourceId } = req.body;
+
+    const amountError = checkBalanceTransferAmount(amount);
+    if (amountError) {
+      return next(new ApiError(400, amountError));
+    }
+
+    const accountUrl = await getAccountUrl();
+    const { balanceFundingSource, balance } = await getBalance(accountUrl);
+    if (!balanceFundingSource) {
+      return next(new ApiError(400, 'This account has no Dwolla balance to fund'));
+    }
+
+    const { bank, error: bankError } = await getVerifiedBank(accountUrl, bankFundingSourceId);
+    if (bankError) {
+      return next(new ApiError(400, bankError));
+    }
+
+    console.log('[Balance] Funding balance with', amount, 'from bank:', bank.name);
+
+    const transfer = await createTransfer({
+      sourceFundingSourceUrl: bank._links.self.href,
+      destinationFundingSourceUrl: balanceFundingSource._links.self.href,
+      amount,
+      currency: 'USD',
+      idempotencyKey: req.idempotencyKey
+    });
+
+    res.status(201).json({ success: true, transfer, balanceBefore: balance });
+  } catch (error) {
+    console.error('[Balance] Error funding balance:', error.message);
+    next(new ApiError(400, transferErrorMessage(error, 'Failed to fund balance'), { cause: error }));
+  }
+});
+
+/**
+ * POST /api/me/balance/withdraw
+ * Move money from the master account's Dwolla balance back to its bank
+ *
+ * Body: amount, bankFundingSourceId (optional, defaults to the first verified bank)
+ */
+router.post('/me/balance/withdraw', idempotent('balance-withdraw'), async (req, res, next) => {
+  try {
+    const { amount, bankFundingSourceId } = req.body;
+
+    const amountError = checkBalanceTransferAmount(amount);
+    if (amountError) {
+      return next(new ApiError(400, amountError));
+    }
+
+    const accountUrl = await getAccountUrl();
+    const { balanceFundingSource, balance } = await getBalance(accountUrl);
+    if (!balanceFundingSource || !balance) {
+      return next(new ApiError(400, 'This account has no Dwolla balance to withdraw from'));
+    }
+
+    const fundsError = checkSufficientFunds(balance, amount, 'the account balance');
+    if (fundsError) {
+      return next(new ApiError(400, fundsError));
+    }
+
+    const { bank, error: bankError } = await getVerifiedBank(accountUrl, bankFundingSourceId);
+    if (bankError) {
+      return next(new ApiError(400, bankError));
+    }
+
+    console.log('[Balance] Withdrawing', amount, 'to bank:', bank.name);
+
+    const transfer = await createTransfer({
+      sourceFundingSourceUrl: balanceFundingSource._links.self.href,
+      destinationFundingSourceUrl: bank._links.self.href,
+      amount,
+      currency: 'USD',
+      idempotencyKey: req.idempotencyKey
+    });
+
+    res.status(201).json({ success: true, transfer, balanceBefore: balance });
+  } catch (error) {
+    console.error('[Balance] Error withdrawing from balance:', error.message);
+    next(new ApiError(400, transferErrorMessage(error, 'Failed to withdraw from balance'), { cause: error }));
+  }
+});
+
+/**
+ * GET /api/customers/:id/balance
+ * Get a verified customer's Dwolla balance
+ */
+router.get('/customers/:id/balance', async (req, res, next) => {
+  try {
+    const localCustomer = await storage.customers.findById(req.params.id);
+    if (!localCustomer) {
+      return next(new ApiError(404, 'Customer not found'));
+    }
+
+    const { balanceFundingSource, balance, total } = await getBalance(localCustomer.url);
+    if (!balanceFundingSource || !balance) {
+      return res.json({ balance: null, message: 'Only verified customers have a Dwolla balance' });
+    }
+
+    res.json({
+      balance,
+      total,
+      balanceFundingSourceUrl: balanceFundingSource._links.self.href
+    });
+  } catch (error) {
+    console.error('[Balance] Error getting customer balance:', error.message);
+    next(new ApiError(500, 'Failed to get customer balance', { cause: error }));
+  }
+});
+
+/**
+ * POST /api/customers/:id/balance/transfer
+ * Move money out of a verified customer's Dwolla balance
+ *
+ * Body: amount, and either destinationFundingSourceUrl (any funding source
+ * the customer may pay, e.g. the master account's balance) or nothing to
+ * withdraw to the customer's own verified bank (bankFundingSourceId picks one)
+ */
+router.post('/customers/:id/balance/transfer', idempotent('customer-balance'), async (req, res, next) => {
+  try {
+    const { amount, destinationFundingSourceUrl, bankFundingSourceId } = req.body;
+
+    const localCustomer = await storage.customers.findById(req.params.id);
+    if (!localCustomer) {
+      return next(new ApiError(404, 'Customer not found'));
+    }
+
+    const amountError = checkBalanceTransferAmount(amount);
+    if (amountError) {
+      return next(new ApiError(400, amountError));
+    }
+
+    const { balanceFundingSource, balance } = await getBalance(localCustomer.url);
+    if (!balanceFundingSource || !balance) {
+      return next(new ApiError(400, 'Only verified customers have a Dwolla balance'));
+    }
+
+    const fundsError = checkSufficientFunds(balance, amount, "the customer's balance");
+    if (fundsError) {
+      return next(new ApiError(400, fundsError));
+    }
+
+    let destinationUrl = destinationFundingSourceUrl;
+    if (!destinationUrl) {
+      const { bank, error: bankError } = await getVerifiedBank(localCustomer.url, bankFundingSourceId);
+      if (bankError) {
+        return next(new ApiError(400, bankError));
+      }
+      destinationUrl = bank._links.self.href;
+    }
+
+    const sourceUrl = balanceFundingSource._links.self.href;
+    const { error: sourceError, owner: sourceOwner } = await checkSourceFundingSource(sourceUrl);
+    if (sourceError) {
+      return next(new ApiError(400, sourceError));
+    }
+
+    const { error: destinationError, owner: destinationOwner } = await checkDestinationFundingSource(destinationUrl, false);
+    if (destinationError) {
+      return next(new ApiError(400, destinationError));
+    }
+
+    const partiesError = checkTransferParties(sourceOwner, destinationOwner);
+    if (partiesError) {
+      return next(new ApiError(400, partiesError));
+    }
+
+    console.log('[Balance] Moving', amount, 'from customer balance:', localCustomer.id);
+
+    const transfer = await createTransfer({
+      sourceFundingSourceUrl: sourceUrl,
+      destinationFundingSourceUrl: destinationUrl,
+      amount,
+      currency: 'USD',
+      idempotencyKey: req.idempotencyKey
+    });
+
+    res.status(201).json({ success: true, transfer, balanceBefore: balance });
+  } catch (error) {
+    console.error('[Balance] Error moving customer balance:', error.message);
+    next(new ApiError(400, transferErrorMessage(error, 'Failed to move funds from customer balance'), { cause: error }));
+  }
+});
+
+module.exports = router;
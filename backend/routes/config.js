@@ -0,0 +1,109 @@
+/**
+ * Configuration Routes
+ *
+ * Connect the dashboard to a Dwolla account with an API key and secret,
+ * and report whether it's connected.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const storage = require('../lib/store');
+const { dwollaConfig, DWOLLA_ENVIRONMENT, initializeDwollaClient, getValidAccessToken } = require('../lib/dwolla');
+const { ApiError } = require('../lib/errors');
+
+const router = express.Router();
+
+// ----------------------------------------------------------------------------
+// CONFIGURATION ENDPOINTS
+// ----------------------------------------------------------------------------
+
+/**
+ * SHA-256 fingerprint of an API key
+ * Enough to tell whether the account changed without storing the key.
+ */
+function fingerprintKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * POST /api/config
+ * Save Dwolla API credentials and initialize the client
+ *
+ * This endpoint receives the API key and secret from the frontend,
+ * stores them in memory, initializes the Dwolla client, and obtains
+ * an initial access token to verify the credentials are valid.
+ */
+router.post('/config', async (req, res, next) => {
+  try {
+    const { key, secret, webhookSecret } = req.body;
+
+    if (!key || !secret) {
+      return next(new ApiError(400, 'Both API key and secret are required'));
+    }
+
+    // Store credentials in memory (NOT persisted, NOT hardcoded)
+    dwollaConfig.key = key;
+    dwollaConfig.secret = secret;
+
+    // The webhook secret is optional - without it, webhooks are stored as unverified
+    if (webhookSecret) {
+      dwollaConfig.webhookSecret = webhookSecret;
+    }
+
+    // Initialize the Dwolla SDK client
+    initializeDwollaClient(key, secret);
+
+    // Immediately request an access token to verify credentials
+    await getValidAccessToken();
+
+    // Clear previous data only when switching to a different Dwolla account
+    // Reconnecting with the same key keeps webhook history and local metadata.
+    // Only a fingerprint of the key is stored, never the key itself
+    const keyFingerprint = fingerprintKey(key);
+    const previousFingerprint = await storage.getValue('accountKeyFingerprint');
+    if (previousFingerprint && previousFingerprint !== keyFingerprint) {
+      console.log('[Config] Different API key, clearing stored data');
+      await storage.clearRepositories();
+    }
+    await storage.setValue('accountKeyFingerprint', keyFingerprint);
+
+    console.log('[Config] Dwolla credentials configured successfully');
+
+    res.json({
+      success: true,
+      message: 'Dwolla credentials configured successfully',
+      tokenExpiresIn: dwollaConfig.expiresIn
+    });
+  } catch (error) {
+    console.error('[Config] Error:', error.message);
+    next(new ApiError(400, error.message || 'Failed to configure Dwolla credentials', { cause: error }));
+  }
+});
+
+/**
+ * GET /api/config/status
+ * Check if Dwolla is configured and token status
+ */
+router.get('/config/status', (req, res) => {
+  const isConfigured = !!(dwollaConfig.key && dwollaConfig.secret);
+  const hasToken = !!dwollaConfig.accessToken;
+
+  let tokenStatus = 'none';
+  if (hasToken) {
+    const now = Date.now();
+    const tokenAge = (now - dwollaConfig.tokenCreatedAt) / 1000;
+    const remainingTime = dwollaConfig.expiresIn - tokenAge;
+    tokenStatus = remainingTime > 0 ? 'valid' : 'expired';
+  }
+
+  res.json({
+    isConfigured,
+    hasToken,
+    tokenStatus,
+    hasWebhookSecret: !!dwollaConfig.webhookSecret,
+    environment: DWOLLA_ENVIRONMENT,
+    remainingTokenTime: hasToken ? Math.max(0, dwollaConfig.expiresIn - ((Date.now() - dwollaConfig.tokenCreatedAt) / 1000)) : 0
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,1374 @@
+/**
+ * Customer Routes
+ *
+ * Customers and everything about their identity: creation, search,
+ * profile updates, status changes, verification, business details,
+ * beneficial owners and documents. Also the list of customers eligible
+ * for payouts.
+ *
+ * Routes are matched in the order they're registered, so static paths
+ * like /customers/eligible come before /customers/:id. Customer IDs must
+ * be UUIDs; anything else is rejected with 400 before reaching Dwolla.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const multer = require('multer');
+const FormData = require('form-data');
+const storage = require('../lib/store');
+const { dwollaRequest, dwollaListAll, dwollaListPage, dwollaMapLimited } = require('../lib/dwolla');
+const { idempotent } = require('../lib/idempotency');
+const { parsePagination, parseCustomerFilters, withFilters } = require('../lib/query');
+const { getCustomerTransferRules, getPayableFundingSources } = require('../lib/transferRules');
+const { uuidParam } = require('../lib/params');
+const { idFromUrl, mapCustomer, mapFundingSource, mapBeneficialOwner, mapDocument } = require('../lib/hal');
+const { ApiError, fieldError, requiredFieldErrors, dwollaErrorMessage } = require('../lib/errors');
+
+const router = express.Router();
+
+router.param('id', uuidParam('customer'));
+router.param('ownerId', uuidParam('beneficial owner'));
+
+// ----------------------------------------------------------------------------
+// CUSTOMER ENDPOINTS
+// ----------------------------------------------------------------------------
+
+/**
+ * Check that no other customer already uses an email or phone number
+ *
+ * @param {object} contact - { email, phone } (either may be missing)
+ * @param {string} excludeId - Customer ID to ignore (the one being updated)
+ * @returns {Promise<string|null>} Error message, or null if neither is taken
+ */
+async function checkDuplicateCustomer({ email, phone }, excludeId = null) {
+  if (email) {
+    const emailExists = await storage.customers.exists(c =>
+      c.id !== excludeId && c.email && c.email.toLowerCase() === email.toLowerCase());
+    if (emailExists) {
+      return fieldError('/email', 'Duplicate', 'A customer with this email already exists');
+    }
+  }
+
+  if (phone) {
+    const phoneExists = await storage.customers.exists(c => c.id !== excludeId && c.phone === phone);
+    if (phoneExists) {
+      return fieldError('/phone', 'Duplicate', 'A customer with this phone number already exists');
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Customer types that can be requested when creating a customer
+ * personal and business both create an unverified customer; business
+ * just adds a business name.
+ */
+const CUSTOMER_CREATE_TYPES = ['personal', 'business', 'receive-only'];
+
+/**
+ * POST /api/customers
+ * Create a new customer in Dwolla
+ *
+ * This endpoint:
+ * 1. Validates that email/phone don't already exist (duplicate check)
+ * 2. Creates the customer in Dwolla
+ * 3. Follows the Location header to get the created customer details
+ * 4. Stores minimal metadata locally for future duplicate checks
+ *
+ * Idempotent: repeating the request with the same Idempotency-Key header
+ * (or the same body, if no key is sent) returns the original response.
+ */
+router.post('/customers', idempotent('customers'), async (req, res, next) => {
+  try {
+    const { firstName, lastName, email, phone, type, businessName } = req.body;
+
+    // Validation: Required fields
+    const missingFields = ['firstName', 'lastName', 'email'].filter(field => !req.body[field]);
+    if (missingFields.length > 0) {
+      return next(new ApiError(400, 'First name, last name, and email are required', {
+        fields: requiredFieldErrors(missingFields)
+      }));
+    }
+
+    // Validation: Customer type
+    if (type && !CUSTOMER_CREATE_TYPES.includes(type)) {
+      const message = `Type must be one of: ${CUSTOMER_CREATE_TYPES.join(', ')}`;
+      return next(new ApiError(400, message, { fields: [fieldError('/type', 'Invalid', message)] }));
+    }
+
+    // Validation: Check for duplicate email / phone in our local store
+    const duplicateError = await checkDuplicateCustomer({ email, phone });
+    if (duplicateError) {
+      return next(new ApiError(400, duplicateError.message, { fields: [duplicateError] }));
+    }
+
+    // Build the customer request body based on type
+    // Dwolla supports different customer types with different required fields
+    let customerBody = {
+      firstName,
+      lastName,
+      email
+    };
+
+    // Add optional fields if provided
+    if (phone) customerBody.phone = phone;
+
+    // Business customers start out unverified with just a business name.
+    // Verified business details (business type, EIN, controller) are sent
+    // later through POST /api/customers/:id/verify with type: 'business'.
+    if (type === 'business') {
+      customerBody.businessName = businessName || `${firstName} ${lastName} Business`;
+    }
+
+    // Receive-only customers can be paid but never send funds
+    // (see getCustomerTransferRules). They can be upgraded to verified
+    // later through POST /api/customers/:id/upgrade.
+    if (type === 'receive-only') {
+      customerBody.type = 'receive-only';
+      if (businessName) customerBody.businessName = businessName;
+    }
+
+    console.log('[Customers] Creating customer:', email);
+
+    // DWOLLA API CALL: Create customer
+    // POST https://api-sandbox.dwolla.com/customers
+    // Returns 201 with Location header containing the new customer URL
+    const response = await dwollaRequest('post', 'customers', customerBody, {
+      'Idempotency-Key': req.idempotencyKey
+    });
+
+    // The response headers contain the Location of the created resource
+    // Dwolla returns 201 with empty body, so we need to follow the Location
+    const customerUrl = response.headers.get('location');
+
+    console.log('[Customers] Customer created, fetching details from:', customerUrl);
+
+    // DWOLLA API CALL: Fetch created customer details
+    // GET the customer URL from Location header
+    const customerDetails = await dwollaRequest('get', customerUrl);
+    const customer = customerDetails.body;
+
+    // Store minimal metadata locally for duplicate checking and quick lookups
+    const customerRecord = {
+      ...mapCustomer(customer),
+      phone: phone || null,
+      type: customer.type || type || 'personal',
+      businessName: customer.businessName || customerBody.businessName || null
+    };
+
+    await storage.customers.add(customerRecord);
+
+    console.log('[Customers] Customer stored locally:', customerRecord.id, 'Status:', customer.status);
+
+    res.status(201).json({
+      success: true,
+      customer: customerRecord
+    });
+  } catch (error) {
+    console.error('[Customers] Error creating customer:', error.message);
+
+    // Parse Dwolla error messages for user-friendly display
+    next(new ApiError(400, dwollaErrorMessage(error, error.message || 'Failed to create customer'), { cause: error }));
+  }
+});
+
+/**
+ * GET /api/customers
+ * List all customers from Dwolla Sandbox
+ *
+ * This fetches ALL customers from the Dwolla API, not just those created
+ * in the current session. This ensures previously created customers
+ * (from past sessions or directly from Dwolla dashboard) appear.
+ *
+ * Query parameters:
+ * - limit: Page size (1-200). Without it, every page is fetched (full sync)
+ * - offset: Number of customers to skip (default 0), with or without a limit
+ * - search: Filter by name, business name or email
+ * - status: Filter by verification status
+ */
+router.get('/customers', async (req, res, next) => {
+  try {
+    const { limit, offset, error: paginationError } = parsePagination(req.query);
+    if (paginationError) {
+      return next(new ApiError(400, paginationError));
+    }
+
+    const { filters, error: filterError } = parseCustomerFilters(req.query);
+    if (filterError) {
+      return next(new ApiError(400, filterError));
+    }
+    const customersUrl = withFilters('customers', filters);
+
+    // DWOLLA API CALL: List customers
+    // GET https://api-sandbox.dwolla.com/customers
+    let dwollaCustomers;
+    let total;
+    if (limit) {
+      console.log('[Customers] Fetching customers from Dwolla, limit:', limit, 'offset:', offset);
+      ({ items: dwollaCustomers, total } = await dwollaListPage(customersUrl, 'customers', { limit, offset }));
+    } else {
+      // Dwolla's offset only applies to a page, so skip past it here (like /customers/eligible)
+      console.log('[Customers] Fetching all customers from Dwolla...');
+      const allCustomers = await dwollaListAll(customersUrl, 'customers');
+      total = allCustomers.length;
+      dwollaCustomers = allCustomers.slice(offset);
+    }
+
+    // Map Dwolla response to our format
+    const customers = dwollaCustomers.map(mapCustomer);
+
+    // Update local store with fetched customers (for duplicate checking on create)
+    await storage.customers.upsertMany(customers);
+
+    console.log('[Customers] Found', customers.length, 'of', total, 'customers from Dwolla');
+
+    res.json({ customers, total, limit, offset });
+  } catch (error) {
+    console.error('[Customers] Error listing customers:', error.message);
+    next(new ApiError(500, 'Failed to list customers from Dwolla', { cause: error }));
+  }
+});
+
+// ----------------------------------------------------------------------------
+// ELIGIBLE CUSTOMERS FOR PAYOUTS
+// ----------------------------------------------------------------------------
+
+/**
+ * GET /api/customers/eligible
+ * Get customers eligible for payouts
+ *
+ * Query parameters:
+ * - includeUnverified=true: Include unverified funding sources for verified customers
+ * - limit / offset: Page through the eligible customers (all are returned without a limit)
+ *
+ * Per Dwolla documentation, verified customers can receive payments to unverified
+ * funding sources (micro-deposits will be used to verify the account).
+ * Unverified customers can be paid to verified funding sources, and receive-only
+ * customers to any of their funding sources. Suspended, deactivated and
+ * partially verified (retry / document) customers are never eligible.
+ */
+router.get('/customers/eligible', async (req, res, next) => {
+  try {
+    const includeUnverified = req.query.includeUnverified === 'true';
+
+    const { limit, offset, error: paginationError } = parsePagination(req.query);
+    if (paginationError) {
+      return next(new ApiError(400, paginationError));
+    }
+
+    console.log('[Eligible] Fetching eligible customers, includeUnverified:', includeUnverified);
+
+    // First, fetch all customers from Dwolla to ensure we have the latest
+    // Eligibility depends on funding sources, so every customer has to be checked
+    const allCustomers = await dwollaListAll('customers', 'customers');
+
+    // Funding sources are looked up a few customers at a time, keeping Dwolla's order
+    const checkedCustomers = await dwollaMapLimited(allCustomers, async (dwollaCustomer) => {
+      // Skip customers that can't receive funds at all
+      if (!getCustomerTransferRules(dwollaCustomer).canReceive) {
+        return null;
+      }
+
+      const customer = mapCustomer(dwollaCustomer);
+
+      // Check for funding sources
+      try {
+        const eligibleSources = await getPayableFundingSources(dwollaCustomer, includeUnverified);
+
+        if (eligibleSources.length > 0) {
+          return {
+            ...customer,
+            fundingSources: eligibleSources.map(mapFundingSource)
+          };
+        }
+      } catch (err) {
+        console.warn('[Eligible] Failed to check funding sources for:', customer.id);
+      }
+      return null;
+    });
+    const eligibleCustomers = checkedCustomers.filter(Boolean);
+
+    console.log('[Eligible] Found', eligibleCustomers.length, 'eligible customers');
+
+    const total = eligibleCustomers.length;
+    const customers = limit
+      ? eligibleCustomers.slice(offset, offset + limit)
+      : eligibleCustomers.slice(offset);
+
+    res.json({ customers, total, limit, offset });
+  } catch (error) {
+    console.error('[Eligible] Error:', error.message);
+    next(new ApiError(500, 'Failed to get eligible customers', { cause: error }));
+  }
+});
+
+// ----------------------------------------------------------------------------
+// CUSTOMER ENDPOINTS (BY ID)
+// ----------------------------------------------------------------------------
+
+/**
+ * GET /api/customers/:id
+ * Get a specific customer's details from Dwolla
+ */
+router.get('/customers/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Find customer in local store
+    const localCustomer = await storage.customers.findById(id);
+    if (!localCustomer) {
+      return next(new ApiError(404, 'Customer not found'));
+    }
+
+    // DWOLLA API CALL: Get customer details
+    // GET https://api-sandbox.dwolla.com/customers/{id}
+    const response = await dwollaRequest('get', localCustomer.url);
+    const customer = response.body;
+
+    // Update local store with fresh status
+    const updatedCustomer = await storage.customers.update(id, { status: customer.status });
+
+    res.json({ customer: { ...updatedCustomer, dwollaData: customer } });
+  } catch (error) {
+    console.error('[Customers] Error getting customer:', error.message);
+    next(new ApiError(500, 'Failed to get customer details', { cause: error }));
+  }
+});
+
+/**
+ * Address fields that can be changed on a verified customer
+ * address2 is optional; the rest have to be sent together.
+ */
+const CUSTOMER_ADDRESS_FIELDS = ['address1', 'address2', 'city', 'state', 'postalCode'];
+
+/**
+ * PATCH /api/customers/:id
+ * Update a customer's email, phone or address
+ *
+ * Body: any of email, phone, address1, address2, city, state, postalCode
+ *
+ * Per Dwolla, unverified and receive-only customers can only change their
+ * email here; phone and address belong to verified customers. Suspended
+ * and deactivated customers can't be updated.
+ */
+router.patch('/customers/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { email, phone } = req.body;
+
+    const localCustomer = await storage.customers.findById(id);
+    if (!localCustomer) {
+      return next(new ApiError(404, 'Customer not found'));
+    }
+
+    const addressFields = CUSTOMER_ADDRESS_FIELDS.filter(field => req.body[field] !== undefined);
+    if (email === undefined && phone === undefined && addressFields.length === 0) {
+      return next(new ApiError(400, 'Nothing to update. Send email, phone or address fields (address1, address2, city, state, postalCode).'));
+    }
+
+    if (addressFields.length > 0) {
+      const missing = ['address1', 'city', 'state', 'postalCode'].filter(field => !req.body[field]);
+      if (missing.length > 0) {
+        return next(new ApiError(400, `Address updates need address1, city, state and postalCode (missing: ${missing.join(', ')})`, {
+          fields: requiredFieldErrors(missing)
+        }));
+      }
+    }
+
+    // Validation: Check for duplicate email / phone among other customers
+    const duplicateError = await checkDuplicateCustomer({ email, phone }, id);
+    if (duplicateError) {
+      return next(new ApiError(400, duplicateError.message, { fields: [duplicateError] }));
+    }
+
+    // DWOLLA API CALL: Get current customer type and status
+    const currentResponse = await dwollaRequest('get', localCustomer.url);
+    const { type: currentType, status: currentStatus } = currentResponse.body;
+
+    if (currentStatus === 'suspended' || currentStatus === 'deactivated') {
+      return next(new ApiError(400, `Customer is ${currentStatus} and cannot be updated`));
+    }
+    if ((currentType === 'unverified' || currentType === 'receive-only') && (phone !== undefined || addressFields.length > 0)) {
+      return next(new ApiError(400, `Phone and address can only be updated on verified customers (current type: ${currentType})`));
+    }
+
+    const updateBody = {};
+    if (email !== undefined) updateBody.email = email;
+    if (phone !== undefined) updateBody.phone = phone;
+    for (const field of addressFields) {
+      updateBody[field] = req.body[field];
+    }
+
+    console.log('[Customers] Updating customer:', id, 'Fields:', Object.keys(updateBody).join(', '));
+
+    // DWOLLA API CALL: Update customer
+    // POST https://api-sandbox.dwolla.com/customers/{id}
+    await dwollaRequest('post', localCustomer.url, updateBody);
+
+    // Fetch updated customer details
+    const updatedResponse = await dwollaRequest('get', localCustomer.url);
+    const updatedCustomer = updatedResponse.body;
+
+    const customerRecord = await storage.customers.update(id, {
+      email: updatedCustomer.email || email || localCustomer.email,
+      phone: phone !== undefined ? phone : localCustomer.phone,
+      type: updatedCustomer.type || localCustomer.type,
+      status: updatedCustomer.status
+    });
+
+    res.json({ success: true, customer: customerRecord });
+  } catch (error) {
+    console.error('[Customers] Error updating customer:', error.message);
+
+    next(new ApiError(400, dwollaErrorMessage(error, 'Failed to update customer'), { cause: error }));
+  }
+});
+
+/**
+ * Customer status actions and the Dwolla status transitions they allow
+ *
+ * - deactivate: any active status -> deactivated (blocks transfers and updates)
+ * - reactivate: deactivated -> back to the status it had before
+ * - suspend: any active status -> suspended (a sandbox action; in production
+ *   only Dwolla can suspend a customer, and this app only talks to the
+ *   sandbox or the mock - see lib/dwolla.js)
+ */
+const CUSTOMER_STATUS_ACTIONS = {
+  deactivate: { status: 'deactivated', from: ['unverified', 'retry', 'document', 'verified'] },
+  reactivate: { status: 'reactivated', from: ['deactivated'] },
+  suspend: { status: 'suspended', from: ['unverified', 'retry', 'document', 'verified'] }
+};
+
+/**
+ * Route handler factory for a customer status action
+ * Checks the transition against the customer's current status in Dwolla
+ * before asking Dwolla to change it.
+ *
+ * @param {string} action - Key of CUSTOMER_STATUS_ACTIONS
+ */
+function changeCustomerStatus(action) {
+  const { status, from } = CUSTOMER_STATUS_ACTIONS[action];
+
+  return async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const localCustomer = await storage.customers.findById(id);
+      if (!localCustomer) {
+        return next(new ApiError(404, 'Customer not found'));
+      }
+
+      // DWOLLA API CALL: Get current customer status
+      const currentResponse = await dwollaRequest('get', localCustomer.url);
+      const currentStatus = currentResponse.body.status;
+
+      if (!from.includes(currentStatus)) {
+        await storage.customers.update(id, { status: currentStatus });
+        return next(new ApiError(400, `Cannot ${action} a customer in ${currentStatus} status (allowed from: ${from.join(', ')})`));
+      }
+
+      console.log('[Customers] Changing customer', id, 'status:', currentStatus, '->', status);
+
+      // DWOLLA API CALL: Change customer status
+      // POST https://api-sandbox.dwolla.com/customers/{id} with { status }
+      await dwollaRequest('post', localCustomer.url, { status });
+
+      // Reactivated customers go back to their previous status, so read it back
+      const updatedResponse = await dwollaRequest('get', localCustomer.url);
+      const customerRecord = await storage.customers.update(id, { status: updatedResponse.body.status });
+
+      res.json({
+        success: true,
+        message: `Customer status changed from ${currentStatus} to ${customerRecord.status}`,
+        previousStatus: currentStatus,
+        customer: customerRecord
+      });
+    } catch (error) {
+      console.error(`[Customers] Error trying to ${action} customer:`, error.message);
+
+      next(new ApiError(400, dwollaErrorMessage(error, `Failed to ${action} customer`), { cause: error }));
+    }
+  };
+}
+
+/**
+ * POST /api/customers/:id/deactivate
+ * Deactivate a customer
+ */
+router.post('/customers/:id/deactivate', changeCustomerStatus('deactivate'));
+
+/**
+ * POST /api/customers/:id/reactivate
+ * Reactivate a deactivated customer
+ */
+router.post('/customers/:id/reactivate', changeCustomerStatus('reactivate'));
+
+/**
+ * POST /api/customers/:id/suspend
+ * Suspend a customer (sandbox only)
+ */
+router.post('/customers/:id/suspend', changeCustomerStatus('suspend'));
+
+/**
+ * Fields compared between verification attempts
+ * The SSN is only ever kept as its last 4 digits (ssnLast4).
+ */
+const VERIFICATION_ATTEMPT_FIELDS = [
+  'firstName', 'lastName', 'email', 'address1', 'address2', 'city', 'state',
+  'postalCode', 'dateOfBirth', 'ssnLast4', 'businessName', 'businessType', 'ein'
+];
+
+/**
+ * Pick the fields of a verification body worth keeping in the attempt history
+ */
+function verificationAttemptFields(verificationBody) {
+  const fields = {};
+  for (const field of VERIFICATION_ATTEMPT_FIELDS) {
+    if (field === 'ssnLast4') {
+      if (verificationBody.ssn) fields.ssnLast4 = String(verificationBody.ssn).replace(/\D/g, '').slice(-4);
+    } else if (verificationBody[field]) {
+      fields[field] = verificationBody[field];
+    }
+  }
+  return fields;
+}
+
+/**
+ * List a customer's verification attempts, newest first
+ */
+async function getVerificationAttempts(customerId) {
+  const attempts = (await storage.verificationAttempts.all()).filter(a => a.customerId === customerId);
+  return attempts.sort((a, b) => b.attemptNumber - a.attemptNumber);
+}
+
+/**
+ * Send verification info to Dwolla and record the attempt
+ *
+ * The attempt is recorded whether Dwolla accepts it or not, so the
+ * history shows failed submissions too. Dwolla errors are rethrown.
+ *
+ * @param {object} localCustomer - Local customer record
+ * @param {object} verificationBody - Body to POST to the customer
+ * @param {string} kind - 'initial' (POST /verify), 'retry' (POST /verify/retry) or 'upgrade' (POST /upgrade)
+ * @param {string[]} changedFields - Fields changed since the previous attempt
+ * @returns {Promise<{customer: object, attempt: object}>}
+ */
+async function submitVerification(localCustomer, verificationBody, kind, changedFields = []) {
+  const previousAttempts = await getVerificationAttempts(localCustomer.id);
+  const attempt = {
+    id: crypto.randomUUID(),
+    customerId: localCustomer.id,
+    attemptNumber: previousAttempts.length + 1,
+    kind,
+    type: verificationBody.type,
+    fields: verificationAttemptFields(verificationBody),
+    changedFields,
+    previousStatus: localCustomer.status,
+    resultStatus: null,
+    error: null,
+    submittedAt: new Date().toISOString()
+  };
+
+  try {
+    // DWOLLA API CALL: Update customer with verification info
+    // POST to the customer URL with additional KYC data
+    // This upgrades an unverified customer to verified (in sandbox with correct SSN)
+    await dwollaRequest('post', localCustomer.url, verificationBody);
+
+    // Fetch updated customer to get new status
+    const updatedResponse = await dwollaRequest('get', localCustomer.url);
+    const updatedCustomer = updatedResponse.body;
+
+    // Update local store
+    const customerRecord = await storage.customers.update(localCustomer.id, {
+      status: updatedCustomer.status,
+      type: updatedCustomer.type || localCustomer.type,
+      businessName: updatedCustomer.businessName || localCustomer.businessName || null
+    });
+
+    attempt.resultStatus = updatedCustomer.status;
+    await storage.verificationAttempts.add(attempt);
+
+    return { customer: customerRecord, attempt };
+  } catch (error) {
+    attempt.error = dwollaErrorMessage(error, error.message);
+    await storage.verificationAttempts.add(attempt);
+    throw error;
+  }
+}
+
+/**
+ * POST /api/customers/:id/verify
+ * Submit verification information for a customer (KYC)
+ *
+ * In sandbox, this simulates the verification process.
+ * For unverified customers, we can upgrade them by providing SSN/address info.
+ *
+ * With type: 'business', the customer is verified as a business instead
+ * (see buildBusinessVerificationBody for the required fields).
+ */
+router.post('/customers/:id/verify', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { ssn, dateOfBirth, address1, city, state, postalCode, type } = req.body;
+
+    // Find customer in local store
+    const localCustomer = await storage.customers.findById(id);
+    if (!localCustomer) {
+      return next(new ApiError(404, 'Customer not found'));
+    }
+
+    console.log('[Customers] Verifying customer:', id);
+
+    // For sandbox testing, we'll update the customer with verification info
+    // In sandbox, using specific SSN patterns triggers different verification statuses:
+    // - SSN ending in 0000: verified
+    // - SSN ending in 0001: retry status
+    // - SSN ending in 0002: document status
+    // - SSN ending in 0003: suspended status
+
+    let verificationBody;
+    if (type === 'business') {
+      const { body: businessBody, error: businessError } = buildBusinessVerificationBody(localCustomer, req.body);
+      if (businessError) {
+        return next(new ApiError(400, businessError.message, { fields: [businessError] }));
+      }
+      verificationBody = businessBody;
+    } else {
+      verificationBody = {
+        firstName: localCustomer.firstName,
+        lastName: localCustomer.lastName,
+        email: localCustomer.email,
+        type: 'personal',
+        address1: address1 || '123 Main St',
+        city: city || 'San Francisco',
+        state: state || 'CA',
+        postalCode: postalCode || '94105',
+        dateOfBirth: dateOfBirth || '1990-01-01',
+        ssn: ssn || '1234' // Last 4 digits for personal verified customers
+      };
+    }
+
+    const { customer: customerRecord } = await submitVerification(localCustomer, verificationBody, 'initial');
+
+    console.log('[Customers] Customer verification submitted, new status:', customerRecord.status);
+
+    res.json({
+      success: true,
+      message: `Verification submitted. Customer status: ${customerRecord.status}`,
+      customer: customerRecord
+    });
+  } catch (error) {
+    console.error('[Customers] Error verifying customer:', error.message);
+
+    next(new ApiError(400, dwollaErrorMessage(error, 'Failed to verify customer'), { cause: error }));
+  }
+});
+
+/**
+ * POST /api/customers/:id/verify/retry
+ * Retry verification for a personal customer in "retry" status
+ *
+ * Dwolla only gives one retry, and it needs the full 9-digit SSN along
+ * with the rest of the customer's details. Nothing is filled in with
+ * placeholders: firstName, lastName and email default to what is on
+ * file, everything else must be sent.
+ *
+ * Body: address1, city, state, postalCode, dateOfBirth (YYYY-MM-DD),
+ *       ssn (9 digits), and optionally address2, firstName, lastName, email
+ *
+ * The response lists the fields that changed since the previous attempt.
+ */
+router.post('/customers/:id/verify/retry', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const localCustomer = await storage.customers.findById(id);
+    if (!localCustomer) {
+      return next(new ApiError(404, 'Customer not found'));
+    }
+
+    // DWOLLA API CALL: Get current customer status
+    // The local status may lag behind if webhooks aren't configured
+    const currentResponse = await dwollaRequest('get', localCustomer.url);
+    const currentStatus = currentResponse.body.status;
+    if (currentStatus !== 'retry') {
+      await storage.customers.update(id, { status: currentStatus });
+      return next(new ApiError(400, `Only customers in retry status can retry verification (current status: ${currentStatus})`));
+    }
+
+    const missingFields = ['address1', 'city', 'state', 'postalCode', 'dateOfBirth', 'ssn']
+      .filter(field => !req.body[field]);
+    if (missingFields.length > 0) {
+      return next(new ApiError(400, `Missing required fields: ${missingFields.join(', ')}`, {
+        fields: requiredFieldErrors(missingFields)
+      }));
+    }
+    if (!/^\d{3}-?\d{2}-?\d{4}$/.test(req.body.ssn)) {
+      const message = 'Retry verification needs the full 9-digit SSN';
+      return next(new ApiError(400, message, { fields: [fieldError('/ssn', 'Invalid', message)] }));
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(req.body.dateOfBirth)) {
+      const message = 'dateOfBirth must be YYYY-MM-DD';
+      return next(new ApiError(400, message, { fields: [fieldError('/dateOfBirth', 'Invalid', message)] }));
+    }
+
+    const verificationBody = {
+      firstName: req.body.firstName || localCustomer.firstName,
+      lastName: req.body.lastName || localCustomer.lastName,
+      email: req.body.email || localCustomer.email,
+      type: 'personal',
+      address1: req.body.address1,
+      city: req.body.city,
+      state: req.body.state,
+      postalCode: req.body.postalCode,
+      dateOfBirth: req.body.dateOfBirth,
+      ssn: req.body.ssn
+    };
+    if (req.body.address2) verificationBody.address2 = req.body.address2;
+
+    // Compare with the previous attempt, or with what is on file if
+    // the customer was verified outside this dashboard
+    const [previousAttempt] = await getVerificationAttempts(id);
+    const previousFields = previousAttempt ? previousAttempt.fields : {
+      firstName: localCustomer.firstName,
+      lastName: localCustomer.lastName,
+      email: localCustomer.email
+    };
+    const fields = verificationAttemptFields(verificationBody);
+    const changedFields = VERIFICATION_ATTEMPT_FIELDS
+      .filter(field => field in fields || field in previousFields)
+      .filter(field => fields[field] !== previousFields[field])
+      .map(field => (field === 'ssnLast4' ? 'ssn' : field));
+
+    console.log('[Customers] Retrying verification for customer:', id, 'Changed fields:', changedFields.join(', ') || 'none');
+
+    const { customer: customerRecord, attempt } = await submitVerification(localCustomer, verificationBody, 'retry', changedFields);
+
+    console.log('[Customers] Verification retry submitted, new status:', customerRecord.status);
+
+    res.json({
+      success: true,
+      message: `Verification retry submitted. Customer status: ${customerRecord.status}`,
+      customer: customerRecord,
+      changedFields,
+      attempt
+    });
+  } catch (error) {
+    console.error('[Customers] Error retrying verification:', error.message);
+
+    next(new ApiError(400, dwollaErrorMessage(error, 'Failed to retry verification'), { cause: error }));
+  }
+});
+
+/**
+ * POST /api/customers/:id/upgrade
+ * Upgrade an unverified or receive-only customer to a verified customer
+ *
+ * The customer's current type and status are checked in Dwolla first:
+ * only unverified and receive-only customers that aren't suspended or
+ * deactivated can be upgraded. Unlike the sandbox shortcut in /verify,
+ * every field is required.
+ *
+ * Body (personal, the default): type: 'personal', address1, city, state,
+ *   postalCode, dateOfBirth (YYYY-MM-DD), ssn (last 4 or full 9 digits),
+ *   and optionally address2
+ * Body (business): type: 'business' plus the fields described in
+ *   buildBusinessVerificationBody
+ */
+router.post('/customers/:id/upgrade', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const targetType = req.body.type || 'personal';
+
+    const localCustomer = await storage.customers.findById(id);
+    if (!localCustomer) {
+      return next(new ApiError(404, 'Customer not found'));
+    }
+
+    if (!['personal', 'business'].includes(targetType)) {
+      const message = 'type must be personal or business';
+      return next(new ApiError(400, message, { fields: [fieldError('/type', 'Invalid', message)] }));
+    }
+
+    // DWOLLA API CALL: Get current customer type and status
+    const currentResponse = await dwollaRequest('get', localCustomer.url);
+    const { type: currentType, status: currentStatus } = currentResponse.body;
+    await storage.customers.update(id, { type: currentType, status: currentStatus });
+
+    if (currentType !== 'unverified' && currentType !== 'receive-only') {
+      return next(new ApiError(400, `Only unverified and receive-only customers can be upgraded (current type: ${currentType})`));
+    }
+    if (currentStatus === 'suspended' || currentStatus === 'deactivated') {
+      return next(new ApiError(400, `Customer is ${currentStatus} and cannot be upgraded`));
+    }
+
+    let verificationBody;
+    if (targetType === 'business') {
+      const { body: businessBody, error: businessError } = buildBusinessVerificationBody(localCustomer, req.body);
+      if (businessError) {
+        return next(new ApiError(400, businessError.message, { fields: [businessError] }));
+      }
+      verificationBody = businessBody;
+    } else {
+      const missingFields = ['address1', 'city', 'state', 'postalCode', 'dateOfBirth', 'ssn']
+        .filter(field => !req.body[field]);
+      if (missingFields.length > 0) {
+        return next(new ApiError(400, `Missing required fields: ${missingFields.join(', ')}`, {
+          fields: requiredFieldErrors(missingFields)
+        }));
+      }
+      if (!/^(\d{4}|\d{3}-?\d{2}-?\d{4})$/.test(req.body.ssn)) {
+        const message = 'ssn must be the last 4 or all 9 digits';
+        return next(new ApiError(400, message, { fields: [fieldError('/ssn', 'Invalid', message)] }));
+      }
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(req.body.dateOfBirth)) {
+        const message = 'dateOfBirth must be YYYY-MM-DD';
+        return next(new ApiError(400, message, { fields: [fieldError('/dateOfBirth', 'Invalid', message)] }));
+      }
+
+      verificationBody = {
+        firstName: localCustomer.firstName,
+        lastName: localCustomer.lastName,
+        email: localCustomer.email,
+        type: 'personal',
+        address1: req.body.address1,
+        city: req.body.city,
+        state: req.body.state,
+        postalCode: req.body.postalCode,
+        dateOfBirth: req.body.dateOfBirth,
+        ssn: req.body.ssn
+      };
+      if (req.body.address2) verificationBody.address2 = req.body.address2;
+    }
+
+    console.log('[Customers] Upgrading', currentType, 'customer', id, 'to verified', targetType);
+
+    const { customer: customerRecord } = await submitVerification(
+      { ...localCustomer, type: currentType, status: currentStatus },
+      verificationBody,
+      'upgrade'
+    );
+
+    console.log('[Customers] Customer upgrade submitted, new status:', customerRecord.status);
+
+    res.json({
+      success: true,
+      message: `Upgrade submitted. Customer status: ${customerRecord.status}`,
+      previousType: currentType,
+      customer: customerRecord
+    });
+  } catch (error) {
+    console.error('[Customers] Error upgrading customer:', error.message);
+
+    next(new ApiError(400, dwollaErrorMessage(error, 'Failed to upgrade customer'), { cause: error }));
+  }
+});
+
+/**
+ * GET /api/customers/:id/verification-attempts
+ * Verification history for a customer, newest first
+ *
+ * Each attempt records the fields sent (SSN as last 4 only), which fields
+ * changed from the attempt before, and the status Dwolla returned.
+ */
+router.get('/customers/:id/verification-attempts', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const localCustomer = await storage.customers.findById(id);
+    if (!localCustomer) {
+      return next(new ApiError(404, 'Customer not found'));
+    }
+
+    const attempts = await getVerificationAttempts(id);
+
+    res.json({ attempts, total: attempts.length });
+  } catch (error) {
+    console.error('[Customers] Error listing verification attempts:', error.message);
+    next(new ApiError(500, 'Failed to list verification attempts', { cause: error }));
+  }
+});
+
+// ----------------------------------------------------------------------------
+// BUSINESS VERIFICATION & BENEFICIAL OWNER ENDPOINTS
+// ----------------------------------------------------------------------------
+
+/**
+ * Business structures Dwolla supports for verified business customers
+ * Sole proprietorships are verified through the owner; every other
+ * structure needs an EIN and a controller (someone with significant
+ * responsibility to control the business).
+ */
+const BUSINESS_TYPES = ['soleProprietorship', 'corporation', 'llc', 'partnership'];
+
+/**
+ * Check that an address object has every required field
+ * Controller and beneficial owner addresses use stateProvinceRegion and country
+ *
+ * @param {object} address - Address from the request body
+ * @param {string} label - Who the address belongs to, for the message
+ * @param {string} path - Path of the address in the request body (e.g. '/controller/address')
+ * @returns {object|null} Field error, or null if complete
+ */
+function checkOwnerAddress(address, label, path) {
+  if (!address || typeof address !== 'object') {
+    return fieldError(path, 'Required', `${label} address is required`);
+  }
+  for (const field of ['address1', 'city', 'stateProvinceRegion', 'postalCode', 'country']) {
+    if (!address[field]) {
+      return fieldError(`${path}/${field}`, 'Required', `${label} address ${field} is required`);
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the Dwolla body that upgrades a customer to a verified business
+ *
+ * Required for every business type:
+ * - businessName, businessType, businessClassification (ID from GET /api/business-classifications)
+ * - address1, city, state, postalCode (the business address)
+ *
+ * Sole proprietorship: dateOfBirth and ssn (last 4) of the owner, ein optional
+ * Other business types: ein and a controller
+ *   { firstName, lastName, title, dateOfBirth, ssn (last 4), address: { address1, city, stateProvinceRegion, postalCode, country } }
+ *
+ * @param {object} customer - Local customer record
+ * @param {object} body - Request body
+ * @returns {{body: object|null, error: object|null}} error is a field error (see fieldError)
+ */
+function buildBusinessVerificationBody(customer, body) {
+  const {
+    businessName, businessType, businessClassification, ein, doingBusinessAs, website,
+    address1, address2, city, state, postalCode, dateOfBirth, ssn, controller
+  } = body;
+
+  if (!BUSINESS_TYPES.includes(businessType)) {
+    return { body: null, error: fieldError('/businessType', 'Invalid', `businessType must be one of: ${BUSINESS_TYPES.join(', ')}`) };
+  }
+  if (!businessClassification) {
+    return {
+      body: null,
+      error: fieldError('/businessClassification', 'Required', 'businessClassification is required (see GET /api/business-classifications)')
+    };
+  }
+  const missingAddress = ['address1', 'city', 'state', 'postalCode'].filter(field => !body[field]);
+  if (missingAddress.length > 0) {
+    return {
+      body: null,
+      error: fieldError(`/${missingAddress[0]}`, 'Required', 'Business address1, city, state and postalCode are required')
+    };
+  }
+  if (ein && !/^\d{2}-?\d{7}$/.test(ein)) {
+    return { body: null, error: fieldError('/ein', 'Invalid', 'ein must be 9 digits (XX-XXXXXXX)') };
+  }
+
+  const verificationBody = {
+    firstName: customer.firstName,
+    lastName: customer.lastName,
+    email: customer.email,
+    type: 'business',
+    businessName: businessName || customer.businessName,
+    businessType,
+    businessClassification,
+    address1,
+    city,
+    state,
+    postalCode
+  };
+
+  if (!verificationBody.businessName) {
+    return { body: null, error: fieldError('/businessName', 'Required', 'businessName is required') };
+  }
+
+  if (address2) verificationBody.address2 = address2;
+  if (doingBusinessAs) verificationBody.doingBusinessAs = doingBusinessAs;
+  if (website) verificationBody.website = website;
+  if (ein) verificationBody.ein = ein;
+
+  if (businessType === 'soleProprietorship') {
+    if (!dateOfBirth || !ssn) {
+      const message = 'Sole proprietorships need the owner\'s dateOfBirth and ssn';
+      return { body: null, error: fieldError(dateOfBirth ? '/ssn' : '/dateOfBirth', 'Required', message) };
+    }
+    verificationBody.dateOfBirth = dateOfBirth;
+    verificationBody.ssn = ssn;
+    return { body: verificationBody, error: null };
+  }
+
+  if (!ein) {
+    return { body: null, error: fieldError('/ein', 'Required', `ein is required for businessType ${businessType}`) };
+  }
+  if (!controller || typeof controller !== 'object') {
+    return { body: null, error: fieldError('/controller', 'Required', `A controller is required for businessType ${businessType}`) };
+  }
+  for (const field of ['firstName', 'lastName', 'title', 'dateOfBirth', 'ssn']) {
+    if (!controller[field]) {
+      return { body: null, error: fieldError(`/controller/${field}`, 'Required', `controller.${field} is required`) };
+    }
+  }
+  const addressError = checkOwnerAddress(controller.address, 'Controller', '/controller/address');
+  if (addressError) {
+    return { body: null, error: addressError };
+  }
+
+  verificationBody.controller = {
+    firstName: controller.firstName,
+    lastName: controller.lastName,
+    title: controller.title,
+    dateOfBirth: controller.dateOfBirth,
+    ssn: controller.ssn,
+    address: controller.address
+  };
+
+  return { body: verificationBody, error: null };
+}
+
+/**
+ * GET /api/business-classifications
+ * List business classifications and their industries
+ *
+ * The industry ID is what goes into businessClassification when
+ * verifying a business customer.
+ */
+router.get('/business-classifications', async (req, res, next) => {
+  try {
+    // DWOLLA API CALL: List business classifications
+    // GET https://api-sandbox.dwolla.com/business-classifications
+    const response = await dwollaRequest('get', 'business-classifications');
+
+    const classifications = (response.body._embedded?.['business-classifications'] || [])
+      .map(classification => ({
+        id: classification.id,
+        name: classification.name,
+        industries: (classification._embedded?.['industry-classifications'] || []).map(industry => ({
+          id: industry.id,
+          name: industry.name
+        }))
+      }));
+
+    res.json({ classifications });
+  } catch (error) {
+    console.error('[Business] Error listing business classifications:', error.message);
+    next(new ApiError(500, 'Failed to list business classifications', { cause: error }));
+  }
+});
+
+/**
+ * POST /api/customers/:id/beneficial-owners
+ * Add a beneficial owner (anyone owning 25% or more) to a verified business customer
+ *
+ * Body: firstName, lastName, dateOfBirth, ssn (full 9 digits),
+ *       address: { address1, city, stateProvinceRegion, postalCode, country }
+ *
+ * In sandbox, the owner's first name controls the verification result:
+ * "document" gives document status, "incomplete" gives incomplete status.
+ */
+router.post('/customers/:id/beneficial-owners', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { firstName, lastName, dateOfBirth, ssn, address } = req.body;
+
+    const localCustomer = await storage.customers.findById(id);
+    if (!localCustomer) {
+      return next(new ApiError(404, 'Customer not found'));
+    }
+
+    const missingFields = ['firstName', 'lastName', 'dateOfBirth', 'ssn'].filter(field => !req.body[field]);
+    if (missingFields.length > 0) {
+      return next(new ApiError(400, 'First name, last name, date of birth and SSN are required', {
+        fields: requiredFieldErrors(missingFields)
+      }));
+    }
+    if (!/^\d{3}-?\d{2}-?\d{4}$/.test(ssn)) {
+      const message = 'Beneficial owners need the full 9-digit SSN';
+      return next(new ApiError(400, message, { fields: [fieldError('/ssn', 'Invalid', message)] }));
+    }
+    const addressError = checkOwnerAddress(address, 'Beneficial owner', '/address');
+    if (addressError) {
+      return next(new ApiError(400, addressError.message, { fields: [addressError] }));
+    }
+
+    console.log('[Business] Adding beneficial owner for customer:', id);
+
+    // DWOLLA API CALL: Create beneficial owner
+    // POST https://api-sandbox.dwolla.com/customers/{id}/beneficial-owners
+    const response = await dwollaRequest('post', `${localCustomer.url}/beneficial-owners`, {
+      firstName,
+      lastName,
+      dateOfBirth,
+      ssn,
+      address
+    });
+
+    const ownerUrl = response.headers.get('location');
+
+    // DWOLLA API CALL: Fetch created beneficial owner
+    const ownerResponse = await dwollaRequest('get', ownerUrl);
+    const owner = mapBeneficialOwner(ownerResponse.body, id);
+
+    await storage.beneficialOwners.add(owner);
+
+    console.log('[Business] Beneficial owner added:', owner.id, 'Status:', owner.verificationStatus);
+
+    res.status(201).json({ success: true, beneficialOwner: owner });
+  } catch (error) {
+    console.error('[Business] Error adding beneficial owner:', error.message);
+
+    next(new ApiError(400, dwollaErrorMessage(error, 'Failed to add beneficial owner'), { cause: error }));
+  }
+});
+
+/**
+ * GET /api/customers/:id/beneficial-owners
+ * List a business customer's beneficial owners and the ownership certification status
+ */
+router.get('/customers/:id/beneficial-owners', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const localCustomer = await storage.customers.findById(id);
+    if (!localCustomer) {
+      return next(new ApiError(404, 'Customer not found'));
+    }
+
+    // DWOLLA API CALL: List beneficial owners
+    // GET https://api-sandbox.dwolla.com/customers/{id}/beneficial-owners
+    const response = await dwollaRequest('get', `${localCustomer.url}/beneficial-owners`);
+    const beneficialOwners = (response.body._embedded?.['beneficial-owners'] || [])
+      .map(owner => mapBeneficialOwner(owner, id));
+
+    await storage.beneficialOwners.upsertMany(beneficialOwners);
+
+    // DWOLLA API CALL: Get beneficial ownership certification status
+    // GET https://api-sandbox.dwolla.com/customers/{id}/beneficial-ownership
+    const ownershipResponse = await dwollaRequest('get', `${localCustomer.url}/beneficial-ownership`);
+
+    res.json({
+      beneficialOwners,
+      certificationStatus: ownershipResponse.body.status // uncertified, certified, recertify
+    });
+  } catch (error) {
+    console.error('[Business] Error listing beneficial owners:', error.message);
+    next(new ApiError(500, 'Failed to list beneficial owners', { cause: error }));
+  }
+});
+
+/**
+ * DELETE /api/customers/:id/beneficial-owners/:ownerId
+ * Remove a beneficial owner
+ *
+ * The owner must belong to this customer. Owners not stored locally yet
+ * are looked up in the customer's owner list from Dwolla.
+ */
+router.delete('/customers/:id/beneficial-owners/:ownerId', async (req, res, next) => {
+  try {
+    const { id, ownerId } = req.params;
+
+    const localCustomer = await storage.customers.findById(id);
+    if (!localCustomer) {
+      return next(new ApiError(404, 'Customer not found'));
+    }
+
+    const localOwner = await storage.beneficialOwners.findById(ownerId);
+    let ownedByCustomer = localOwner?.customerId === id;
+    if (!localOwner) {
+      // DWOLLA API CALL: List beneficial owners
+      // GET https://api-sandbox.dwolla.com/customers/{id}/beneficial-owners
+      const response = await dwollaRequest('get', `${localCustomer.url}/beneficial-owners`);
+      ownedByCustomer = (response.body._embedded?.['beneficial-owners'] || [])
+        .some(owner => idFromUrl(owner._links.self.href) === ownerId);
+    }
+    if (!ownedByCustomer) {
+      return next(new ApiError(404, 'Beneficial owner not found'));
+    }
+
+    // DWOLLA API CALL: Remove beneficial owner
+    // DELETE https://api-sandbox.dwolla.com/beneficial-owners/{id}
+    await dwollaRequest('delete', `beneficial-owners/${ownerId}`);
+
+    await storage.beneficialOwners.remove(ownerId);
+
+    console.log('[Business] Beneficial owner removed:', ownerId);
+
+    res.json({ success: true, message: 'Beneficial owner removed' });
+  } catch (error) {
+    console.error('[Business] Error removing beneficial owner:', error.message);
+
+    if (error.status === 404) {
+      return next(new ApiError(404, 'Beneficial owner not found', { cause: error }));
+    }
+    next(new ApiError(500, 'Failed to remove beneficial owner', { cause: error }));
+  }
+});
+
+/**
+ * POST /api/customers/:id/beneficial-ownership/certify
+ * Certify that the beneficial owner information is complete and correct
+ *
+ * Dwolla won't let a verified business customer send funds until its
+ * beneficial ownership is certified. Add every owner (or none, if no one
+ * owns 25% or more) before certifying.
+ */
+router.post('/customers/:id/beneficial-ownership/certify', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const localCustomer = await storage.customers.findById(id);
+    if (!localCustomer) {
+      return next(new ApiError(404, 'Customer not found'));
+    }
+
+    // DWOLLA API CALL: Certify beneficial ownership
+    // POST https://api-sandbox.dwolla.com/customers/{id}/beneficial-ownership
+    const response = await dwollaRequest('post', `${localCustomer.url}/beneficial-ownership`, {
+      status: 'certified'
+    });
+
+    const certificationStatus = response.body?.status || 'certified';
+    await storage.customers.update(id, { certificationStatus });
+
+    console.log('[Business] Beneficial ownership certified for customer:', id);
+
+    res.json({ success: true, certificationStatus });
+  } catch (error) {
+    console.error('[Business] Error certifying beneficial ownership:', error.message);
+
+    next(new ApiError(400, dwollaErrorMessage(error, 'Failed to certify beneficial ownership'), { cause: error }));
+  }
+});
+
+// ----------------------------------------------------------------------------
+// CUSTOMER DOCUMENT ENDPOINTS
+// ----------------------------------------------------------------------------
+
+/**
+ * Document types Dwolla accepts for identity verification
+ * Business customers may also upload "other" (e.g. an EIN letter)
+ */
+const DOCUMENT_TYPES = ['passport', 'license', 'idCard', 'other'];
+
+/**
+ * Dwolla accepts .jpg, .jpeg, .png and .pdf files up to 10MB
+ */
+const DOCUMENT_MIME_TYPES = ['image/jpeg', 'image/png', 'application/pdf'];
+const MAX_DOCUMENT_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Multipart parser for document uploads
+ * Files stay in memory only long enough to be forwarded to Dwolla
+ */
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_DOCUMENT_SIZE, files: 1 },
+  fileFilter: (req, file, callback) => {
+    if (!DOCUMENT_MIME_TYPES.includes(file.mimetype)) {
+      return callback(new Error('File must be a JPG, PNG or PDF'));
+    }
+    callback(null, true);
+  }
+}).single('file');
+
+/**
+ * POST /api/customers/:id/documents
+ * Upload an identity document for a customer in "document" status
+ *
+ * Multipart form fields:
+ * - file: JPG, PNG or PDF, max 10MB
+ * - documentType: passport, license, idCard or other
+ *
+ * Dwolla reviews the document and sends customer_verification_document_approved
+ * or customer_verification_document_failed. In sandbox, a document is approved
+ * or failed from the Dwolla dashboard.
+ */
+router.post('/customers/:id/documents', (req, res, next) => {
+  documentUpload(req, res, async (uploadError) => {
+    if (uploadError) {
+      const message = uploadError.code === 'LIMIT_FILE_SIZE'
+        ? 'File must be 10MB or smaller'
+        : uploadError.message;
+      return next(new ApiError(400, message, { fields: [fieldError('/file', 'Invalid', message)] }));
+    }
+
+    try {
+      const { id } = req.params;
+      const { documentType } = req.body;
+
+      const localCustomer = await storage.customers.findById(id);
+      if (!localCustomer) {
+        return next(new ApiError(404, 'Customer not found'));
+      }
+
+      if (!req.file) {
+        return next(new ApiError(400, 'A file is required', { fields: [fieldError('/file', 'Required', 'A file is required')] }));
+      }
+      if (!DOCUMENT_TYPES.includes(documentType)) {
+        const message = `documentType must be one of: ${DOCUMENT_TYPES.join(', ')}`;
+        return next(new ApiError(400, message, { fields: [fieldError('/documentType', 'Invalid', message)] }));
+      }
+
+      console.log('[Documents] Uploading', documentType, 'for customer:', id);
+
+      const form = new FormData();
+      form.append('documentType', documentType);
+      form.append('file', req.file.buffer, {
+        filename: req.file.originalname,
+        contentType: req.file.mimetype,
+        knownLength: req.file.size
+      });
+
+      // DWOLLA API CALL: Create document
+      // POST https://api-sandbox.dwolla.com/customers/{id}/documents
+      const response = await dwollaRequest('post', `${localCustomer.url}/documents`, form);
+
+      const documentUrl = response.headers.get('location');
+
+      // DWOLLA API CALL: Fetch created document
+      const documentResponse = await dwollaRequest('get', documentUrl);
+      const document = mapDocument(documentResponse.body, id);
+
+      await storage.documents.add(document);
+      await storage.customers.update(id, { documentStatus: 'uploaded' });
+
+      console.log('[Documents] Document uploaded:', document.id);
+
+      res.status(201).json({ success: true, document });
+    } catch (error) {
+      console.error('[Documents] Error uploading document:', error.message);
+
+      next(new ApiError(400, dwollaErrorMessage(error, 'Failed to upload document'), { cause: error }));
+    }
+  });
+});
+
+/**
+ * GET /api/customers/:id/documents
+ * List a customer's documents and their review status
+ */
+router.get('/customers/:id/documents', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const localCustomer = await storage.customers.findById(id);
+    if (!localCustomer) {
+      return next(new ApiError(404, 'Customer not found'));
+    }
+
+    // DWOLLA API CALL: List documents
+    // GET https://api-sandbox.dwolla.com/customers/{id}/documents
+    const response = await dwollaRequest('get', `${localCustomer.url}/documents`);
+    const documents = (response.body._embedded?.documents || [])
+      .map(document => mapDocument(document, id));
+
+    await storage.documents.upsertMany(documents);
+
+    res.json({ documents, total: response.body.total ?? documents.length });
+  } catch (error) {
+    console.error('[Documents] Error listing documents:', error.message);
+    next(new ApiError(500, 'Failed to list documents', { cause: error }));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,720 @@
+/**
+ * Funding Source Routes
+ *
+ * Bank accounts of customers: adding, renaming and removing them,
+ * micro-deposit verification, and Instant Account Verification (IAV)
+ * sessions with the Dwolla drop-in or a simulated bank selection.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const storage = require('../lib/store');
+const { dwollaRequest } = require('../lib/dwolla');
+const { idFromUrl, mapFundingSource } = require('../lib/hal');
+const { ApiError, dwollaErrorMessage } = require('../lib/errors');
+const { uuidParam } = require('../lib/params');
+
+const router = express.Router();
+
+// IDs go straight into Dwolla paths, so only UUIDs get through
+// (an encoded "../" would otherwise reach a different resource)
+router.param('id', uuidParam({
+  customers: 'customer',
+  'funding-sources': 'funding source',
+  'iav-sessions': 'IAV session'
+}));
+
+// ----------------------------------------------------------------------------
+// FUNDING SOURCE ENDPOINTS
+// ----------------------------------------------------------------------------
+
+/**
+ * Fetch a funding source from Dwolla and refresh the stored copy
+ *
+ * @param {string} id - Funding source ID
+ * @returns {Promise<{fundingSource: object, dwollaFundingSource: object}>}
+ */
+async function refreshFundingSource(id) {
+  // DWOLLA API CALL: Get funding source
+  // GET https://api-sandbox.dwolla.com/funding-sources/{id}
+  const response = await dwollaRequest('get', `funding-sources/${id}`);
+  const existing = await storage.fundingSources.findById(id);
+
+  const fundingSource = {
+    ...mapFundingSource(response.body),
+    microDeposits: existing?.microDeposits || null,
+    verificationMethod: existing?.verificationMethod || null
+  };
+  await storage.fundingSources.upsertMany([fundingSource]);
+
+  return { fundingSource, dwollaFundingSource: response.body };
+}
+
+/**
+ * POST /api/customers/:id/funding-sources
+ * Add a funding source to a customer
+ *
+ * In sandbox, we can create funding sources directly without going through
+ * the full IAV (Instant Account Verification) flow.
+ */
+router.post('/customers/:id/funding-sources', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, routingNumber, accountNumber, accountType } = req.body;
+
+    // Find customer in local store
+    const localCustomer = await storage.customers.findById(id);
+    if (!localCustomer) {
+      return next(new ApiError(404, 'Customer not found'));
+    }
+
+    // Validation
+    if (!name) {
+      return next(new ApiError(400, 'Account nickname (name) is required'));
+    }
+
+    console.log('[Funding] Adding funding source for customer:', id);
+
+    // Build funding source body
+    // For sandbox, we can use test routing/account numbers
+    const fundingSourceBody = {
+      routingNumber: routingNumber || '222222226', // Sandbox test routing number
+      accountNumber: accountNumber || '123456789', // Sandbox test account number
+      bankAccountType: accountType || 'checking',
+      name: name
+    };
+
+    // DWOLLA API CALL: Create funding source
+    // POST https://api-sandbox.dwolla.com/customers/{id}/funding-sources
+    const response = await dwollaRequest(
+      'post',
+      `${localCustomer.url}/funding-sources`,
+      fundingSourceBody
+    );
+
+    // Get the created funding source URL from Location header
+    const fundingSourceUrl = response.headers.get('location');
+
+    console.log('[Funding] Funding source created:', fundingSourceUrl);
+
+    // DWOLLA API CALL: Fetch funding source details
+    const fsResponse = await dwollaRequest('get', fundingSourceUrl);
+    const fundingSource = { ...mapFundingSource(fsResponse.body), microDeposits: null, verificationMethod: null };
+
+    await storage.fundingSources.upsertMany([fundingSource]);
+
+    res.status(201).json({
+      success: true,
+      fundingSource
+    });
+  } catch (error) {
+    console.error('[Funding] Error adding funding source:', error.message);
+
+    next(new ApiError(400, dwollaErrorMessage(error, 'Failed to add funding source'), { cause: error }));
+  }
+});
+
+/**
+ * GET /api/customers/:id/funding-sources
+ * List funding sources for a customer
+ */
+router.get('/customers/:id/funding-sources', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Find customer in local store
+    const localCustomer = await storage.customers.findById(id);
+    if (!localCustomer) {
+      return next(new ApiError(404, 'Customer not found'));
+    }
+
+    // DWOLLA API CALL: List funding sources
+    // GET https://api-sandbox.dwolla.com/customers/{id}/funding-sources
+    const response = await dwollaRequest('get', `${localCustomer.url}/funding-sources`);
+
+    const fundingSources = [];
+    for (const fs of response.body._embedded['funding-sources']) {
+      if (fs.removed) continue; // Filter out removed funding sources
+
+      const existing = await storage.fundingSources.findById(idFromUrl(fs._links.self.href));
+      fundingSources.push({
+        ...mapFundingSource(fs),
+        microDeposits: existing?.microDeposits || null,
+        verificationMethod: existing?.verificationMethod || null
+      });
+    }
+
+    await storage.fundingSources.upsertMany(fundingSources);
+
+    res.json({ fundingSources });
+  } catch (error) {
+    console.error('[Funding] Error listing funding sources:', error.message);
+    next(new ApiError(500, 'Failed to list funding sources', { cause: error }));
+  }
+});
+
+/**
+ * GET /api/funding-sources/:id
+ * Get a funding source, including its micro-deposit progress
+ */
+router.get('/funding-sources/:id', async (req, res, next) => {
+  try {
+    const { fundingSource } = await refreshFundingSource(req.params.id);
+    res.json({ fundingSource });
+  } catch (error) {
+    console.error('[Funding] Error getting funding source:', error.message);
+
+    if (error.status === 404) {
+      return next(new ApiError(404, 'Funding source not found', { cause: error }));
+    }
+    next(new ApiError(500, 'Failed to get funding source', { cause: error }));
+  }
+});
+
+/**
+ * PATCH /api/funding-sources/:id
+ * Rename a funding source
+ *
+ * Body: name (the account nickname)
+ */
+router.patch('/funding-sources/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return next(new ApiError(400, 'Account nickname (name) is required'));
+    }
+
+    // DWOLLA API CALL: Update funding source
+    // POST https://api-sandbox.dwolla.com/funding-sources/{id}
+    await dwollaRequest('post', `funding-sources/${id}`, { name: name.trim() });
+
+    const { fundingSource } = await refreshFundingSource(id);
+
+    console.log('[Funding] Funding source renamed:', id);
+
+    res.json({ success: true, fundingSource });
+  } catch (error) {
+    console.error('[Funding] Error renaming funding source:', error.message);
+
+    if (error.status === 404) {
+      return next(new ApiError(404, 'Funding source not found', { cause: error }));
+    }
+    next(new ApiError(400, dwollaErrorMessage(error, 'Failed to rename funding source'), { cause: error }));
+  }
+});
+
+/**
+ * DELETE /api/funding-sources/:id
+ * Remove a funding source
+ *
+ * Dwolla never deletes funding sources; they are soft-removed with
+ * { removed: true } so past transfers keep pointing at them. Removed
+ * funding sources can't send or receive and drop out of listings.
+ */
+router.delete('/funding-sources/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // DWOLLA API CALL: Remove funding source
+    // POST https://api-sandbox.dwolla.com/funding-sources/{id} with { removed: true }
+    await dwollaRequest('post', `funding-sources/${id}`, { removed: true });
+
+    const existing = await storage.fundingSources.findById(id);
+    if (existing) {
+      await storage.fundingSources.update(id, { removed: true });
+    }
+
+    console.log('[Funding] Funding source removed:', id);
+
+    res.json({ success: true, message: 'Funding source removed' });
+  } catch (error) {
+    console.error('[Funding] Error removing funding source:', error.message);
+
+    if (error.status === 404) {
+      return next(new ApiError(404, 'Funding source not found', { cause: error }));
+    }
+    next(new ApiError(400, dwollaErrorMessage(error, 'Failed to remove funding source'), { cause: error }));
+  }
+});
+
+/**
+ * POST /api/funding-sources/:id/micro-deposits
+ * Start micro-deposit verification for an unverified bank account
+ *
+ * Dwolla sends two deposits under $0.10 to the account. In sandbox they
+ * show up right away and any two amounts under $0.10 confirm them.
+ */
+router.post('/funding-sources/:id/micro-deposits', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const { fundingSource } = await refreshFundingSource(id);
+    if (fundingSource.removed) {
+      return next(new ApiError(400, 'Funding source has been removed'));
+    }
+    if (fundingSource.status === 'verified') {
+      return next(new ApiError(400, 'Funding source is already verified'));
+    }
+    if (fundingSource.type !== 'bank') {
+      return next(new ApiError(400, 'Only bank accounts can be verified with micro-deposits'));
+    }
+
+    // DWOLLA API CALL: Initiate micro-deposits
+    // POST https://api-sandbox.dwolla.com/funding-sources/{id}/micro-deposits
+    await dwollaRequest('post', `funding-sources/${id}/micro-deposits`);
+
+    const updated = await storage.fundingSources.update(id, { microDeposits: 'pending' });
+
+    console.log('[Funding] Micro-deposits initiated for funding source:', id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Micro-deposits initiated. Confirm the two amounts once they arrive.',
+      fundingSource: updated
+    });
+  } catch (error) {
+    console.error('[Funding] Error initiating micro-deposits:', error.message);
+
+    if (error.status === 404) {
+      return next(new ApiError(404, 'Funding source not found', { cause: error }));
+    }
+    next(new ApiError(400, dwollaErrorMessage(error, 'Failed to initiate micro-deposits'), { cause: error }));
+  }
+});
+
+/**
+ * GET /api/funding-sources/:id/micro-deposits
+ * Get the status of a funding source's micro-deposits
+ */
+router.get('/funding-sources/:id/micro-deposits', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // DWOLLA API CALL: Get micro-deposit details
+    // GET https://api-sandbox.dwolla.com/funding-sources/{id}/micro-deposits
+    const response = await dwollaRequest('get', `funding-sources/${id}/micro-deposits`);
+
+    res.json({
+      status: response.body.status, // pending, processed, failed
+      created: response.body.created || null,
+      failure: response.body.failure || null
+    });
+  } catch (error) {
+    console.error('[Funding] Error getting micro-deposits:', error.message);
+
+    if (error.status === 404) {
+      return next(new ApiError(404, 'No micro-deposits found for this funding source', { cause: error }));
+    }
+    next(new ApiError(500, 'Failed to get micro-deposits', { cause: error }));
+  }
+});
+
+/**
+ * POST /api/funding-sources/:id/micro-deposits/confirm
+ * Confirm the two micro-deposit amounts to verify the funding source
+ *
+ * Body: amount1, amount2 (e.g. "0.03" and "0.09")
+ *
+ * Dwolla allows three wrong attempts before the funding source is locked
+ * (microdeposits_maxattempts); it then has to be removed and added again.
+ * Wrong amounts come back as a 400 with Dwolla's message.
+ */
+router.post('/funding-sources/:id/micro-deposits/confirm', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { amount1, amount2 } = req.body;
+
+    for (const amount of [amount1, amount2]) {
+      if (!/^0?\.\d{1,2}$/.test(String(amount ?? '')) || !(Number(amount) > 0)) {
+        return next(new ApiError(400, 'amount1 and amount2 must be micro-deposit amounts under $1.00, e.g. "0.03"'));
+      }
+    }
+
+    // DWOLLA API CALL: Verify micro-deposits
+    // POST https://api-sandbox.dwolla.com/funding-sources/{id}/micro-deposits
+    const response = await dwollaRequest('post', `funding-sources/${id}/micro-deposits`, {
+      amount1: { value: Number(amount1).toFixed(2), currency: 'USD' },
+      amount2: { value: Number(amount2).toFixed(2), currency: 'USD' }
+    });
+
+    // 202 TryAgainLater: the deposits haven't reached the account yet
+    if (response.status === 202) {
+      return next(new ApiError(409, 'Micro-deposits have not been processed yet. Try again later.'));
+    }
+
+    await refreshFundingSource(id);
+    const fundingSource = await storage.fundingSources.update(id, {
+      microDeposits: 'completed',
+      verificationMethod: 'micro-deposits'
+    });
+
+    console.log('[Funding] Micro-deposits confirmed, funding source status:', fundingSource.status);
+
+    res.json({
+      success: true,
+      message: `Micro-deposits confirmed. Funding source status: ${fundingSource.status}`,
+      fundingSource
+    });
+  } catch (error) {
+    console.error('[Funding] Error confirming micro-deposits:', error.message);
+
+    if (error.status === 404) {
+      return next(new ApiError(404, 'Funding source not found', { cause: error }));
+    }
+
+    // 403 InvalidResourceState "Too many attempts."
+    if (error.status === 403 && /attempts/i.test(error.body?.message || '')) {
+      const existing = await storage.fundingSources.findById(req.params.id);
+      if (existing) {
+        await storage.fundingSources.update(req.params.id, { microDeposits: 'maxattempts' });
+      }
+      return next(new ApiError(403, 'Too many wrong attempts. Remove this funding source and add it again to restart verification.', { cause: error }));
+    }
+
+    next(new ApiError(400, dwollaErrorMessage(error, 'Failed to confirm micro-deposits'), { cause: error }));
+  }
+});
+
+/**
+ * POST /api/customers/:id/iav-token
+ * Generate an IAV token for Instant Account Verification
+ * Used when you want to use Dwolla's IAV drop-in component
+ */
+router.post('/customers/:id/iav-token', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const localCustomer = await storage.customers.findById(id);
+    if (!localCustomer) {
+      return next(new ApiError(404, 'Customer not found'));
+    }
+
+    // DWOLLA API CALL: Create IAV token
+    // POST https://api-sandbox.dwolla.com/customers/{id}/iav-token
+    const response = await dwollaRequest('post', `${localCustomer.url}/iav-token`);
+
+    res.json({
+      token: response.body.token
+    });
+  } catch (error) {
+    console.error('[Funding] Error creating IAV token:', error.message);
+    next(new ApiError(500, 'Failed to create IAV token', { cause: error }));
+  }
+});
+
+// ----------------------------------------------------------------------------
+// INSTANT ACCOUNT VERIFICATION (IAV) SESSIONS
+// ----------------------------------------------------------------------------
+
+/**
+ * IAV tokens are valid for one hour
+ */
+const IAV_SESSION_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Banks offered by the simulated bank-selection step
+ * Each uses a Dwolla sandbox test routing number.
+ */
+const SIMULATED_IAV_BANKS = [
+  { id: 'sandbox-bank', name: 'Sandbox Bank', routingNumber: '222222226' },
+  { id: 'sandbox-credit-union', name: 'Sandbox Credit Union', routingNumber: '011000015' },
+  { id: 'sandbox-savings', name: 'Sandbox Savings & Loan', routingNumber: '031000503' }
+];
+
+/**
+ * Get an IAV session, marking it expired once its token has run out
+ *
+ * @returns {Promise<object|null>} Session, or null if not found
+ */
+async function findIavSession(id) {
+  const session = await storage.iavSessions.findById(id);
+  if (!session) {
+    return null;
+  }
+
+  const expired = Date.now() - new Date(session.createdAt).getTime() > IAV_SESSION_TTL_MS;
+  if (session.status === 'started' && expired) {
+    return storage.iavSessions.update(id, { status: 'expired' });
+  }
+  return session;
+}
+
+/**
+ * Finish an IAV session with the funding source the bank selection created
+ *
+ * Fetches the funding source, checks it belongs to the session's customer
+ * and records it. The verification method is only recorded when the source
+ * came back verified; an unverified one still needs micro-deposits.
+ *
+ * @param {object} session - IAV session in 'started' status
+ * @param {string} fundingSourceUrl - Funding source created by the bank selection
+ * @param {string} verificationMethod - 'iav' or 'simulated-iav'
+ * @returns {Promise<{session: object, fundingSource: object|null, error: string|null}>}
+ */
+async function completeIavSession(session, fundingSourceUrl, verificationMethod) {
+  // DWOLLA API CALL: Fetch the new funding source
+  const fsResponse = await dwollaRequest('get', fundingSourceUrl);
+  const ownerUrl = fsResponse.body._links?.customer?.href;
+
+  if (idFromUrl(ownerUrl) !== session.customerId) {
+    const failed = await storage.iavSessions.update(session.id, {
+      status: 'failed',
+      error: 'Funding source does not belong to this customer',
+      completedAt: new Date().toISOString()
+    });
+    return { session: failed, fundingSource: null, error: failed.error };
+  }
+
+  const fundingSource = {
+    ...mapFundingSource(fsResponse.body),
+    microDeposits: null,
+    verificationMethod: fsResponse.body.status === 'verified' ? verificationMethod : null
+  };
+  await storage.fundingSources.upsertMany([fundingSource]);
+
+  const completed = await storage.iavSessions.update(session.id, {
+    status: 'completed',
+    fundingSourceId: fundingSource.id,
+    fundingSourceUrl: fundingSource.url,
+    completedAt: new Date().toISOString()
+  });
+
+  console.log('[IAV] Session', session.id, 'completed with funding source:', fundingSource.id, 'Status:', fundingSource.status);
+
+  return { session: completed, fundingSource, error: null };
+}
+
+/**
+ * Strip the IAV token from a session before returning it
+ * The token is only handed out once, when the session starts.
+ */
+function publicIavSession(session) {
+  const { token, ...rest } = session;
+  return rest;
+}
+
+/**
+ * POST /api/customers/:id/iav-sessions
+ * Start an Instant Account Verification session for a customer
+ *
+ * Body: simulate (optional, default false)
+ *
+ * Normal sessions get an IAV token from Dwolla for the drop-in component.
+ * When the drop-in finishes, the frontend posts the funding source it
+ * returned to POST /api/iav-sessions/:id/complete.
+ *
+ * Simulated sessions skip the drop-in: list banks with
+ * GET /api/iav-sessions/:id/banks and pick one with
+ * POST /api/iav-sessions/:id/select-bank.
+ */
+router.post('/customers/:id/iav-sessions', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const simulate = req.body.simulate === true;
+
+    const localCustomer = await storage.customers.findById(id);
+    if (!localCustomer) {
+      return next(new ApiError(404, 'Customer not found'));
+    }
+
+    let token = null;
+    if (!simulate) {
+      // DWOLLA API CALL: Create IAV token
+      // POST https://api-sandbox.dwolla.com/customers/{id}/iav-token
+      const response = await dwollaRequest('post', `${localCustomer.url}/iav-token`);
+      token = response.body.token;
+    }
+
+    const session = {
+      id: crypto.randomUUID(),
+      customerId: id,
+      mode: simulate ? 'simulated' : 'dwolla',
+      status: 'started', // started, completed, failed, expired
+      token,
+      fundingSourceId: null,
+      fundingSourceUrl: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + IAV_SESSION_TTL_MS).toISOString(),
+      completedAt: null
+    };
+    await storage.iavSessions.add(session);
+
+    console.log('[IAV] Session started for customer:', id, 'Mode:', session.mode);
+
+    res.status(201).json({
+      success: true,
+      session: publicIavSession(session),
+      token,
+      callbackUrl: `/api/iav-sessions/${session.id}/complete`
+    });
+  } catch (error) {
+    console.error('[IAV] Error starting IAV session:', error.message);
+    next(new ApiError(500, 'Failed to start IAV session', { cause: error }));
+  }
+});
+
+/**
+ * GET /api/iav-sessions/:id
+ * Get an IAV session and the funding source it created, if any
+ */
+router.get('/iav-sessions/:id', async (req, res, next) => {
+  try {
+    const session = await findIavSession(req.params.id);
+    if (!session) {
+      return next(new ApiError(404, 'IAV session not found'));
+    }
+
+    const fundingSource = session.fundingSourceId
+      ? await storage.fundingSources.findById(session.fundingSourceId)
+      : null;
+
+    res.json({ session: publicIavSession(session), fundingSource });
+  } catch (error) {
+    console.error('[IAV] Error getting IAV session:', error.message);
+    next(new ApiError(500, 'Failed to get IAV session', { cause: error }));
+  }
+});
+
+/**
+ * POST /api/iav-sessions/:id/complete
+ * Completion callback for the IAV drop-in
+ *
+ * Body: fundingSourceUrl - the funding source the drop-in returned
+ *       (its _links["funding-source"].href), or error - why it failed
+ */
+router.post('/iav-sessions/:id/complete', async (req, res, next) => {
+  try {
+    const { fundingSourceUrl, error: iavError } = req.body;
+
+    const session = await findIavSession(req.params.id);
+    if (!session) {
+      return next(new ApiError(404, 'IAV session not found'));
+    }
+    if (session.mode !== 'dwolla') {
+      return next(new ApiError(400, 'Simulated sessions are completed with POST /api/iav-sessions/:id/select-bank'));
+    }
+    if (session.status !== 'started') {
+      return next(new ApiError(409, `IAV session is already ${session.status}`));
+    }
+
+    if (iavError) {
+      const failed = await storage.iavSessions.update(session.id, {
+        status: 'failed',
+        error: String(iavError),
+        completedAt: new Date().toISOString()
+      });
+      console.log('[IAV] Session', session.id, 'failed:', failed.error);
+      return res.json({ success: false, session: publicIavSession(failed), fundingSource: null });
+    }
+
+    if (!fundingSourceUrl) {
+      return next(new ApiError(400, 'fundingSourceUrl or error is required'));
+    }
+
+    const result = await completeIavSession(session, fundingSourceUrl, 'iav');
+    if (result.error) {
+      return next(new ApiError(400, result.error));
+    }
+
+    res.json({ success: true, session: publicIavSession(result.session), fundingSource: result.fundingSource });
+  } catch (error) {
+    console.error('[IAV] Error completing IAV session:', error.message);
+
+    if (error.status === 404) {
+      return next(new ApiError(404, 'Funding source not found', { cause: error }));
+    }
+    next(new ApiError(500, 'Failed to complete IAV session', { cause: error }));
+  }
+});
+
+/**
+ * GET /api/iav-sessions/:id/banks
+ * Banks to choose from in a simulated IAV session
+ */
+router.get('/iav-sessions/:id/banks', async (req, res, next) => {
+  try {
+    const session = await findIavSession(req.params.id);
+    if (!session) {
+      return next(new ApiError(404, 'IAV session not found'));
+    }
+    if (session.mode !== 'simulated') {
+      return next(new ApiError(400, 'Bank selection is only simulated for sessions started with simulate: true'));
+    }
+
+    res.json({
+      banks: SIMULATED_IAV_BANKS.map(({ id, name }) => ({ id, name, accountTypes: ['checking', 'savings'] }))
+    });
+  } catch (error) {
+    console.error('[IAV] Error listing simulated banks:', error.message);
+    next(new ApiError(500, 'Failed to list banks', { cause: error }));
+  }
+});
+
+/**
+ * POST /api/iav-sessions/:id/select-bank
+ * Simulate the bank-selection step of a simulated IAV session
+ *
+ * Body: bankId, bankAccountType (checking or savings), name (optional nickname)
+ *
+ * Stands in for the drop-in: adds the chosen bank account to the customer
+ * with the bank's sandbox routing number, then completes the session the
+ * same way the drop-in callback does. Sandbox accounts added this way
+ * start unverified, so no verification method is recorded for them;
+ * verify them with micro-deposits if needed.
+ */
+router.post('/iav-sessions/:id/select-bank', async (req, res, next) => {
+  try {
+    const { bankId, bankAccountType = 'checking', name } = req.body;
+
+    const session = await findIavSession(req.params.id);
+    if (!session) {
+      return next(new ApiError(404, 'IAV session not found'));
+    }
+    if (session.mode !== 'simulated') {
+      return next(new ApiError(400, 'Bank selection is only simulated for sessions started with simulate: true'));
+    }
+    if (session.status !== 'started') {
+      return next(new ApiError(409, `IAV session is already ${session.status}`));
+    }
+
+    const bank = SIMULATED_IAV_BANKS.find(b => b.id === bankId);
+    if (!bank) {
+      return next(new ApiError(400, `bankId must be one of: ${SIMULATED_IAV_BANKS.map(b => b.id).join(', ')}`));
+    }
+    if (!['checking', 'savings'].includes(bankAccountType)) {
+      return next(new ApiError(400, 'bankAccountType must be checking or savings'));
+    }
+
+    const localCustomer = await storage.customers.findById(session.customerId);
+    if (!localCustomer) {
+      return next(new ApiError(404, 'Customer not found'));
+    }
+
+    console.log('[IAV] Simulating bank selection for session:', session.id, 'Bank:', bank.name);
+
+    // DWOLLA API CALL: Create funding source for the selected bank
+    // POST https://api-sandbox.dwolla.com/customers/{id}/funding-sources
+    // A random account number keeps repeated selections from being duplicates
+    const response = await dwollaRequest('post', `${localCustomer.url}/funding-sources`, {
+      routingNumber: bank.routingNumber,
+      accountNumber: String(crypto.randomInt(100000000, 999999999)),
+      bankAccountType,
+      name: name || `${bank.name} ${bankAccountType}`
+    });
+
+    const result = await completeIavSession(session, response.headers.get('location'), 'simulated-iav');
+    if (result.error) {
+      return next(new ApiError(400, result.error));
+    }
+
+    res.json({ success: true, session: publicIavSession(result.session), fundingSource: result.fundingSource });
+  } catch (error) {
+    console.error('[IAV] Error simulating bank selection:', error.message);
+    next(new ApiError(400, dwollaErrorMessage(error, 'Failed to add the selected bank'), { cause: error }));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,1073 @@
+/**
+ * Transfer Routes
+ *
+ * Single transfers, mass payments, payroll CSV imports (paid as mass
+ * payments) and sandbox simulations that move pending transfers along.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const bodyParser = require('body-parser');
+const storage = require('../lib/store');
+const {
+  dwollaRequest,
+  dwollaListAll,
+  dwollaListPage,
+  dwollaMapLimited
+} = require('../lib/dwolla');
+const { idempotent } = require('../lib/idempotency');
+const { parsePagination, parseTransferFilters, withFilters } = require('../lib/query');
+const {
+  getCustomerTransferRules,
+  getPayableFundingSources,
+  checkSourceFundingSource,
+  checkDestinationFundingSource,
+  checkTransferParties
+} = require('../lib/transferRules');
+const {
+  createTransfer,
+  transferErrorMessage,
+  fetchTransferFailure,
+  getTransferAddenda,
+  fetchTransferFees
+} = require('../lib/transfers');
+
+const { idFromUrl, mapFundingSource, mapMassPayment, mapMassPaymentItem } = require('../lib/hal');
+const { ApiError, dwollaErrorMessage } = require('../lib/errors');
+const { uuidParam } = require('../lib/params');
+const router = express.Router();
+
+// IDs go into Dwolla paths or storage lookups, so only UUIDs get through
+router.param('id', uuidParam({
+  transfers: 'transfer',
+  'mass-payments': 'mass payment',
+  payroll: 'payout plan'
+}));
+
+// ----------------------------------------------------------------------------
+// TRANSFER ENDPOINTS
+// ----------------------------------------------------------------------------
+
+/**
+ * Clearing options Dwolla accepts on a transfer
+ * - source 'standard': standard ACH debit timing
+ * - destination 'next-available': Same Day ACH credit when possible
+ */
+const TRANSFER_CLEARING_OPTIONS = {
+  source: ['standard'],
+  destination: ['next-available']
+};
+
+/**
+ * Validate the optional transfer fields and build the matching Dwolla body fields
+ *
+ * Supported fields:
+ * - metadata: Up to 10 key/value pairs (keys and values up to 255 characters)
+ * - correlationId: Our own reference (e.g. a payroll run ID), up to 255 characters
+ * - fees: [{ chargeTo: customerUrl, amount }] - facilitator fees charged to a customer
+ * - clearing: { source: 'standard', destination: 'next-available' }
+ * - achAddenda: { source, destination } - Addenda text (up to 80 characters) on the ACH entries
+ *
+ * @param {object} body - Request body
+ * @param {string} currency - Transfer currency, reused for fee amounts
+ * @returns {{fields: object, error: string|null}} Fields to merge into the Dwolla transfer body
+ */
+function buildTransferOptions(body, currency) {
+  const { metadata, correlationId, fees, clearing, achAddenda } = body;
+  const fields = {};
+
+  if (metadata !== undefined && metadata !== null) {
+    if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+      return { fields, error: 'metadata must be an object of key/value pairs' };
+    }
+    const entries = Object.entries(metadata);
+    if (entries.length > 10) {
+      return { fields, error: 'metadata can have at most 10 key/value pairs' };
+    }
+    for (const [key, value] of entries) {
+      if (!['string', 'number', 'boolean'].includes(typeof value)) {
+        return { fields, error: `metadata value for "${key}" must be a string, number or boolean` };
+      }
+      if (key.length > 255 || String(value).length > 255) {
+        return { fields, error: `metadata key and value for "${key}" must be at most 255 characters` };
+      }
+    }
+    fields.metadata = metadata;
+  }
+
+  if (correlationId !== undefined && correlationId !== null && correlationId !== '') {
+    if (typeof correlationId !== 'string' || correlationId.length > 255) {
+      return { fields, error: 'correlationId must be a string of at most 255 characters' };
+    }
+    fields.correlationId = correlationId;
+  }
+
+  if (fees !== undefined && fees !== null) {
+    if (!Array.isArray(fees)) {
+      return { fields, error: 'fees must be a list of { chargeTo, amount }' };
+    }
+    fields.fees = [];
+    for (const fee of fees) {
+      if (!fee || !fee.chargeTo || !fee.amount) {
+        return { fields, error: 'Each fee needs a chargeTo customer URL and an amount' };
+      }
+      if (!(Number(fee.amount) > 0)) {
+        return { fields, error: 'Fee amount must be greater than 0' };
+      }
+      fields.fees.push({
+        _links: { 'charge-to': { href: fee.chargeTo } },
+        amount: { value: Number(fee.amount).toFixed(2), currency }
+      });
+    }
+  }
+
+  if (clearing !== undefined && clearing !== null) {
+    if (typeof clearing !== 'object') {
+      return { fields, error: 'clearing must be an object with source and/or destination' };
+    }
+    for (const side of ['source', 'destination']) {
+      if (clearing[side] !== undefined && !TRANSFER_CLEARING_OPTIONS[side].includes(clearing[side])) {
+        return { fields, error: `clearing.${side} must be one of: ${TRANSFER_CLEARING_OPTIONS[side].join(', ')}` };
+      }
+    }
+    fields.clearing = {};
+    if (clearing.source) fields.clearing.source = clearing.source;
+    if (clearing.destination) fields.clearing.destination = clearing.destination;
+  }
+
+  if (achAddenda !== undefined && achAddenda !== null) {
+    if (typeof achAddenda !== 'object') {
+      return { fields, error: 'achAddenda must be an object with source and/or destination text' };
+    }
+    fields.achDetails = {};
+    for (const side of ['source', 'destination']) {
+      const text = achAddenda[side];
+      if (text === undefined || text === null || text === '') continue;
+      if (typeof text !== 'string' || text.length > 80) {
+        return { fields, error: `achAddenda.${side} must be text of at most 80 characters` };
+      }
+      fields.achDetails[side] = { addenda: { values: [text] } };
+    }
+  }
+
+  return { fields, error: null };
+}
+
+/**
+ * POST /api/transfers
+ * Create a transfer (payout) from master account to a customer
+ *
+ * Validates that:
+ * - Source funding source must be verified
+ * - Destination funding source can be verified OR unverified (if allowUnverified=true)
+ * - Destination customer must be verified
+ * - Amount must be positive
+ *
+ * Per Dwolla documentation, transfers to unverified funding sources are allowed
+ * as long as the customer who owns the funding source is verified.
+ *
+ * Idempotent: repeating the request with the same Idempotency-Key header
+ * (or the same body, if no key is sent) returns the original response
+ * instead of sending a second payout.
+ */
+router.post('/transfers', idempotent('transfers'), async (req, res, next) => {
+  try {
+    const { sourceFundingSourceUrl, destinationFundingSourceUrl, amount, currency, allowUnverified } = req.body;
+
+    // Validation
+    if (!sourceFundingSourceUrl || !destinationFundingSourceUrl || !amount) {
+      return next(new ApiError(400, 'Source funding source, destination funding source, and amount are required'));
+    }
+
+    if (amount <= 0) {
+      return next(new ApiError(400, 'Amount must be greater than 0'));
+    }
+
+    // Validate optional metadata, correlationId, fees, clearing and addenda
+    const { fields: transferOptions, error: optionsError } = buildTransferOptions(req.body, currency || 'USD');
+    if (optionsError) {
+      return next(new ApiError(400, optionsError));
+    }
+
+    console.log('[Transfers] Creating transfer:', amount, currency || 'USD', 'allowUnverified:', allowUnverified);
+
+    // Validate source funding source - must always be verified
+    const { error: sourceError, owner: sourceOwner } = await checkSourceFundingSource(sourceFundingSourceUrl);
+    if (sourceError) {
+      return next(new ApiError(400, sourceError));
+    }
+
+    // Validate destination funding source
+    const { error: destinationError, owner: destinationOwner } =
+      await checkDestinationFundingSource(destinationFundingSourceUrl, allowUnverified);
+    if (destinationError) {
+      return next(new ApiError(400, destinationError));
+    }
+
+    // Validate the customer types on both sides
+    const partiesError = checkTransferParties(sourceOwner, destinationOwner);
+    if (partiesError) {
+      return next(new ApiError(400, partiesError));
+    }
+
+    const transferRecord = await createTransfer({
+      sourceFundingSourceUrl,
+      destinationFundingSourceUrl,
+      amount,
+      currency: currency || 'USD',
+      transferOptions,
+      idempotencyKey: req.idempotencyKey
+    });
+
+    res.status(201).json({
+      success: true,
+      transfer: transferRecord
+    });
+  } catch (error) {
+    console.error('[Transfers] Error creating transfer:', error.message);
+    next(new ApiError(400, transferErrorMessage(error, 'Failed to create transfer'), { cause: error }));
+  }
+});
+
+/**
+ * GET /api/transfers
+ * List all transfers from Dwolla Sandbox
+ *
+ * This fetches ALL transfers from the Dwolla API, including those created
+ * in previous sessions or directly from the Dwolla dashboard.
+ *
+ * Query parameters:
+ * - limit: Page size (1-200). Without it, every page is fetched (full sync)
+ * - offset: Number of transfers to skip (default 0), with or without a limit
+ * - search: Filter by name, business name or email of either party
+ * - startAmount / endAmount: Filter by amount range
+ * - startDate / endDate: Filter by created date range (YYYY-MM-DD)
+ * - status: Filter by transfer status
+ * - correlationId: Filter by correlation ID
+ */
+router.get('/transfers', async (req, res, next) => {
+  try {
+    const { limit, offset, error: paginationError } = parsePagination(req.query);
+    if (paginationError) {
+      return next(new ApiError(400, paginationError));
+    }
+
+    const { filters, error: filterError } = parseTransferFilters(req.query);
+    if (filterError) {
+      return next(new ApiError(400, filterError));
+    }
+
+    // First get the account URL
+    const rootResponse = await dwollaRequest('get', '/');
+    const accountUrl = rootResponse.body._links.account.href;
+
+    // DWOLLA API CALL: List (search) transfers for the account
+    // GET https://api-sandbox.dwolla.com/accounts/{id}/transfers
+    const transfersUrl = withFilters(`${accountUrl}/transfers`, filters);
+    let dwollaTransfers;
+    let total;
+    if (limit) {
+      console.log('[Transfers] Fetching transfers from Dwolla, limit:', limit, 'offset:', offset);
+      ({ items: dwollaTransfers, total } = await dwollaListPage(transfersUrl, 'transfers', { limit, offset }));
+    } else {
+      // Dwolla's offset only applies to a page, so skip past it here (like /customers/eligible)
+      console.log('[Transfers] Fetching all transfers from Dwolla...');
+      const allTransfers = await dwollaListAll(transfersUrl, 'transfers');
+      total = allTransfers.length;
+      dwollaTransfers = allTransfers.slice(offset);
+    }
+
+    // Most transfers share a few funding sources, so each one is fetched once
+    const fundingSourceDetails = new Map();
+    const getFundingSourceDetails = (url) => {
+      if (!url) {
+        return null;
+      }
+      if (!fundingSourceDetails.has(url)) {
+        fundingSourceDetails.set(url, dwollaRequest('get', url)
+          .then(response => mapFundingSource(response.body))
+          .catch(() => ({ url, name: 'Unknown' })));
+      }
+      return fundingSourceDetails.get(url);
+    };
+
+    // Map Dwolla response to our format with enhanced details.
+    // A full sync can be thousands of transfers, so only a few are looked up at once
+    const transfers = await dwollaMapLimited(dwollaTransfers, async (transfer) => {
+      const transferUrl = transfer._links.self.href;
+      const transferId = idFromUrl(transferUrl);
+
+      // Get source and destination funding source URLs
+      const sourceFundingSourceUrl = transfer._links.source?.href || null;
+      const destinationFundingSourceUrl = transfer._links.destination?.href || null;
+
+      // Fetch source and destination funding source details
+      const sourceDetails = await getFundingSourceDetails(sourceFundingSourceUrl);
+      const destinationDetails = await getFundingSourceDetails(destinationFundingSourceUrl);
+
+      // Fetch fee transfers charged alongside this transfer
+      const fees = await fetchTransferFees(transfer);
+
+      // Resolve the ACH return code for failed transfers
+      const failure = transfer.status === 'failed' ? await fetchTransferFailure(transfer) : null;
+
+      return {
+        id: transferId,
+        url: transferUrl,
+        status: transfer.status,
+        amount: transfer.amount,
+        created: transfer.created,
+        sourceFundingSourceUrl,
+        destinationFundingSourceUrl,
+        sourceDetails,
+        destinationDetails,
+        metadata: transfer.metadata || null,
+        correlationId: transfer.correlationId || null,
+        clearing: transfer.clearing || null,
+        achAddenda: getTransferAddenda(transfer),
+        fees,
+        failure
+      };
+    });
+
+    // Update local store, keeping metadata only known locally
+    await storage.transfers.upsertMany(transfers);
+
+    console.log('[Transfers] Found', transfers.length, 'of', total, 'transfers from Dwolla');
+
+    res.json({ transfers, total, limit, offset });
+  } catch (error) {
+    console.error('[Transfers] Error listing transfers:', error.message);
+    next(new ApiError(500, 'Failed to list transfers from Dwolla', { cause: error }));
+  }
+});
+
+/**
+ * GET /api/transfers/:id
+ * Get a specific transfer's details
+ */
+router.get('/transfers/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const localTransfer = await storage.transfers.findById(id);
+    if (!localTransfer) {
+      return next(new ApiError(404, 'Transfer not found'));
+    }
+
+    // DWOLLA API CALL: Get transfer details
+    const response = await dwollaRequest('get', localTransfer.url);
+    const transfer = response.body;
+
+    const fees = await fetchTransferFees(transfer);
+
+    // Resolve the ACH return code for failed transfers
+    const failure = transfer.status === 'failed' ? await fetchTransferFailure(transfer) : null;
+
+    // Update local store
+    const updatedTransfer = await storage.transfers.update(id, { status: transfer.status, fees, failure });
+
+    res.json({ transfer: { ...updatedTransfer, dwollaData: transfer } });
+  } catch (error) {
+    console.error('[Transfers] Error getting transfer:', error.message);
+    next(new ApiError(500, 'Failed to get transfer details', { cause: error }));
+  }
+});
+
+/**
+ * POST /api/transfers/:id/cancel
+ * Cancel a pending transfer
+ *
+ * Dwolla only allows cancelling a transfer while it is still pending and
+ * signals this with a `cancel` link on the transfer. Once the transfer
+ * starts processing the link disappears and the transfer can't be cancelled.
+ */
+router.post('/transfers/:id/cancel', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const localTransfer = await storage.transfers.findById(id);
+    if (!localTransfer) {
+      return next(new ApiError(404, 'Transfer not found'));
+    }
+
+    // DWOLLA API CALL: Get current transfer state
+    const response = await dwollaRequest('get', localTransfer.url);
+    const transfer = response.body;
+
+    if (!transfer._links?.cancel) {
+      await storage.transfers.update(id, { status: transfer.status });
+      return next(new ApiError(400, `Transfer can no longer be cancelled (status: ${transfer.status}). Only pending transfers that have not started processing can be cancelled.`));
+    }
+
+    console.log('[Transfers] Cancelling transfer:', id);
+
+    // DWOLLA API CALL: Cancel transfer
+    // POST https://api-sandbox.dwolla.com/transfers/{id} with { status: 'cancelled' }
+    const cancelResponse = await dwollaRequest('post', transfer._links.cancel.href, { status: 'cancelled' });
+    const cancelledStatus = cancelResponse.body?.status || 'cancelled';
+
+    const updatedTransfer = await storage.transfers.update(id, { status: cancelledStatus });
+
+    console.log('[Transfers] Transfer cancelled:', id);
+
+    res.json({
+      success: true,
+      message: 'Transfer cancelled',
+      transfer: updatedTransfer
+    });
+  } catch (error) {
+    console.error('[Transfers] Error cancelling transfer:', error.message);
+
+    // Dwolla rejects the cancel if the transfer started processing in the meantime
+    const errorMessage = error.body?.code === 'InvalidResourceState'
+      ? 'Transfer can no longer be cancelled. It has already started processing.'
+      : dwollaErrorMessage(error, 'Failed to cancel transfer');
+
+    next(new ApiError(400, errorMessage, { cause: error }));
+  }
+});
+
+// ----------------------------------------------------------------------------
+// MASS PAYMENT ENDPOINTS
+// ----------------------------------------------------------------------------
+
+/**
+ * Most items Dwolla accepts in a single mass payment
+ */
+const MAX_MASS_PAYMENT_ITEMS = 5000;
+
+/**
+ * Validate and submit a mass payment
+ *
+ * Every item is checked with the same rules as POST /api/transfers before
+ * anything is sent. If any item fails, nothing is submitted and the failing
+ * items are returned by index. Dwolla API errors are thrown.
+ *
+ * @param {object} options
+ * @param {string} options.sourceFundingSourceUrl - Funding source to pay from (must be verified)
+ * @param {object[]} options.items - [{ destinationFundingSourceUrl, amount, metadata?, correlationId? }]
+ * @param {string} options.currency - Defaults to USD
+ * @param {boolean} options.allowUnverified - Allow unverified destinations owned by verified customers
+ * @param {object} options.metadata - Optional metadata on the mass payment itself
+ * @param {string} options.correlationId - Optional correlation ID on the mass payment itself
+ * @param {string} idempotencyKey - Forwarded to Dwolla as the Idempotency-Key header
+ * @returns {Promise<{error: string|null, itemErrors: object[], massPayment: object|null}>}
+ */
+async function submitMassPayment(options, idempotencyKey) {
+  const { sourceFundingSourceUrl, items, currency, allowUnverified, metadata, correlationId } = options;
+  const transferCurrency = currency || 'USD';
+  const result = { error: null, itemErrors: [], massPayment: null };
+
+  // Validation
+  if (!sourceFundingSourceUrl || !Array.isArray(items) || items.length === 0) {
+    return { ...result, error: 'Source funding source and at least one item are required' };
+  }
+
+  if (items.length > MAX_MASS_PAYMENT_ITEMS) {
+    return { ...result, error: `A mass payment can have at most ${MAX_MASS_PAYMENT_ITEMS} items` };
+  }
+
+  const { fields: massPaymentOptions, error: optionsError } = buildTransferOptions({ metadata, correlationId }, transferCurrency);
+  if (optionsError) {
+    return { ...result, error: optionsError };
+  }
+
+  console.log('[MassPayments] Creating mass payment with', items.length, 'items, allowUnverified:', allowUnverified);
+
+  // Validate source funding source - must always be verified
+  const { error: sourceError, owner: sourceOwner } = await checkSourceFundingSource(sourceFundingSourceUrl);
+  if (sourceError) {
+    return { ...result, error: sourceError };
+  }
+
+  // Validate every item - the same destination is only checked once
+  const destinationErrors = {};
+  const itemErrors = [];
+  const massPaymentItems = [];
+
+  for (const [index, item] of items.entries()) {
+    const { destinationFundingSourceUrl, amount } = item || {};
+
+    if (!destinationFundingSourceUrl || !amount) {
+      itemErrors.push({ index, error: 'Destination funding source and amount are required' });
+      continue;
+    }
+    if (!(Number(amount) > 0)) {
+      itemErrors.push({ index, error: 'Amount must be greater than 0' });
+      continue;
+    }
+
+    const { fields: itemOptions, error: itemOptionsError } = buildTransferOptions(
+      { metadata: item.metadata, correlationId: item.correlationId },
+      transferCurrency
+    );
+    if (itemOptionsError) {
+      itemErrors.push({ index, error: itemOptionsError });
+      continue;
+    }
+
+    if (!(destinationFundingSourceUrl in destinationErrors)) {
+      const { error: destinationError, owner: destinationOwner } =
+        await checkDestinationFundingSource(destinationFundingSourceUrl, allowUnverified);
+      destinationErrors[destinationFundingSourceUrl] =
+        destinationError || checkTransferParties(sourceOwner, destinationOwner);
+    }
+    if (destinationErrors[destinationFundingSourceUrl]) {
+      itemErrors.push({ index, error: destinationErrors[destinationFundingSourceUrl] });
+      continue;
+    }
+
+    massPaymentItems.push({
+      _links: {
+        destination: { href: destinationFundingSourceUrl }
+      },
+      amount: {
+        currency: transferCurrency,
+        value: amount.toString()
+      },
+      ...itemOptions
+    });
+  }
+
+  if (itemErrors.length > 0) {
+    return {
+      ...result,
+      error: `${itemErrors.length} of ${items.length} items can't be paid. No payments were sent.`,
+      itemErrors
+    };
+  }
+
+  const massPaymentBody = {
+    _links: {
+      source: { href: sourceFundingSourceUrl }
+    },
+    items: massPaymentItems,
+    ...massPaymentOptions
+  };
+
+  // DWOLLA API CALL: Create mass payment
+  // POST https://api-sandbox.dwolla.com/mass-payments
+  const response = await dwollaRequest('post', 'mass-payments', massPaymentBody, {
+    'Idempotency-Key': idempotencyKey
+  });
+
+  const massPaymentUrl = response.headers.get('location');
+
+  console.log('[MassPayments] Mass payment created:', massPaymentUrl);
+
+  // DWOLLA API CALL: Get mass payment details
+  const massPaymentResponse = await dwollaRequest('get', massPaymentUrl);
+  const massPaymentRecord = {
+    ...mapMassPayment(massPaymentResponse.body),
+    itemCount: massPaymentItems.length
+  };
+
+  await storage.massPayments.add(massPaymentRecord);
+
+  return { ...result, massPayment: massPaymentRecord };
+}
+
+/**
+ * POST /api/mass-payments
+ * Pay many recipients at once from a single source funding source
+ *
+ * Body:
+ * - sourceFundingSourceUrl: Funding source to pay from (must be verified)
+ * - items: [{ destinationFundingSourceUrl, amount, metadata?, correlationId? }]
+ * - currency: Defaults to USD
+ * - allowUnverified: Allow unverified destinations owned by verified customers
+ * - metadata / correlationId: Optional, stored on the mass payment itself
+ *
+ * If any item fails validation, nothing is submitted and the response
+ * lists the failing items by index.
+ */
+router.post('/mass-payments', idempotent('mass-payments'), async (req, res, next) => {
+  try {
+    const { error, itemErrors, massPayment } = await submitMassPayment(req.body, req.idempotencyKey);
+
+    if (error) {
+      return next(new ApiError(400, error, { details: itemErrors.length > 0 ? { itemErrors } : {} }));
+    }
+
+    res.status(201).json({
+      success: true,
+      massPayment
+    });
+  } catch (error) {
+    console.error('[MassPayments] Error creating mass payment:', error.message);
+
+    next(new ApiError(400, dwollaErrorMessage(error, 'Failed to create mass payment'), { cause: error }));
+  }
+});
+
+/**
+ * GET /api/mass-payments/:id
+ * Get a mass payment's overall status
+ */
+router.get('/mass-payments/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // DWOLLA API CALL: Get mass payment
+    // GET https://api-sandbox.dwolla.com/mass-payments/{id}
+    const response = await dwollaRequest('get', `mass-payments/${id}`);
+    const massPayment = mapMassPayment(response.body);
+
+    // Update local store with fresh status
+    const localMassPayment = await storage.massPayments.update(id, { status: massPayment.status });
+
+    res.json({ massPayment: { ...localMassPayment, ...massPayment } });
+  } catch (error) {
+    console.error('[MassPayments] Error getting mass payment:', error.message);
+
+    if (error.status === 404) {
+      return next(new ApiError(404, 'Mass payment not found', { cause: error }));
+    }
+    next(new ApiError(500, 'Failed to get mass payment', { cause: error }));
+  }
+});
+
+/**
+ * GET /api/mass-payments/:id/items
+ * Get the per-item status of a mass payment
+ *
+ * Query parameters:
+ * - status: Only items with this status (pending, success, failed)
+ * - limit / offset: Fetch a single page instead of every item
+ */
+router.get('/mass-payments/:id/items', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const { limit, offset, error: paginationError } = parsePagination(req.query);
+    if (paginationError) {
+      return next(new ApiError(400, paginationError));
+    }
+
+    const filters = {};
+    if (req.query.status) {
+      if (!['pending', 'success', 'failed'].includes(req.query.status)) {
+        return next(new ApiError(400, 'status must be one of: pending, success, failed'));
+      }
+      filters.status = req.query.status;
+    }
+
+    // DWOLLA API CALL: List mass payment items
+    // GET https://api-sandbox.dwolla.com/mass-payments/{id}/items
+    const itemsUrl = withFilters(`mass-payments/${id}/items`, filters);
+    let dwollaItems;
+    let total;
+    if (limit) {
+      ({ items: dwollaItems, total } = await dwollaListPage(itemsUrl, 'items', { limit, offset }));
+    } else {
+      dwollaItems = await dwollaListAll(itemsUrl, 'items');
+      total = dwollaItems.length;
+    }
+
+    res.json({ items: dwollaItems.map(mapMassPaymentItem), total, limit, offset });
+  } catch (error) {
+    console.error('[MassPayments] Error listing mass payment items:', error.message);
+
+    if (error.status === 404) {
+      return next(new ApiError(404, 'Mass payment not found', { cause: error }));
+    }
+    next(new ApiError(500, 'Failed to list mass payment items', { cause: error }));
+  }
+});
+
+// ----------------------------------------------------------------------------
+// SANDBOX SIMULATIONS
+// ----------------------------------------------------------------------------
+
+/**
+ * POST /api/sandbox/simulations
+ * Process pending sandbox transfers on demand
+ *
+ * Sandbox transfers stay pending until sandbox-simulations is called
+ * (Dwolla processes up to the last 500 pending transactions per call).
+ * Afterwards every locally stored pending transfer is re-read from Dwolla
+ * and the response lists the ones that changed state, e.g. pending -> processed.
+ *
+ * A transfer from a bank to a customer's bank goes bank -> Dwolla -> bank,
+ * so it may need a second run before it shows as processed.
+ */
+router.post('/sandbox/simulations', async (req, res, next) => {
+  try {
+    const pendingTransfers = (await storage.transfers.all()).filter(t => t.status === 'pending');
+
+    console.log('[Sandbox] Running simulations,', pendingTransfers.length, 'local transfers pending');
+
+    // DWOLLA API CALL: Process pending sandbox transactions
+    // POST https://api-sandbox.dwolla.com/sandbox-simulations
+    const response = await dwollaRequest('post', 'sandbox-simulations', {});
+    const simulated = response.body?.total ?? null;
+
+    // Refresh the pending transfers from Dwolla
+    const changed = [];
+    let stillPending = 0;
+    for (const transfer of pendingTransfers) {
+      try {
+        // DWOLLA API CALL: Get transfer status
+        const transferResponse = await dwollaRequest('get', transfer.url);
+        const status = transferResponse.body.status;
+
+        if (status === transfer.status) {
+          stillPending++;
+          continue;
+        }
+
+        await storage.transfers.update(transfer.id, { status });
+        changed.push({
+          id: transfer.id,
+          url: transfer.url,
+          amount: transfer.amount,
+          previousStatus: transfer.status,
+          status
+        });
+      } catch (err) {
+        console.warn('[Sandbox] Failed to refresh transfer:', transfer.id);
+        stillPending++;
+      }
+    }
+
+    console.log('[Sandbox] Simulation done,', changed.length, 'transfers changed state');
+
+    res.json({ success: true, simulated, changed, stillPending });
+  } catch (error) {
+    console.error('[Sandbox] Error running simulations:', error.message);
+    next(new ApiError(500, 'Failed to run sandbox simulations', { cause: error }));
+  }
+});
+
+// ----------------------------------------------------------------------------
+// PAYROLL CSV IMPORT
+// ----------------------------------------------------------------------------
+
+/**
+ * Parse CSV text into rows of fields
+ * Supports quoted fields with commas, escaped quotes ("") and CRLF line endings.
+ * Blank lines are skipped.
+ *
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows of fields
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+/**
+ * Build a payout plan from payroll CSV text
+ *
+ * Each row is matched to a Dwolla customer by email and to a funding source
+ * the customer can be paid to (same rules as /api/customers/eligible).
+ * Rows that can't be paid are flagged with a reason code:
+ * - invalid_amount: amount is not a positive number with at most 2 decimals
+ * - invalid_memo: memo is longer than 255 characters
+ * - duplicate_row: the email already appeared on an earlier row
+ * - unknown_email: no customer with this email
+ * - customer_not_verified: customer can't receive funds (e.g. suspended or verification incomplete)
+ * - no_verified_bank: customer has no bank account that can receive payments (a balance doesn't count)
+ *
+ * @param {string} csv - CSV with an email and amount column, and an optional memo column
+ * @param {boolean} allowUnverified - Allow unverified funding sources of verified customers
+ * @returns {Promise<{error: string|null, rows: object[]}>}
+ */
+async function buildPayrollRows(csv, allowUnverified) {
+  const [header, ...dataRows] = parseCsv(csv);
+  if (!header) {
+    return { error: 'CSV is empty', rows: [] };
+  }
+
+  const columns = header.map(h => h.trim().toLowerCase());
+  const emailColumn = columns.indexOf('email');
+  const amountColumn = columns.indexOf('amount');
+  const memoColumn = columns.indexOf('memo');
+
+  if (emailColumn === -1 || amountColumn === -1) {
+    return { error: 'CSV header must include email and amount columns (memo is optional)', rows: [] };
+  }
+  if (dataRows.length === 0) {
+    return { error: 'CSV has no payment rows', rows: [] };
+  }
+
+  // Match rows against every customer in Dwolla, not just those in local storage
+  const allCustomers = await dwollaListAll('customers', 'customers');
+  const customersByEmail = {};
+  for (const customer of allCustomers) {
+    if (customer.email) {
+      customersByEmail[customer.email.toLowerCase()] ??= customer;
+    }
+  }
+
+  const fundingSourcesByCustomer = {};
+  const firstRowByEmail = {};
+  const rows = [];
+
+  for (const [index, fields] of dataRows.entries()) {
+    const email = (fields[emailColumn] || '').trim();
+    const rawAmount = (fields[amountColumn] || '').trim().replace(/[$,]/g, '');
+    const memo = memoColumn !== -1 ? (fields[memoColumn] || '').trim() : '';
+    const row = { row: index + 1, email, amount: rawAmount, memo: memo || null };
+    const flag = (reasonCode, reason) => rows.push({ ...row, status: 'flagged', reasonCode, reason });
+
+    if (!/^\d+(\.\d{1,2})?$/.test(rawAmount) || !(Number(rawAmount) > 0)) {
+      flag('invalid_amount', `Invalid amount "${fields[amountColumn] || ''}"`);
+      continue;
+    }
+    row.amount = Number(rawAmount).toFixed(2);
+
+    if (memo.length > 255) {
+      flag('invalid_memo', 'Memo must be at most 255 characters');
+      continue;
+    }
+
+    const emailKey = email.toLowerCase();
+    if (firstRowByEmail[emailKey]) {
+      flag('duplicate_row', `Duplicate row for ${email} (first seen on row ${firstRowByEmail[emailKey]})`);
+      continue;
+    }
+    firstRowByEmail[emailKey] = row.row;
+
+    const customer = customersByEmail[emailKey];
+    if (!customer) {
+      flag('unknown_email', `No customer with email ${email}`);
+      continue;
+    }
+
+    const customerUrl = customer._links.self.href;
+    row.customerId = idFromUrl(customerUrl);
+    row.customerName = `${customer.firstName} ${customer.lastName}`;
+
+    const rules = getCustomerTransferRules(customer);
+    if (!rules.canReceive) {
+      flag('customer_not_verified', `Customer cannot receive funds. ${rules.reason}`);
+      continue;
+    }
+
+    if (!fundingSourcesByCustomer[customerUrl]) {
+      try {
+        fundingSourcesByCustomer[customerUrl] = await getPayableFundingSources(customer, allowUnverified);
+      } catch (err) {
+        console.warn('[Payroll] Failed to check funding sources for:', row.customerId);
+        fundingSourcesByCustomer[customerUrl] = [];
+      }
+    }
+
+    // Payroll pays into a bank account, never the customer's Dwolla balance.
+    // Prefer a verified bank account when unverified ones are allowed too
+    const fundingSource = fundingSourcesByCustomer[customerUrl]
+      .filter(fs => fs.type === 'bank')
+      .sort((a, b) => (a.status === 'verified' ? 0 : 1) - (b.status === 'verified' ? 0 : 1))[0];
+
+    if (!fundingSource) {
+      flag('no_verified_bank', allowUnverified
+        ? 'Customer has no bank account'
+        : 'Customer has no verified bank account');
+      continue;
+    }
+
+    rows.push({
+      ...row,
+      status: 'ready',
+      destinationFundingSourceUrl: fundingSource._links.self.href,
+      destinationName: fundingSource.name,
+      destinationStatus: fundingSource.status
+    });
+  }
+
+  return { error: null, rows };
+}
+
+/**
+ * Summarize a payroll plan's rows
+ */
+function summarizePayrollRows(rows) {
+  const readyRows = rows.filter(r => r.status === 'ready');
+  const totalCents = readyRows.reduce((sum, r) => sum + Math.round(Number(r.amount) * 100), 0);
+
+  return {
+    rows: rows.length,
+    ready: readyRows.length,
+    flagged: rows.length - readyRows.length,
+    totalAmount: (totalCents / 100).toFixed(2)
+  };
+}
+
+/**
+ * POST /api/payroll/plans
+ * Import a payroll CSV and get back a dry-run payout plan
+ *
+ * The CSV needs an email and amount column, and may have a memo column.
+ * Send it either as text/csv (with ?allowUnverified=true if needed) or
+ * as JSON: { csv, allowUnverified }.
+ *
+ * Nothing is paid yet - review the plan, then confirm it with
+ * POST /api/payroll/plans/:id/confirm.
+ */
+router.post('/payroll/plans', bodyParser.text({ type: 'text/csv' }), async (req, res, next) => {
+  try {
+    const isCsvBody = typeof req.body === 'string';
+    const csv = isCsvBody ? req.body : req.body.csv;
+    const allowUnverified = isCsvBody
+      ? req.query.allowUnverified === 'true'
+      : req.body.allowUnverified === true;
+
+    if (!csv || typeof csv !== 'string') {
+      return next(new ApiError(400, 'CSV content is required'));
+    }
+
+    console.log('[Payroll] Building payout plan, allowUnverified:', allowUnverified);
+
+    const { error, rows } = await buildPayrollRows(csv, allowUnverified);
+    if (error) {
+      return next(new ApiError(400, error));
+    }
+
+    const plan = {
+      id: crypto.randomUUID(),
+      status: 'draft', // draft, confirmed
+      allowUnverified,
+      createdAt: new Date().toISOString(),
+      summary: summarizePayrollRows(rows),
+      rows,
+      massPaymentId: null
+    };
+
+    await storage.payrollPlans.add(plan);
+
+    console.log('[Payroll] Plan created:', plan.id, plan.summary);
+
+    res.status(201).json({ plan });
+  } catch (error) {
+    console.error('[Payroll] Error building payout plan:', error.message);
+    next(new ApiError(500, 'Failed to build payout plan', { cause: error }));
+  }
+});
+
+/**
+ * GET /api/payroll/plans/:id
+ * Get a payout plan
+ */
+router.get('/payroll/plans/:id', async (req, res, next) => {
+  try {
+    const plan = await storage.payrollPlans.findById(req.params.id);
+    if (!plan) {
+      return next(new ApiError(404, 'Payout plan not found'));
+    }
+
+    res.json({ plan });
+  } catch (error) {
+    console.error('[Payroll] Error getting payout plan:', error.message);
+    next(new ApiError(500, 'Failed to get payout plan', { cause: error }));
+  }
+});
+
+/**
+ * POST /api/payroll/plans/:id/confirm
+ * Pay the ready rows of a payout plan as one mass payment
+ *
+ * Body:
+ * - sourceFundingSourceUrl: Funding source to pay from (must be verified)
+ *
+ * Flagged rows are skipped. Each payment carries the row's memo and email
+ * as metadata, and the mass payment's correlationId is the plan ID.
+ * A plan can only be confirmed once.
+ */
+router.post('/payroll/plans/:id/confirm', async (req, res, next) => {
+  try {
+    const { sourceFundingSourceUrl } = req.body;
+
+    const plan = await storage.payrollPlans.findById(req.params.id);
+    if (!plan) {
+      return next(new ApiError(404, 'Payout plan not found'));
+    }
+
+    if (plan.status !== 'draft') {
+      return next(new ApiError(409, 'This payout plan has already been confirmed'));
+    }
+
+    const readyRows = plan.rows.filter(r => r.status === 'ready');
+    if (readyRows.length === 0) {
+      return next(new ApiError(400, 'This payout plan has no rows ready to pay'));
+    }
+
+    console.log('[Payroll] Confirming plan:', plan.id, 'with', readyRows.length, 'payments');
+
+    const { error, itemErrors, massPayment } = await submitMassPayment({
+      sourceFundingSourceUrl,
+      allowUnverified: plan.allowUnverified,
+      correlationId: `payroll-${plan.id}`,
+      items: readyRows.map(r => ({
+        destinationFundingSourceUrl: r.destinationFundingSourceUrl,
+        amount: r.amount,
+        metadata: r.memo ? { memo: r.memo, email: r.email } : { email: r.email }
+      }))
+    }, `payroll-${plan.id}`);
+
+    if (error) {
+      // Report item errors by CSV row rather than by mass payment item index
+      const rowErrors = itemErrors.map(e => ({ row: readyRows[e.index].row, error: e.error }));
+      return next(new ApiError(400, error, { details: rowErrors.length > 0 ? { rowErrors } : {} }));
+    }
+
+    const confirmedPlan = await storage.payrollPlans.update(plan.id, {
+      status: 'confirmed',
+      confirmedAt: new Date().toISOString(),
+      sourceFundingSourceUrl,
+      massPaymentId: massPayment.id
+    });
+
+    console.log('[Payroll] Plan confirmed:', plan.id, 'mass payment:', massPayment.id);
+
+    res.json({
+      success: true,
+      plan: confirmedPlan,
+      massPayment
+    });
+  } catch (error) {
+    console.error('[Payroll] Error confirming payout plan:', error.message);
+
+    next(new ApiError(400, dwollaErrorMessage(error, 'Failed to confirm payout plan'), { cause: error }));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,658 @@
+/**
+ * Webhook Routes
+ *
+ * Receive Dwolla webhooks (checking signatures and replays) and apply
+ * them to stored records, and manage webhook subscriptions.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const storage = require('../lib/store');
+const { dwollaConfig, dwollaRequest } = require('../lib/dwolla');
+const { fetchTransferFailure } = require('../lib/transfers');
+const { idFromUrl, mapWebhookSubscription } = require('../lib/hal');
+const { ApiError, fieldError, dwollaErrorMessage } = require('../lib/errors');
+const { uuidParam } = require('../lib/params');
+
+const router = express.Router();
+
+// IDs go straight into Dwolla paths, so only UUIDs get through
+router.param('id', uuidParam('webhook subscription'));
+router.param('webhookId', uuidParam('webhook'));
+
+/**
+ * Maximum number of webhook events kept in history
+ */
+const MAX_STORED_WEBHOOKS = 100;
+
+/**
+ * Longest webhook subscription secret Dwolla accepts
+ */
+const MAX_SUBSCRIPTION_SECRET_LENGTH = 128;
+
+/**
+ * Maximum number of event IDs remembered for replay detection
+ */
+const MAX_PROCESSED_WEBHOOK_IDS = 1000;
+
+// ----------------------------------------------------------------------------
+// WEBHOOK ENDPOINTS
+// ----------------------------------------------------------------------------
+
+/**
+ * Verify a Dwolla webhook signature
+ *
+ * Dwolla signs every webhook with an HMAC-SHA256 of the raw request body,
+ * keyed with the secret given when the webhook subscription was created,
+ * and sends the hex digest in the X-Request-Signature-SHA-256 header.
+ *
+ * @param {string} signature - Value of the X-Request-Signature-SHA-256 header
+ * @param {Buffer} rawBody - Raw request body exactly as received
+ * @param {string} secret - Webhook subscription secret
+ * @returns {boolean} True if the signature matches
+ */
+function verifyWebhookSignature(signature, rawBody, secret) {
+  if (!signature || !rawBody || !secret) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(rawBody)
+    .digest('hex');
+
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  const signatureBuffer = Buffer.from(signature, 'utf8');
+
+  // timingSafeEqual throws on length mismatch, so check length first
+  if (expectedBuffer.length !== signatureBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+}
+
+/**
+ * Get every secret a webhook may have been signed with
+ * This is the configured secret plus the secrets of subscriptions created here
+ *
+ * @returns {Promise<string[]>} Known webhook secrets
+ */
+async function getWebhookSecrets() {
+  const subscriptions = await storage.webhookSubscriptions.all();
+  const secrets = subscriptions.map(s => s.secret);
+  if (dwollaConfig.webhookSecret) {
+    secrets.unshift(dwollaConfig.webhookSecret);
+  }
+  return secrets;
+}
+
+/**
+ * POST /api/webhooks
+ * Receive webhook events from Dwolla
+ *
+ * Dwolla sends webhook notifications for various events like:
+ * - customer_created, customer_verified
+ * - transfer_created, transfer_completed, transfer_failed
+ * - funding_source_added, funding_source_verified
+ *
+ * When a webhook secret is configured (directly or by creating a webhook
+ * subscription), the X-Request-Signature-SHA-256 header must match one of
+ * them or the event is rejected with 401. Without a secret, events are
+ * stored for the history with signatureVerified: false but never applied
+ * to customers, funding sources or transfers.
+ * Events whose ID was already processed are acknowledged with
+ * duplicate: true and not processed again, so Dwolla stops redelivering.
+ */
+router.post('/webhooks', async (req, res, next) => {
+  try {
+    const event = req.body;
+
+    console.log('[Webhooks] Received event:', event.topic);
+
+    // Verify the webhook signature using the X-Request-Signature-SHA-256 header
+    const signature = req.headers['x-request-signature-sha-256'];
+    const secrets = await getWebhookSecrets();
+    let signatureVerified = false;
+
+    if (secrets.length > 0) {
+      signatureVerified = secrets.some(secret => verifyWebhookSignature(signature, req.rawBody, secret));
+
+      if (!signatureVerified) {
+        console.warn('[Webhooks] Rejected event with invalid signature:', event.id);
+        return next(new ApiError(401, 'Invalid webhook signature'));
+      }
+    } else {
+      console.warn('[Webhooks] No webhook secret configured, storing event without applying it');
+    }
+
+    // Dwolla event IDs are unique per event. A redelivery or replay of one
+    // already processed is acknowledged but not applied again
+    if (event.id && await storage.processedWebhooks.findById(event.id)) {
+      console.warn('[Webhooks] Ignoring already processed event:', event.id);
+      return res.status(200).json({ received: true, signatureVerified, duplicate: true });
+    }
+
+    // Store the webhook event
+    const webhookRecord = {
+      id: event.id || `local-${Date.now()}`,
+      topic: event.topic,
+      resourceId: event.resourceId,
+      timestamp: event.timestamp || new Date().toISOString(),
+      _links: event._links,
+      created: event.created || new Date().toISOString(),
+      signatureVerified
+    };
+
+    // Add to the beginning of the history, keeping only the latest webhooks
+    // (an earlier attempt that failed part way may already have stored it)
+    if (!await storage.webhooks.findById(webhookRecord.id)) {
+      await storage.webhooks.add(webhookRecord, { prepend: true, maxSize: MAX_STORED_WEBHOOKS });
+    }
+
+    // Only signed events may change local records - anyone can post an unsigned one
+    if (signatureVerified && event.topic && event._links) {
+      await updateLocalStoresFromWebhook(event, webhookRecord.id);
+    }
+
+    // Remember the event ID only once it has been processed, so a retry of
+    // a failed attempt is processed again. Oldest IDs are dropped once the
+    // limit is reached
+    if (signatureVerified && event.id) {
+      await storage.processedWebhooks.add(
+        { id: event.id, processedAt: new Date().toISOString() },
+        { maxSize: MAX_PROCESSED_WEBHOOK_IDS }
+      );
+    }
+
+    // Dwolla expects a 200 response to acknowledge receipt
+    res.status(200).json({ received: true, signatureVerified, applied: signatureVerified });
+  } catch (error) {
+    console.error('[Webhooks] Error processing webhook:', error.message);
+    next(new ApiError(500, 'Failed to process webhook', { cause: error }));
+  }
+});
+
+/**
+ * Customer status after each customer webhook topic
+ * Applies to personal and business customers alike
+ */
+const CUSTOMER_WEBHOOK_STATUSES = {
+  customer_verified: 'verified',
+  customer_suspended: 'suspended',
+  customer_deactivated: 'deactivated',
+  customer_verification_document_needed: 'document',
+  customer_reverification_needed: 'retry'
+};
+
+/**
+ * Document review progress after each customer document webhook topic
+ * Stored on the customer as documentStatus; the document itself (the
+ * webhook resource) moves from pending to reviewed once Dwolla decides.
+ */
+const DOCUMENT_WEBHOOK_STATUSES = {
+  customer_verification_document_needed: 'needed',
+  customer_verification_document_uploaded: 'uploaded',
+  customer_verification_document_failed: 'failed',
+  customer_verification_document_approved: 'approved'
+};
+
+/**
+ * Funding source changes after each funding source / micro-deposit webhook topic
+ * Topics come with and without the customer_ prefix (customer vs. master
+ * account funding sources); the prefix is stripped before the lookup.
+ */
+const FUNDING_SOURCE_WEBHOOK_CHANGES = {
+  funding_source_removed: { removed: true },
+  funding_source_verified: { status: 'verified' },
+  funding_source_unverified: { status: 'unverified' },
+  microdeposits_added: { microDeposits: 'pending' },
+  microdeposits_completed: { microDeposits: 'completed', verificationMethod: 'micro-deposits' },
+  microdeposits_failed: { microDeposits: 'failed' },
+  microdeposits_maxattempts: { microDeposits: 'maxattempts' }
+};
+
+/**
+ * Beneficial owner verification status after each beneficial owner webhook topic
+ */
+const BENEFICIAL_OWNER_WEBHOOK_STATUSES = {
+  customer_beneficial_owner_verified: 'verified',
+  customer_beneficial_owner_verification_document_needed: 'document',
+  customer_beneficial_owner_reverification_needed: 'incomplete'
+};
+
+/**
+ * Fetch the failure explanation for a transfer_failed webhook
+ * Webhooks must still be acknowledged if Dwolla can't be reached, so
+ * errors leave the failure as null.
+ *
+ * @param {string} transferUrl - The webhook's resource (the failed transfer)
+ * @returns {Promise<object|null>} See fetchTransferFailure
+ */
+async function fetchWebhookTransferFailure(transferUrl) {
+  try {
+    // DWOLLA API CALL: Get the failed transfer (for its failure link)
+    const response = await dwollaRequest('get', transferUrl);
+    return await fetchTransferFailure(response.body);
+  } catch (err) {
+    console.warn('[Webhooks] Could not fetch failure reason for transfer:', transferUrl);
+    return null;
+  }
+}
+
+/**
+ * Update local stores when relevant webhooks arrive
+ *
+ * @param {object} event - Dwolla webhook event
+ * @param {string} webhookId - ID of the stored webhook record
+ */
+async function updateLocalStoresFromWebhook(event, webhookId) {
+  const topic = event.topic;
+
+  const fundingSourceTopic = topic.replace(/^customer_/, '');
+
+  // Funding source and micro-deposit webhooks
+  // The resource is the funding source
+  if (fundingSourceTopic.startsWith('funding_source_') || fundingSourceTopic.startsWith('microdeposits_')) {
+    const fundingSourceUrl = event._links?.resource?.href;
+    const changes = FUNDING_SOURCE_WEBHOOK_CHANGES[fundingSourceTopic];
+    if (fundingSourceUrl && changes) {
+      const fundingSource = await storage.fundingSources.findOne(fs => fs.url === fundingSourceUrl);
+      if (fundingSource) {
+        await storage.fundingSources.update(fundingSource.id, changes);
+      }
+    }
+  } else if (topic.startsWith('customer_beneficial_owner_')) {
+    // Beneficial owner webhooks (business customers)
+    // The resource is the beneficial owner, not the customer
+    const ownerUrl = event._links?.resource?.href;
+    const verificationStatus = BENEFICIAL_OWNER_WEBHOOK_STATUSES[topic];
+    if (ownerUrl && verificationStatus) {
+      const owner = await storage.beneficialOwners.findOne(o => o.url === ownerUrl);
+      if (owner) {
+        await storage.beneficialOwners.update(owner.id, { verificationStatus });
+      }
+    }
+  } else if (topic.startsWith('customer_')) {
+    // Customer-related webhooks
+    const customerUrl = event._links?.customer?.href;
+    if (customerUrl) {
+      const customer = await storage.customers.findOne(c => c.url === customerUrl);
+      if (customer) {
+        // Update status based on topic
+        const status = CUSTOMER_WEBHOOK_STATUSES[topic];
+
+        if (status) {
+          await storage.customers.update(customer.id, { status });
+        }
+
+        const documentStatus = DOCUMENT_WEBHOOK_STATUSES[topic];
+        if (documentStatus) {
+          await storage.customers.update(customer.id, { documentStatus });
+        }
+      }
+    }
+
+    // Document review webhooks point at the document itself
+    const documentUrl = event._links?.resource?.href;
+    if (documentUrl && (topic === 'customer_verification_document_failed' || topic === 'customer_verification_document_approved')) {
+      const document = await storage.documents.findOne(d => d.url === documentUrl);
+      if (document) {
+        // The failure reason itself comes back from GET /api/customers/:id/documents
+        const changes = { status: 'reviewed' };
+        if (topic === 'customer_verification_document_approved') changes.failureReason = null;
+        await storage.documents.update(document.id, changes);
+      }
+    }
+  }
+
+  // Transfer-related webhooks
+  if (topic.startsWith('transfer_')) {
+    const transferUrl = event._links?.resource?.href;
+    if (transferUrl) {
+      // Attach the failure explanation to the webhook and the transfer
+      let failure;
+      if (topic === 'transfer_failed') {
+        failure = await fetchWebhookTransferFailure(transferUrl);
+        await storage.webhooks.update(webhookId, { failure });
+      }
+
+      const transfer = await storage.transfers.findOne(t => t.url === transferUrl);
+      if (transfer) {
+        // Update status based on topic
+        let status = null;
+        if (topic === 'transfer_completed') status = 'processed';
+        if (topic === 'transfer_failed') status = 'failed';
+        if (topic === 'transfer_cancelled') status = 'cancelled';
+
+        if (status) {
+          await storage.transfers.update(transfer.id, failure !== undefined ? { status, failure } : { status });
+        }
+      }
+    }
+  }
+
+  // Mass payment webhooks
+  if (topic.startsWith('mass_payment_')) {
+    const massPaymentUrl = event._links?.resource?.href;
+    if (massPaymentUrl) {
+      const massPayment = await storage.massPayments.findOne(m => m.url === massPaymentUrl);
+      if (massPayment) {
+        let status = null;
+        if (topic === 'mass_payment_completed') status = 'complete';
+        if (topic === 'mass_payment_cancelled') status = 'cancelled';
+
+        if (status) {
+          await storage.massPayments.update(massPayment.id, { status });
+        }
+      }
+    }
+  }
+}
+
+/**
+ * GET /api/webhooks
+ * List all received webhook events
+ */
+router.get('/webhooks', async (req, res, next) => {
+  try {
+    const webhooks = await storage.webhooks.all();
+    res.json({ webhooks });
+  } catch (error) {
+    console.error('[Webhooks] Error listing webhooks:', error.message);
+    next(new ApiError(500, 'Failed to list webhooks', { cause: error }));
+  }
+});
+
+/**
+ * DELETE /api/webhooks
+ * Clear all webhook events (for testing)
+ */
+router.delete('/webhooks', async (req, res, next) => {
+  try {
+    await storage.webhooks.clear();
+    res.json({ success: true, message: 'Webhooks cleared' });
+  } catch (error) {
+    console.error('[Webhooks] Error clearing webhooks:', error.message);
+    next(new ApiError(500, 'Failed to clear webhooks', { cause: error }));
+  }
+});
+
+// ----------------------------------------------------------------------------
+// WEBHOOK SUBSCRIPTION ENDPOINTS
+// ----------------------------------------------------------------------------
+
+/**
+ * POST /api/webhook-subscriptions
+ * Create a webhook subscription so Dwolla starts sending events to this server
+ *
+ * Body:
+ * - url: Public URL Dwolla should deliver webhooks to (e.g. https://abc.ngrok.io/api/webhooks)
+ * - secret: Optional signing secret of up to 128 characters - a random one is generated if omitted
+ *
+ * The secret is stored locally so POST /api/webhooks can verify signatures.
+ * It is returned once in this response and never again.
+ */
+router.post('/webhook-subscriptions', async (req, res, next) => {
+  try {
+    const { url } = req.body;
+
+    if (!url) {
+      return next(new ApiError(400, 'Webhook URL is required', {
+        fields: [fieldError('/url', 'Required', 'Webhook URL is required')]
+      }));
+    }
+
+    // Dwolla requires a secret of at most 128 characters
+    if (req.body.secret !== undefined &&
+      (typeof req.body.secret !== 'string' || !req.body.secret || req.body.secret.length > MAX_SUBSCRIPTION_SECRET_LENGTH)) {
+      const message = `secret must be a string of 1 to ${MAX_SUBSCRIPTION_SECRET_LENGTH} characters`;
+      return next(new ApiError(400, message, { fields: [fieldError('/secret', 'Invalid', message)] }));
+    }
+    const secret = req.body.secret || crypto.randomBytes(32).toString('hex');
+
+    console.log('[Subscriptions] Creating webhook subscription for:', url);
+
+    // DWOLLA API CALL: Create webhook subscription
+    // POST https://api-sandbox.dwolla.com/webhook-subscriptions
+    const response = await dwollaRequest('post', 'webhook-subscriptions', { url, secret });
+    const subscriptionUrl = response.headers.get('location');
+    const subscriptionId = idFromUrl(subscriptionUrl);
+
+    await storage.webhookSubscriptions.add({ id: subscriptionId, secret });
+
+    // DWOLLA API CALL: Fetch created subscription details
+    const subscriptionResponse = await dwollaRequest('get', subscriptionUrl);
+
+    console.log('[Subscriptions] Webhook subscription created:', subscriptionId);
+
+    res.status(201).json({
+      success: true,
+      subscription: {
+        ...mapWebhookSubscription(subscriptionResponse.body, true),
+        secret
+      }
+    });
+  } catch (error) {
+    console.error('[Subscriptions] Error creating webhook subscription:', error.message);
+
+    // Dwolla errors keep their own status (e.g. 400 for an invalid URL, 403 at the subscription limit)
+    next(new ApiError(500, dwollaErrorMessage(error, 'Failed to create webhook subscription'), { cause: error }));
+  }
+});
+
+/**
+ * GET /api/webhook-subscriptions
+ * List all webhook subscriptions for the account
+ */
+router.get('/webhook-subscriptions', async (req, res, next) => {
+  try {
+    // DWOLLA API CALL: List webhook subscriptions
+    // GET https://api-sandbox.dwolla.com/webhook-subscriptions
+    const response = await dwollaRequest('get', 'webhook-subscriptions');
+
+    const localSubscriptions = await storage.webhookSubscriptions.all();
+    const localIds = localSubscriptions.map(s => s.id);
+
+    const subscriptions = (response.body._embedded?.['webhook-subscriptions'] || [])
+      .map(subscription => {
+        const subscriptionId = idFromUrl(subscription._links.self.href);
+        return mapWebhookSubscription(subscription, localIds.includes(subscriptionId));
+      });
+
+    res.json({ subscriptions });
+  } catch (error) {
+    console.error('[Subscriptions] Error listing webhook subscriptions:', error.message);
+    next(new ApiError(500, 'Failed to list webhook subscriptions', { cause: error }));
+  }
+});
+
+/**
+ * GET /api/webhook-subscriptions/:id
+ * Get a specific webhook subscription
+ */
+router.get('/webhook-subscriptions/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // DWOLLA API CALL: Get webhook subscription
+    // GET https://api-sandbox.dwolla.com/webhook-subscriptions/{id}
+    const response = await dwollaRequest('get', `webhook-subscriptions/${id}`);
+    const hasLocalSecret = !!(await storage.webhookSubscriptions.findById(id));
+
+    res.json({ subscription: mapWebhookSubscription(response.body, hasLocalSecret) });
+  } catch (error) {
+    console.error('[Subscriptions] Error getting webhook subscription:', error.message);
+
+    if (error.status === 404) {
+      return next(new ApiError(404, 'Webhook subscription not found', { cause: error }));
+    }
+    next(new ApiError(500, 'Failed to get webhook subscription', { cause: error }));
+  }
+});
+
+/**
+ * DELETE /api/webhook-subscriptions/:id
+ * Delete a webhook subscription - Dwolla stops sending events to its URL
+ */
+router.delete('/webhook-subscriptions/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // DWOLLA API CALL: Delete webhook subscription
+    // DELETE https://api-sandbox.dwolla.com/webhook-subscriptions/{id}
+    await dwollaRequest('delete', `webhook-subscriptions/${id}`);
+
+    await storage.webhookSubscriptions.remove(id);
+
+    console.log('[Subscriptions] Webhook subscription deleted:', id);
+
+    res.json({ success: true, message: 'Webhook subscription deleted' });
+  } catch (error) {
+    console.error('[Subscriptions] Error deleting webhook subscription:', error.message);
+
+    if (error.status === 404) {
+      return next(new ApiError(404, 'Webhook subscription not found', { cause: error }));
+    }
+    next(new ApiError(500, 'Failed to delete webhook subscription', { cause: error }));
+  }
+});
+
+/**
+ * Pause or unpause a webhook subscription
+ * Paused subscriptions keep their events, which are delivered after unpausing
+ */
+async function setWebhookSubscriptionPaused(req, res, next, paused) {
+  try {
+    const { id } = req.params;
+
+    // DWOLLA API CALL: Update webhook subscription
+    // POST https://api-sandbox.dwolla.com/webhook-subscriptions/{id}
+    const response = await dwollaRequest('post', `webhook-subscriptions/${id}`, { paused });
+    const hasLocalSecret = !!(await storage.webhookSubscriptions.findById(id));
+
+    console.log('[Subscriptions] Webhook subscription', id, paused ? 'paused' : 'unpaused');
+
+    res.json({
+      success: true,
+      subscription: mapWebhookSubscription(response.body, hasLocalSecret)
+    });
+  } catch (error) {
+    console.error('[Subscriptions] Error updating webhook subscription:', error.message);
+
+    if (error.status === 404) {
+      return next(new ApiError(404, 'Webhook subscription not found', { cause: error }));
+    }
+    next(new ApiError(500, `Failed to ${paused ? 'pause' : 'unpause'} webhook subscription`, { cause: error }));
+  }
+}
+
+/**
+ * POST /api/webhook-subscriptions/:id/pause
+ * Pause a webhook subscription
+ */
+router.post('/webhook-subscriptions/:id/pause', (req, res, next) => {
+  return setWebhookSubscriptionPaused(req, res, next, true);
+});
+
+/**
+ * POST /api/webhook-subscriptions/:id/unpause
+ * Unpause a webhook subscription
+ */
+router.post('/webhook-subscriptions/:id/unpause', (req, res, next) => {
+  return setWebhookSubscriptionPaused(req, res, next, false);
+});
+
+/**
+ * GET /api/webhook-subscriptions/:id/webhooks
+ * List past webhook deliveries for a subscription, with every delivery attempt
+ *
+ * Useful for checking whether Dwolla could reach this server and
+ * what status code it got back.
+ */
+router.get('/webhook-subscriptions/:id/webhooks', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // DWOLLA API CALL: List webhooks for a subscription
+    // GET https://api-sandbox.dwolla.com/webhook-subscriptions/{id}/webhooks
+    const response = await dwollaRequest('get', `webhook-subscriptions/${id}/webhooks`);
+
+    const deliveries = (response.body._embedded?.webhooks || []).map(webhook => ({
+      id: webhook.id,
+      topic: webhook.topic,
+      eventId: webhook.eventId,
+      attempts: (webhook.attempts || []).map(attempt => ({
+        id: attempt.id,
+        requestTimestamp: attempt.request?.timestamp || null,
+        responseTimestamp: attempt.response?.timestamp || null,
+        responseStatusCode: attempt.response?.statusCode || null
+      }))
+    }));
+
+    res.json({ deliveries, total: response.body.total ?? deliveries.length });
+  } catch (error) {
+    console.error('[Subscriptions] Error listing webhook deliveries:', error.message);
+
+    if (error.status === 404) {
+      return next(new ApiError(404, 'Webhook subscription not found', { cause: error }));
+    }
+    next(new ApiError(500, 'Failed to list webhook deliveries', { cause: error }));
+  }
+});
+
+/**
+ * GET /api/webhook-subscriptions/:id/webhooks/:webhookId/retries
+ * List retries Dwolla made for a single webhook delivery
+ */
+router.get('/webhook-subscriptions/:id/webhooks/:webhookId/retries', async (req, res, next) => {
+  try {
+    const { webhookId } = req.params;
+
+    // DWOLLA API CALL: List retries for a webhook
+    // GET https://api-sandbox.dwolla.com/webhooks/{id}/retries
+    const response = await dwollaRequest('get', `webhooks/${webhookId}/retries`);
+
+    const retries = (response.body._embedded?.retries || []).map(retry => ({
+      id: retry.id,
+      timestamp: retry.timestamp
+    }));
+
+    res.json({ retries });
+  } catch (error) {
+    console.error('[Subscriptions] Error listing webhook retries:', error.message);
+
+    if (error.status === 404) {
+      return next(new ApiError(404, 'Webhook not found', { cause: error }));
+    }
+    next(new ApiError(500, 'Failed to list webhook retries', { cause: error }));
+  }
+});
+
+/**
+ * POST /api/webhook-subscriptions/:id/webhooks/:webhookId/retries
+ * Ask Dwolla to redeliver a webhook
+ */
+router.post('/webhook-subscriptions/:id/webhooks/:webhookId/retries', async (req, res, next) => {
+  try {
+    const { webhookId } = req.params;
+
+    // DWOLLA API CALL: Retry a webhook
+    // POST https://api-sandbox.dwolla.com/webhooks/{id}/retries
+    const response = await dwollaRequest('post', `webhooks/${webhookId}/retries`);
+
+    res.status(201).json({
+      success: true,
+      retryUrl: response.headers.get('location')
+    });
+  } catch (error) {
+    console.error('[Subscriptions] Error retrying webhook:', error.message);
+
+    if (error.status === 404) {
+      return next(new ApiError(404, 'Webhook not found', { cause: error }));
+    }
+    next(new ApiError(500, 'Failed to retry webhook', { cause: error }));
+  }
+});
+
+module.exports = router;
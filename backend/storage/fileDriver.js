@@ -0,0 +1,45 @@
+/**
+ * File Storage Driver
+ *
+ * Keeps all data in memory and writes it to a JSON file after every
+ * change, so webhook history and local metadata survive restarts.
+ *
+ * Writes go to a temporary file that is then renamed over the real one,
+ * so a crash mid-write never leaves a truncated store behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @param {string} filePath - Path of the JSON file to load from and save to
+ */
+function createFileDriver(filePath) {
+  const data = { collections: {}, values: {} };
+
+  if (fs.existsSync(filePath)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      data.collections = saved.collections || {};
+      data.values = saved.values || {};
+      console.log('[Storage] Loaded data from', filePath);
+    } catch (error) {
+      throw new Error(`Failed to read storage file ${filePath}: ${error.message}`);
+    }
+  }
+
+  return {
+    name: 'file',
+    data,
+
+    async save() {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tempPath, filePath);
+    }
+  };
+}
+
+module.exports = createFileDriver;
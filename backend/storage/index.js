@@ -0,0 +1,118 @@
+/**
+ * Storage Layer
+ *
+ * Creates the repositories used by the route handlers. The driver is
+ * chosen with the STORAGE_DRIVER environment variable:
+ *
+ * - memory (default): data is cleared when the server restarts
+ * - file: data is saved to STORAGE_FILE (default: ./data/store.json)
+ *
+ * API credentials and OAuth tokens are never written to storage.
+ */
+
+const path = require('path');
+const Repository = require('./repository');
+const createMemoryDriver = require('./memoryDriver');
+const createFileDriver = require('./fileDriver');
+
+const DEFAULT_STORAGE_FILE = path.join(__dirname, '..', 'data', 'store.json');
+
+/**
+ * Create a storage driver by name
+ */
+function createDriver(driverName, filePath) {
+  if (driverName === 'memory') {
+    return createMemoryDriver();
+  }
+  if (driverName === 'file') {
+    return createFileDriver(filePath);
+  }
+  throw new Error(`Unknown STORAGE_DRIVER "${driverName}". Use "memory" or "file".`);
+}
+
+/**
+ * Create the storage layer
+ *
+ * @param {object} options
+ * @param {string} options.driver - Driver name (defaults to STORAGE_DRIVER or 'memory')
+ * @param {string} options.filePath - File for the file driver (defaults to STORAGE_FILE)
+ * @returns {object} Repositories plus a small key/value store for settings
+ */
+function createStorage({
+  driver = process.env.STORAGE_DRIVER || 'memory',
+  filePath = process.env.STORAGE_FILE || DEFAULT_STORAGE_FILE
+} = {}) {
+  const storageDriver = createDriver(driver, filePath);
+
+  return {
+    driver: storageDriver.name,
+
+    // Customers seen through the dashboard - used for duplicate checks and lookups
+    customers: new Repository(storageDriver, 'customers'),
+
+    // Beneficial owners of verified business customers
+    beneficialOwners: new Repository(storageDriver, 'beneficialOwners'),
+
+    // Identity documents uploaded for customers in "document" status
+    documents: new Repository(storageDriver, 'documents'),
+
+    // History of verification submissions per customer
+    verificationAttempts: new Repository(storageDriver, 'verificationAttempts'),
+
+    // Customer funding sources and their micro-deposit verification progress
+    fundingSources: new Repository(storageDriver, 'fundingSources'),
+
+    // Instant Account Verification sessions
+    iavSessions: new Repository(storageDriver, 'iavSessions'),
+
+    // Transfers, including metadata only known locally
+    transfers: new Repository(storageDriver, 'transfers'),
+
+    // Mass payments (batch payouts) created through the dashboard
+    massPayments: new Repository(storageDriver, 'massPayments'),
+
+    // Payout plans built from payroll CSV imports
+    payrollPlans: new Repository(storageDriver, 'payrollPlans'),
+
+    // Webhook events received from Dwolla (newest first)
+    webhooks: new Repository(storageDriver, 'webhooks'),
+
+    // IDs of processed webhook events, for replay detection
+    processedWebhooks: new Repository(storageDriver, 'processedWebhooks'),
+
+    // Secrets of webhook subscriptions created through the dashboard
+    webhookSubscriptions: new Repository(storageDriver, 'webhookSubscriptions'),
+
+    // Cached responses of create requests, keyed by scope and Idempotency-Key
+    idempotencyKeys: new Repository(storageDriver, 'idempotencyKeys'),
+
+    /**
+     * Remove every record from every repository (settings are kept)
+     * Repositories are found on this object, so new ones are cleared too.
+     */
+    async clearRepositories() {
+      for (const value of Object.values(this)) {
+        if (value instanceof Repository) {
+          await value.clear();
+        }
+      }
+    },
+
+    /**
+     * Read a single setting
+     */
+    async getValue(key) {
+      return storageDriver.data.values[key] ?? null;
+    },
+
+    /**
+     * Write a single setting
+     */
+    async setValue(key, value) {
+      storageDriver.data.values[key] = value;
+      await storageDriver.save();
+    }
+  };
+}
+
+module.exports = { createStorage };
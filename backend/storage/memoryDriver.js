@@ -0,0 +1,18 @@
+/**
+ * In-Memory Storage Driver
+ *
+ * Keeps all data in process memory. Everything is lost on restart,
+ * which is the original behavior of the dashboard and the default.
+ */
+
+function createMemoryDriver() {
+  return {
+    name: 'memory',
+    data: { collections: {}, values: {} },
+
+    // Nothing to persist
+    async save() {}
+  };
+}
+
+module.exports = createMemoryDriver;
@@ -0,0 +1,181 @@
+/**
+ * Repository
+ *
+ * A collection of records keyed by `id`, backed by a storage driver.
+ * Route handlers read and write through repositories instead of
+ * mutating module-level arrays, so the same code works whether data
+ * lives in memory or on disk.
+ *
+ * All methods are async so a driver backed by a real database can
+ * be dropped in without changing the callers.
+ */
+
+class Repository {
+  /**
+   * @param {object} driver - Storage driver (see memoryDriver.js / fileDriver.js)
+   * @param {string} name - Collection name inside the driver's data
+   */
+  constructor(driver, name) {
+    this.driver = driver;
+    this.name = name;
+  }
+
+  /**
+   * Records in this collection (live array owned by the driver)
+   */
+  get records() {
+    const data = this.driver.data;
+    if (!data.collections[this.name]) {
+      data.collections[this.name] = [];
+    }
+    return data.collections[this.name];
+  }
+
+  set records(records) {
+    this.driver.data.collections[this.name] = records;
+  }
+
+  /**
+   * Get all records (copies, so callers can't mutate storage by accident)
+   * @returns {Promise<object[]>}
+   */
+  async all() {
+    return this.records.map(record => ({ ...record }));
+  }
+
+  /**
+   * Find a record by ID
+   * @returns {Promise<object|null>}
+   */
+  async findById(id) {
+    const record = this.records.find(r => r.id === id);
+    return record ? { ...record } : null;
+  }
+
+  /**
+   * Find the first record matching a predicate
+   * @param {function(object): boolean} predicate
+   * @returns {Promise<object|null>}
+   */
+  async findOne(predicate) {
+    const record = this.records.find(predicate);
+    return record ? { ...record } : null;
+  }
+
+  /**
+   * Check whether any record matches a predicate
+   * @param {function(object): boolean} predicate
+   * @returns {Promise<boolean>}
+   */
+  async exists(predicate) {
+    return this.records.some(predicate);
+  }
+
+  /**
+   * Add a new record
+   *
+   * @param {object} record - Record with an `id`
+   * @param {object} options
+   * @param {boolean} options.prepend - Add to the beginning instead of the end
+   * @param {number} options.maxSize - Drop records from the far end beyond this size
+   * @returns {Promise<object>} The stored record
+   */
+  async add(record, { prepend = false, maxSize = null } = {}) {
+    const records = this.records;
+
+    if (prepend) {
+      records.unshift({ ...record });
+    } else {
+      records.push({ ...record });
+    }
+
+    if (maxSize && records.length > maxSize) {
+      this.records = prepend ? records.slice(0, maxSize) : records.slice(records.length - maxSize);
+    }
+
+    await this.driver.save();
+    return { ...record };
+  }
+
+  /**
+   * Merge changes into an existing record
+   * @returns {Promise<object|null>} Updated record, or null if not found
+   */
+  async update(id, changes) {
+    const record = this.records.find(r => r.id === id);
+    if (!record) {
+      return null;
+    }
+
+    Object.assign(record, changes);
+    await this.driver.save();
+    return { ...record };
+  }
+
+  /**
+   * Insert or merge records by ID
+   *
+   * Fields only known locally (e.g. metadata we attached when creating
+   * a resource) are kept when the same record is synced from Dwolla.
+   *
+   * @param {object[]} incoming - Records with an `id`
+   * @returns {Promise<object[]>} The merged records, in the order given
+   */
+  async upsertMany(incoming) {
+    const records = this.records;
+    const merged = incoming.map(record => {
+      const existing = records.find(r => r.id === record.id);
+      if (existing) {
+        Object.assign(existing, record);
+        return { ...existing };
+      }
+      records.push({ ...record });
+      return { ...record };
+    });
+
+    await this.driver.save();
+    return merged;
+  }
+
+  /**
+   * Remove a record by ID
+   * @returns {Promise<boolean>} True if a record was removed
+   */
+  async remove(id) {
+    const before = this.records.length;
+    this.records = this.records.filter(r => r.id !== id);
+
+    if (this.records.length === before) {
+      return false;
+    }
+
+    await this.driver.save();
+    return true;
+  }
+
+  /**
+   * Remove every record matching a predicate
+   * @param {function(object): boolean} predicate
+   * @returns {Promise<number>} How many records were removed
+   */
+  async removeWhere(predicate) {
+    const before = this.records.length;
+    this.records = this.records.filter(r => !predicate(r));
+
+    const removed = before - this.records.length;
+    if (removed > 0) {
+      await this.driver.save();
+    }
+    return removed;
+  }
+
+  /**
+   * Remove every record in the collection
+   */
+  async clear() {
+    this.records = [];
+    await this.driver.save();
+  }
+}
+
+module.exports = Repository;
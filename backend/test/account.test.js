@@ -0,0 +1,114 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  api, connect, createCustomer, createVerifiedCustomer, addBank, accountFundingSources
+} = require('./helpers/app');
+
+describe('master account', () => {
+  before(connect);
+
+  it('returns the account', async () => {
+    const response = await api().get('/api/me').expect(200);
+    assert.equal(response.body.account.name, 'Mock Dwolla Account');
+    assert.match(response.body.account.url, /\/accounts\//);
+  });
+
+  it('lists the account funding sources', async () => {
+    const { balance, bank } = await accountFundingSources();
+    assert.equal(balance.status, 'verified');
+    assert.equal(bank.status, 'verified');
+  });
+
+  it('returns the balance', async () => {
+    const response = await api().get('/api/me/balance').expect(200);
+    assert.deepEqual(response.body.balance, { value: '10000.00', currency: 'USD' });
+  });
+});
+
+describe('balance transfers', () => {
+  before(connect);
+
+  it('funds the balance from the bank', async () => {
+    const response = await api().post('/api/me/balance/fund').send({ amount: '25.00' }).expect(201);
+    assert.equal(response.body.transfer.status, 'pending');
+    assert.equal(response.body.balanceBefore.value, '10000.00');
+  });
+
+  it('withdraws from the balance to the bank', async () => {
+    const response = await api().post('/api/me/balance/withdraw').send({ amount: '40.00' }).expect(201);
+    assert.equal(response.body.transfer.amount.value, '40.00');
+
+    const balance = await api().get('/api/me/balance').expect(200);
+    assert.equal(balance.body.balance.value, '9960.00');
+  });
+
+  it('checks the amount and the available funds', async () => {
+    const amount = await api().post('/api/me/balance/withdraw').send({ amount: '1.234' }).expect(400);
+    assert.equal(amount.body.error.message, 'Amount must be a positive number with at most 2 decimal places');
+
+    const funds = await api().post('/api/me/balance/withdraw').send({ amount: '50000' }).expect(400);
+    assert.equal(funds.body.error.message, 'Insufficient funds: the account balance is 9960.00 USD, but 50000.00 USD was requested.');
+  });
+
+  it('rejects a bank that is not the account\'s', async () => {
+    const response = await api()
+      .post('/api/me/balance/fund')
+      .send({ amount: '5.00', bankFundingSourceId: 'not-a-bank' })
+      .expect(400);
+    assert.equal(response.body.error.message, 'Bank funding source not found');
+  });
+});
+
+describe('customer balances', () => {
+  let verified;
+  let accountBalance;
+
+  before(async () => {
+    await connect();
+    ({ balance: accountBalance } = await accountFundingSources());
+    verified = await createVerifiedCustomer();
+  });
+
+  it('only verified customers have a balance', async () => {
+    const unverified = await createCustomer();
+    const none = await api().get(`/api/customers/${unverified.id}/balance`).expect(200);
+    assert.equal(none.body.balance, null);
+
+    const response = await api().get(`/api/customers/${verified.id}/balance`).expect(200);
+    assert.deepEqual(response.body.balance, { value: '0.00', currency: 'USD' });
+    assert.ok(response.body.balanceFundingSourceUrl);
+  });
+
+  it('moves money out of a customer balance', async () => {
+    const { body } = await api().get(`/api/customers/${verified.id}/balance`).expect(200);
+    await api()
+      .post('/api/transfers')
+      .send({ sourceFundingSourceUrl: accountBalance.url, destinationFundingSourceUrl: body.balanceFundingSourceUrl, amount: '30.00' })
+      .expect(201);
+
+    const back = await api()
+      .post(`/api/customers/${verified.id}/balance/transfer`)
+      .send({ amount: '10.00', destinationFundingSourceUrl: accountBalance.url })
+      .expect(201);
+    assert.equal(back.body.transfer.status, 'processed');
+
+    const balance = await api().get(`/api/customers/${verified.id}/balance`).expect(200);
+    assert.equal(balance.body.balance.value, '20.00');
+  });
+
+  it('withdraws to the customer\'s verified bank', async () => {
+    const noBank = await api().post(`/api/customers/${verified.id}/balance/transfer`).send({ amount: '5.00' }).expect(400);
+    assert.equal(noBank.body.error.message, 'No verified bank account found');
+
+    await addBank(verified.id);
+    await api().post(`/api/customers/${verified.id}/balance/transfer`).send({ amount: '5.00' }).expect(201);
+  });
+
+  it('rejects more than the customer has', async () => {
+    const response = await api()
+      .post(`/api/customers/${verified.id}/balance/transfer`)
+      .send({ amount: '500.00', destinationFundingSourceUrl: accountBalance.url })
+      .expect(400);
+    assert.equal(response.body.error.message, "Insufficient funds: the customer's balance is 15.00 USD, but 500.00 USD was requested.");
+  });
+});
@@ -0,0 +1,282 @@
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, stub, storage, connect, createCustomer } = require('./helpers/app');
+const { dwollaResponse, dwollaError } = require('./helpers/dwollaStub');
+
+const BASE_URL = 'https://api-mock.dwolla.local';
+
+const OWNER_ADDRESS = {
+  address1: '1 Main St',
+  city: 'Des Moines',
+  stateProvinceRegion: 'IA',
+  postalCode: '50309',
+  country: 'US'
+};
+
+const BUSINESS_ADDRESS = { address1: '9 Market St', city: 'Des Moines', state: 'IA', postalCode: '50309' };
+
+function beneficialOwner(id, verificationStatus = 'verified') {
+  return {
+    _links: { self: { href: `${BASE_URL}/beneficial-owners/${id}` } },
+    id,
+    firstName: 'Owner',
+    lastName: 'One',
+    verificationStatus,
+    created: '2024-01-01T00:00:00.000Z'
+  };
+}
+
+describe('business verification', () => {
+  before(connect);
+
+  it('verifies a sole proprietorship', async () => {
+    const customer = await createCustomer({ type: 'business', businessName: 'Solo Shop' });
+    const response = await api()
+      .post(`/api/customers/${customer.id}/verify`)
+      .send({
+        type: 'business',
+        businessType: 'soleProprietorship',
+        businessClassification: 'industry-1',
+        dateOfBirth: '1980-01-01',
+        ssn: '0000',
+        ...BUSINESS_ADDRESS
+      })
+      .expect(200);
+    assert.equal(response.body.customer.type, 'business');
+    assert.equal(response.body.customer.status, 'verified');
+  });
+
+  it('requires an EIN and controller for other business types', async () => {
+    const customer = await createCustomer({ type: 'business', businessName: 'Acme LLC' });
+    const body = { type: 'business', businessType: 'llc', businessClassification: 'industry-1', ...BUSINESS_ADDRESS };
+
+    const noEin = await api().post(`/api/customers/${customer.id}/verify`).send(body).expect(400);
+    assert.equal(noEin.body.error.message, 'ein is required for businessType llc');
+
+    const noController = await api()
+      .post(`/api/customers/${customer.id}/verify`)
+      .send({ ...body, ein: '12-3456789' })
+      .expect(400);
+    assert.equal(noController.body.error.message, 'A controller is required for businessType llc');
+
+    const badAddress = await api()
+      .post(`/api/customers/${customer.id}/verify`)
+      .send({
+        ...body,
+        ein: '12-3456789',
+        controller: { firstName: 'C', lastName: 'O', title: 'CEO', dateOfBirth: '1980-01-01', ssn: '0000', address: { address1: '1 Main St' } }
+      })
+      .expect(400);
+    assert.equal(badAddress.body.error.message, 'Controller address city is required');
+    assert.equal(badAddress.body.error.fields[0].path, '/controller/address/city');
+  });
+
+  it('rejects unknown business types', async () => {
+    const customer = await createCustomer({ type: 'business', businessName: 'Acme' });
+    const response = await api()
+      .post(`/api/customers/${customer.id}/verify`)
+      .send({ type: 'business', businessType: 'trust' })
+      .expect(400);
+    assert.equal(response.body.error.message, 'businessType must be one of: soleProprietorship, corporation, llc, partnership');
+  });
+});
+
+describe('GET /api/business-classifications', () => {
+  before(connect);
+  afterEach(() => stub.reset());
+
+  it('lists classifications with their industries', async () => {
+    stub.on('get', /business-classifications$/, () => dwollaResponse(200, {
+      _embedded: {
+        'business-classifications': [{
+          id: 'class-1',
+          name: 'Food retail and service',
+          _embedded: { 'industry-classifications': [{ id: 'industry-1', name: 'Bakeries' }] }
+        }]
+      }
+    }));
+
+    const response = await api().get('/api/business-classifications').expect(200);
+    assert.deepEqual(response.body.classifications, [{
+      id: 'class-1',
+      name: 'Food retail and service',
+      industries: [{ id: 'industry-1', name: 'Bakeries' }]
+    }]);
+  });
+
+  it('returns 502 when Dwolla fails', async () => {
+    stub.on('get', /business-classifications$/, () => {
+      throw dwollaError(500, { code: 'ServerError', message: 'A server error occurred.' });
+    });
+
+    const response = await api().get('/api/business-classifications').expect(502);
+    assert.equal(response.body.error.code, 'ServerError');
+    assert.equal(response.body.error.message, 'Failed to list business classifications');
+  });
+});
+
+describe('beneficial owners', () => {
+  let customer;
+
+  before(async () => {
+    await connect();
+    customer = await createCustomer({ type: 'business', businessName: 'Owners Inc' });
+  });
+  afterEach(() => stub.reset());
+
+  it('adds a beneficial owner', async () => {
+    stub.on('post', /beneficial-owners$/, () => dwollaResponse(201, {}, `${BASE_URL}/beneficial-owners/40000000-0000-4000-8000-000000000001`));
+    stub.on('get', /beneficial-owners\/40000000-0000-4000-8000-000000000001$/, () => dwollaResponse(200, beneficialOwner('40000000-0000-4000-8000-000000000001', 'document')));
+
+    const response = await api()
+      .post(`/api/customers/${customer.id}/beneficial-owners`)
+      .send({ firstName: 'Owner', lastName: 'One', dateOfBirth: '1970-01-01', ssn: '123-45-6789', address: OWNER_ADDRESS })
+      .expect(201);
+    assert.equal(response.body.beneficialOwner.id, '40000000-0000-4000-8000-000000000001');
+    assert.equal(response.body.beneficialOwner.verificationStatus, 'document');
+  });
+
+  it('validates the owner', async () => {
+    const shortSsn = await api()
+      .post(`/api/customers/${customer.id}/beneficial-owners`)
+      .send({ firstName: 'Owner', lastName: 'One', dateOfBirth: '1970-01-01', ssn: '6789', address: OWNER_ADDRESS })
+      .expect(400);
+    assert.equal(shortSsn.body.error.message, 'Beneficial owners need the full 9-digit SSN');
+
+    const noAddress = await api()
+      .post(`/api/customers/${customer.id}/beneficial-owners`)
+      .send({ firstName: 'Owner', lastName: 'One', dateOfBirth: '1970-01-01', ssn: '123456789' })
+      .expect(400);
+    assert.equal(noAddress.body.error.message, 'Beneficial owner address is required');
+  });
+
+  it('lists owners with the certification status', async () => {
+    stub.on('get', /beneficial-owners$/, () => dwollaResponse(200, {
+      _embedded: { 'beneficial-owners': [beneficialOwner('40000000-0000-4000-8000-000000000001')] }
+    }));
+    stub.on('get', /beneficial-ownership$/, () => dwollaResponse(200, { status: 'uncertified' }));
+
+    const response = await api().get(`/api/customers/${customer.id}/beneficial-owners`).expect(200);
+    assert.equal(response.body.certificationStatus, 'uncertified');
+    assert.deepEqual(response.body.beneficialOwners.map(o => o.verificationStatus), ['verified']);
+  });
+
+  it('certifies beneficial ownership', async () => {
+    stub.on('post', /beneficial-ownership$/, ({ body }) => dwollaResponse(200, { status: body.status }));
+
+    const response = await api().post(`/api/customers/${customer.id}/beneficial-ownership/certify`).expect(200);
+    assert.equal(response.body.certificationStatus, 'certified');
+  });
+
+  it('passes the Dwolla message through when certification is refused', async () => {
+    stub.on('post', /beneficial-ownership$/, () => {
+      throw dwollaError(400, { code: 'InvalidResourceState', message: 'Customer must be a verified business.' });
+    });
+
+    const response = await api().post(`/api/customers/${customer.id}/beneficial-ownership/certify`).expect(400);
+    assert.equal(response.body.error.message, 'Customer must be a verified business.');
+  });
+
+  it('removes a beneficial owner', async () => {
+    stub.on('delete', /beneficial-owners\/40000000-0000-4000-8000-000000000001$/, () => dwollaResponse(200));
+    await api().delete(`/api/customers/${customer.id}/beneficial-owners/40000000-0000-4000-8000-000000000001`).expect(200);
+
+    stub.on('get', /beneficial-owners$/, () => dwollaResponse(200, { _embedded: { 'beneficial-owners': [] } }));
+    const missing = await api()
+      .delete(`/api/customers/${customer.id}/beneficial-owners/40000000-0000-4000-8000-000000000002`)
+      .expect(404);
+    assert.equal(missing.body.error.message, 'Beneficial owner not found');
+
+    const invalid = await api().delete(`/api/customers/${customer.id}/beneficial-owners/..%2Fcustomers`).expect(400);
+    assert.equal(invalid.body.error.message, 'Invalid beneficial owner ID');
+  });
+
+  it('only removes owners that belong to the customer', async () => {
+    const ownerId = '40000000-0000-4000-8000-000000000003';
+    stub.on('post', /beneficial-owners$/, () => dwollaResponse(201, {}, `${BASE_URL}/beneficial-owners/${ownerId}`));
+    stub.on('get', new RegExp(`beneficial-owners/${ownerId}$`), () => dwollaResponse(200, beneficialOwner(ownerId)));
+    await api()
+      .post(`/api/customers/${customer.id}/beneficial-owners`)
+      .send({ firstName: 'Owner', lastName: 'Three', dateOfBirth: '1970-01-01', ssn: '123-45-6789', address: OWNER_ADDRESS })
+      .expect(201);
+
+    const other = await createCustomer({ type: 'business', businessName: 'Other Inc' });
+    await api().delete(`/api/customers/${other.id}/beneficial-owners/${ownerId}`).expect(404);
+    assert.equal(stub.calls.filter(c => c.method === 'delete').length, 0);
+    assert.ok(await storage.beneficialOwners.findById(ownerId));
+  });
+});
+
+describe('customer documents', () => {
+  let customer;
+
+  before(async () => {
+    await connect();
+    customer = await createCustomer();
+  });
+  afterEach(() => stub.reset());
+
+  it('uploads a document as multipart form data', async () => {
+    let uploaded;
+    stub.on('post', /documents$/, ({ body }) => {
+      uploaded = body;
+      return dwollaResponse(201, {}, `${BASE_URL}/documents/doc-1`);
+    });
+    stub.on('get', /documents\/doc-1$/, () => dwollaResponse(200, {
+      _links: { self: { href: `${BASE_URL}/documents/doc-1` } },
+      type: 'passport',
+      status: 'pending',
+      created: '2024-01-01T00:00:00.000Z'
+    }));
+
+    const response = await api()
+      .post(`/api/customers/${customer.id}/documents`)
+      .field('documentType', 'passport')
+      .attach('file', Buffer.from('%PDF-1.4'), { filename: 'passport.pdf', contentType: 'application/pdf' })
+      .expect(201);
+    assert.equal(response.body.document.id, 'doc-1');
+    assert.equal(response.body.document.status, 'pending');
+    assert.equal(typeof uploaded.getBoundary, 'function');
+
+    const details = await api().get(`/api/customers/${customer.id}`).expect(200);
+    assert.equal(details.body.customer.documentStatus, 'uploaded');
+  });
+
+  it('validates the file and document type', async () => {
+    const noFile = await api().post(`/api/customers/${customer.id}/documents`).field('documentType', 'passport').expect(400);
+    assert.equal(noFile.body.error.message, 'A file is required');
+
+    const badType = await api()
+      .post(`/api/customers/${customer.id}/documents`)
+      .field('documentType', 'selfie')
+      .attach('file', Buffer.from('png'), { filename: 'id.png', contentType: 'image/png' })
+      .expect(400);
+    assert.equal(badType.body.error.message, 'documentType must be one of: passport, license, idCard, other');
+
+    const badMime = await api()
+      .post(`/api/customers/${customer.id}/documents`)
+      .field('documentType', 'passport')
+      .attach('file', Buffer.from('text'), { filename: 'id.txt', contentType: 'text/plain' })
+      .expect(400);
+    assert.equal(badMime.body.error.message, 'File must be a JPG, PNG or PDF');
+  });
+
+  it('lists documents with their review status', async () => {
+    stub.on('get', /documents$/, () => dwollaResponse(200, {
+      _embedded: {
+        documents: [{
+          _links: { self: { href: `${BASE_URL}/documents/doc-1` } },
+          type: 'passport',
+          status: 'reviewed',
+          failureReason: 'ScanNotReadable',
+          created: '2024-01-01T00:00:00.000Z'
+        }]
+      },
+      total: 1
+    }));
+
+    const response = await api().get(`/api/customers/${customer.id}/documents`).expect(200);
+    assert.equal(response.body.total, 1);
+    assert.equal(response.body.documents[0].failureReason, 'ScanNotReadable');
+  });
+});
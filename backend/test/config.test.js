@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, storage, connect, createCustomer } = require('./helpers/app');
+
+describe('configuration', () => {
+  it('reports not configured before credentials are saved', async () => {
+    const response = await api().get('/api/config/status').expect(200);
+    assert.equal(response.body.isConfigured, false);
+    assert.equal(response.body.hasToken, false);
+    assert.equal(response.body.environment, 'mock');
+  });
+
+  it('fails Dwolla-backed routes until configured', async () => {
+    const response = await api().get('/api/me').expect(500);
+    assert.equal(response.body.error.message, 'Failed to get account details');
+  });
+
+  it('requires both key and secret', async () => {
+    const response = await api().post('/api/config').send({ key: 'only-key' }).expect(400);
+    assert.equal(response.body.error.message, 'Both API key and secret are required');
+  });
+
+  it('saves credentials and gets a token', async () => {
+    const response = await api()
+      .post('/api/config')
+      .send({ key: 'config-key', secret: 'config-secret', webhookSecret: 'hook-secret' })
+      .expect(200);
+    assert.equal(response.body.success, true);
+    assert.equal(response.body.tokenExpiresIn, 3600);
+
+    const status = await api().get('/api/config/status').expect(200);
+    assert.equal(status.body.isConfigured, true);
+    assert.equal(status.body.tokenStatus, 'valid');
+    assert.equal(status.body.hasWebhookSecret, true);
+    assert.ok(status.body.remainingTokenTime > 3500);
+  });
+
+  it('stores a fingerprint of the key, never the key itself', async () => {
+    assert.equal(await storage.getValue('accountKey'), null);
+    const fingerprint = await storage.getValue('accountKeyFingerprint');
+    assert.match(fingerprint, /^[0-9a-f]{64}$/);
+  });
+
+  it('keeps stored data when reconnecting with the same key', async () => {
+    const customer = await createCustomer();
+    await api().post('/api/config').send({ key: 'config-key', secret: 'config-secret' }).expect(200);
+    await api().get(`/api/customers/${customer.id}`).expect(200);
+  });
+
+  it('clears stored data when switching to a different key', async () => {
+    const customer = await createCustomer();
+    await storage.iavSessions.add({ id: 'session-1', customerId: customer.id });
+    await connect();
+    await api().get(`/api/customers/${customer.id}`).expect(404);
+    assert.deepEqual(await storage.iavSessions.all(), []);
+  });
+});
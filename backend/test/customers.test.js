@@ -0,0 +1,396 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  api, stub, connect, uniqueEmail, createCustomer, createVerifiedCustomer, addBank
+} = require('./helpers/app');
+const { dwollaError } = require('./helpers/dwollaStub');
+const { dwollaRequest } = require('../lib/dwolla');
+
+const RETRY_BODY = {
+  address1: '1 Main St',
+  city: 'Des Moines',
+  state: 'IA',
+  postalCode: '50309',
+  dateOfBirth: '1990-01-01',
+  ssn: '123-45-6789'
+};
+
+describe('POST /api/customers', () => {
+  before(connect);
+
+  it('creates an unverified customer', async () => {
+    const email = uniqueEmail();
+    const response = await api()
+      .post('/api/customers')
+      .send({ firstName: 'Jane', lastName: 'Doe', email, phone: '5555550100' })
+      .expect(201);
+
+    const { customer } = response.body;
+    assert.equal(customer.email, email);
+    assert.equal(customer.phone, '5555550100');
+    assert.equal(customer.type, 'unverified');
+    assert.equal(customer.status, 'unverified');
+    assert.match(customer.url, new RegExp(`/customers/${customer.id}$`));
+  });
+
+  it('creates receive-only and business customers', async () => {
+    const receiveOnly = await createCustomer({ type: 'receive-only' });
+    assert.equal(receiveOnly.type, 'receive-only');
+
+    const business = await createCustomer({ type: 'business', businessName: 'Acme LLC' });
+    assert.equal(business.businessName, 'Acme LLC');
+  });
+
+  it('requires first name, last name and email', async () => {
+    const response = await api().post('/api/customers').send({ firstName: 'Jane' }).expect(400);
+    assert.equal(response.body.error.message, 'First name, last name, and email are required');
+    assert.equal(response.body.error.code, 'ValidationError');
+    assert.deepEqual(response.body.error.fields, [
+      { path: '/lastName', code: 'Required', message: 'lastName is required' },
+      { path: '/email', code: 'Required', message: 'email is required' }
+    ]);
+  });
+
+  it('rejects unknown customer types', async () => {
+    const response = await api()
+      .post('/api/customers')
+      .send({ firstName: 'Jane', lastName: 'Doe', email: uniqueEmail(), type: 'corporate' })
+      .expect(400);
+    assert.equal(response.body.error.message, 'Type must be one of: personal, business, receive-only');
+  });
+
+  it('rejects a duplicate email, ignoring case', async () => {
+    const customer = await createCustomer();
+    const response = await api()
+      .post('/api/customers')
+      .send({ firstName: 'Other', lastName: 'Person', email: customer.email.toUpperCase() })
+      .expect(400);
+    assert.equal(response.body.error.message, 'A customer with this email already exists');
+    assert.deepEqual(response.body.error.fields, [
+      { path: '/email', code: 'Duplicate', message: 'A customer with this email already exists' }
+    ]);
+  });
+
+  it('rejects a duplicate phone number', async () => {
+    await createCustomer({ phone: '5555550199' });
+    const response = await api()
+      .post('/api/customers')
+      .send({ firstName: 'Other', lastName: 'Person', email: uniqueEmail(), phone: '5555550199' })
+      .expect(400);
+    assert.equal(response.body.error.message, 'A customer with this phone number already exists');
+    assert.equal(response.body.error.fields[0].path, '/phone');
+  });
+
+  it('joins Dwolla validation errors into one message', async () => {
+    stub.on('post', /^customers$/, () => {
+      throw dwollaError(400, {
+        code: 'ValidationError',
+        message: 'Validation error(s) present.',
+        _embedded: {
+          errors: [
+            { code: 'Duplicate', path: '/email', message: 'A customer with the specified email already exists.' },
+            { code: 'Invalid', path: '/firstName', message: 'FirstName invalid.' }
+          ]
+        }
+      });
+    });
+
+    const response = await api()
+      .post('/api/customers')
+      .send({ firstName: 'Jane', lastName: 'Doe', email: uniqueEmail() })
+      .expect(400);
+    assert.equal(response.body.error.message, 'A customer with the specified email already exists. FirstName invalid.');
+    assert.equal(response.body.error.code, 'ValidationError');
+    assert.deepEqual(response.body.error.fields, [
+      { path: '/email', code: 'Duplicate', message: 'A customer with the specified email already exists.' },
+      { path: '/firstName', code: 'Invalid', message: 'FirstName invalid.' }
+    ]);
+    stub.reset();
+  });
+
+  it('returns the standard error body for malformed JSON', async () => {
+    const response = await api()
+      .post('/api/customers')
+      .set('Content-Type', 'application/json')
+      .send('{"firstName": ')
+      .expect(400);
+    assert.deepEqual(response.body, {
+      error: { code: 'BadRequest', message: 'Request body is not valid JSON', fields: [] }
+    });
+  });
+
+  it('forwards the Idempotency-Key and replays the first response', async () => {
+    const body = { firstName: 'Idem', lastName: 'Potent', email: uniqueEmail() };
+    const first = await api().post('/api/customers').set('Idempotency-Key', 'customer-key-1').send(body).expect(201);
+    const second = await api().post('/api/customers').set('Idempotency-Key', 'customer-key-1').send(body).expect(201);
+
+    assert.deepEqual(second.body, first.body);
+    const creates = stub.calls.filter(c => c.method === 'post' && /^customers$/.test(c.path));
+    assert.equal(creates.length, 1);
+    assert.equal(creates[0].headers['Idempotency-Key'], 'customer-key-1');
+  });
+});
+
+describe('GET /api/customers', () => {
+  before(async () => {
+    await connect();
+    await createCustomer({ firstName: 'Alice', lastName: 'Anders' });
+    await createCustomer({ firstName: 'Bob', lastName: 'Brown' });
+    await createVerifiedCustomer('0000', { firstName: 'Carol', lastName: 'Chen' });
+  });
+
+  it('lists every customer from Dwolla', async () => {
+    const response = await api().get('/api/customers').expect(200);
+    assert.equal(response.body.total, 3);
+    assert.equal(response.body.customers.length, 3);
+  });
+
+  it('pages with limit and offset', async () => {
+    const response = await api().get('/api/customers?limit=2&offset=2').expect(200);
+    assert.equal(response.body.total, 3);
+    assert.equal(response.body.customers.length, 1);
+  });
+
+  it('applies the offset without a limit', async () => {
+    const response = await api().get('/api/customers?offset=1').expect(200);
+    assert.equal(response.body.total, 3);
+    assert.equal(response.body.customers.length, 2);
+  });
+
+  it('filters by search and status', async () => {
+    const bySearch = await api().get('/api/customers?search=bob').expect(200);
+    assert.deepEqual(bySearch.body.customers.map(c => c.firstName), ['Bob']);
+
+    const byStatus = await api().get('/api/customers?status=verified').expect(200);
+    assert.deepEqual(byStatus.body.customers.map(c => c.firstName), ['Carol']);
+  });
+
+  it('rejects an invalid limit', async () => {
+    await api().get('/api/customers?limit=0').expect(400);
+  });
+
+  it('keeps the filter on every page of a Dwolla list', async () => {
+    const first = await dwollaRequest('get', 'customers?status=unverified&limit=1');
+    const second = await dwollaRequest('get', first.body._links.next.href);
+
+    const names = [first, second].map(response => response.body._embedded.customers[0].firstName);
+    assert.deepEqual(names.sort(), ['Alice', 'Bob']);
+    assert.equal(second.body._links.next, undefined);
+    assert.match(second.body._links.prev.href, /status=unverified/);
+  });
+});
+
+describe('GET and PATCH /api/customers/:id', () => {
+  before(connect);
+
+  it('returns the customer with fresh Dwolla data', async () => {
+    const customer = await createCustomer();
+    const response = await api().get(`/api/customers/${customer.id}`).expect(200);
+    assert.equal(response.body.customer.id, customer.id);
+    assert.equal(response.body.customer.dwollaData.status, 'unverified');
+  });
+
+  it('returns 404 for unknown customers', async () => {
+    const response = await api().get('/api/customers/00000000-0000-4000-8000-000000000000').expect(404);
+    assert.equal(response.body.error.message, 'Customer not found');
+  });
+
+  it('rejects customer IDs that are not UUIDs', async () => {
+    const response = await api().get('/api/customers/not-a-customer').expect(400);
+    assert.equal(response.body.error.message, 'Invalid customer ID');
+
+    await api().post('/api/customers/not-a-customer/verify').send({ ssn: '0000' }).expect(400);
+  });
+
+  it('updates the email of an unverified customer', async () => {
+    const customer = await createCustomer();
+    const email = uniqueEmail('updated');
+    const response = await api().patch(`/api/customers/${customer.id}`).send({ email }).expect(200);
+    assert.equal(response.body.customer.email, email);
+  });
+
+  it('only lets verified customers change phone and address', async () => {
+    const customer = await createCustomer();
+    const response = await api().patch(`/api/customers/${customer.id}`).send({ phone: '5555550123' }).expect(400);
+    assert.equal(response.body.error.message, 'Phone and address can only be updated on verified customers (current type: unverified)');
+
+    const verified = await createVerifiedCustomer();
+    const updated = await api()
+      .patch(`/api/customers/${verified.id}`)
+      .send({ phone: '5555550123', address1: '2 Side St', city: 'Ames', state: 'IA', postalCode: '50010' })
+      .expect(200);
+    assert.equal(updated.body.customer.phone, '5555550123');
+  });
+
+  it('rejects an email or phone used by another customer', async () => {
+    const first = await createCustomer({ phone: '5555550777' });
+    const second = await createCustomer();
+
+    const email = await api().patch(`/api/customers/${second.id}`).send({ email: first.email }).expect(400);
+    assert.equal(email.body.error.message, 'A customer with this email already exists');
+
+    const phone = await api().patch(`/api/customers/${second.id}`).send({ phone: '5555550777' }).expect(400);
+    assert.equal(phone.body.error.message, 'A customer with this phone number already exists');
+  });
+
+  it('needs something to update and a complete address', async () => {
+    const customer = await createVerifiedCustomer();
+    await api().patch(`/api/customers/${customer.id}`).send({}).expect(400);
+
+    const response = await api().patch(`/api/customers/${customer.id}`).send({ address1: '3 Elm St' }).expect(400);
+    assert.equal(response.body.error.message, 'Address updates need address1, city, state and postalCode (missing: city, state, postalCode)');
+  });
+});
+
+describe('customer status actions', () => {
+  before(connect);
+
+  it('deactivates and reactivates a customer', async () => {
+    const customer = await createVerifiedCustomer();
+
+    const deactivated = await api().post(`/api/customers/${customer.id}/deactivate`).expect(200);
+    assert.equal(deactivated.body.customer.status, 'deactivated');
+    assert.equal(deactivated.body.previousStatus, 'verified');
+
+    const reactivated = await api().post(`/api/customers/${customer.id}/reactivate`).expect(200);
+    assert.equal(reactivated.body.customer.status, 'verified');
+  });
+
+  it('rejects transitions that are not allowed', async () => {
+    const customer = await createCustomer();
+    const response = await api().post(`/api/customers/${customer.id}/reactivate`).expect(400);
+    assert.equal(response.body.error.message, 'Cannot reactivate a customer in unverified status (allowed from: deactivated)');
+  });
+
+  it('suspends a customer in the sandbox environments', async () => {
+    const customer = await createCustomer();
+    const response = await api().post(`/api/customers/${customer.id}/suspend`).expect(200);
+    assert.equal(response.body.customer.status, 'suspended');
+
+    const update = await api().patch(`/api/customers/${customer.id}`).send({ email: uniqueEmail() }).expect(400);
+    assert.equal(update.body.error.message, 'Customer is suspended and cannot be updated');
+  });
+});
+
+describe('verification', () => {
+  before(connect);
+
+  it('maps the sandbox SSN patterns to statuses', async () => {
+    for (const [ssn, status] of [['0000', 'verified'], ['0001', 'retry'], ['0002', 'document'], ['0003', 'suspended']]) {
+      const customer = await createVerifiedCustomer(ssn);
+      assert.equal(customer.status, status, `ssn ${ssn}`);
+      assert.equal(customer.type, 'personal');
+    }
+  });
+
+  it('retries verification with the full SSN and reports changed fields', async () => {
+    const customer = await createVerifiedCustomer('0001');
+
+    const response = await api()
+      .post(`/api/customers/${customer.id}/verify/retry`)
+      .send(RETRY_BODY)
+      .expect(200);
+    assert.equal(response.body.customer.status, 'verified');
+    assert.deepEqual(response.body.changedFields, ['address1', 'city', 'state', 'postalCode', 'ssn']);
+
+    const attempts = await api().get(`/api/customers/${customer.id}/verification-attempts`).expect(200);
+    assert.equal(attempts.body.total, 2);
+    assert.deepEqual(attempts.body.attempts.map(a => a.kind), ['retry', 'initial']);
+    assert.equal(attempts.body.attempts[0].fields.ssnLast4, '6789');
+    assert.equal(JSON.stringify(attempts.body).includes('123-45-6789'), false);
+  });
+
+  it('only retries customers in retry status, with a 9-digit SSN', async () => {
+    const verified = await createVerifiedCustomer();
+    const notRetry = await api().post(`/api/customers/${verified.id}/verify/retry`).send(RETRY_BODY).expect(400);
+    assert.equal(notRetry.body.error.message, 'Only customers in retry status can retry verification (current status: verified)');
+
+    const retry = await createVerifiedCustomer('0001');
+    const shortSsn = await api()
+      .post(`/api/customers/${retry.id}/verify/retry`)
+      .send({ ...RETRY_BODY, ssn: '6789' })
+      .expect(400);
+    assert.equal(shortSsn.body.error.message, 'Retry verification needs the full 9-digit SSN');
+  });
+
+  it('upgrades an unverified or receive-only customer', async () => {
+    const customer = await createCustomer({ type: 'receive-only' });
+    const response = await api()
+      .post(`/api/customers/${customer.id}/upgrade`)
+      .send({ ...RETRY_BODY, ssn: '0000' })
+      .expect(200);
+    assert.equal(response.body.previousType, 'receive-only');
+    assert.equal(response.body.customer.status, 'verified');
+
+    const again = await api()
+      .post(`/api/customers/${customer.id}/upgrade`)
+      .send({ ...RETRY_BODY, ssn: '0000' })
+      .expect(400);
+    assert.equal(again.body.error.message, 'Only unverified and receive-only customers can be upgraded (current type: personal)');
+  });
+
+  it('requires every upgrade field', async () => {
+    const customer = await createCustomer();
+    const response = await api().post(`/api/customers/${customer.id}/upgrade`).send({ ssn: '0000' }).expect(400);
+    assert.equal(response.body.error.message, 'Missing required fields: address1, city, state, postalCode, dateOfBirth');
+  });
+
+  it('records failed attempts with the Dwolla error', async () => {
+    const customer = await createCustomer();
+    stub.on('post', new RegExp(`/customers/${customer.id}$`), () => {
+      throw dwollaError(400, {
+        code: 'ValidationError',
+        message: 'Validation error(s) present.',
+        _embedded: { errors: [{ code: 'Invalid', path: '/dateOfBirth', message: 'DateOfBirth invalid.' }] }
+      });
+    });
+
+    const response = await api().post(`/api/customers/${customer.id}/verify`).send({ ssn: '0000' }).expect(400);
+    assert.equal(response.body.error.message, 'DateOfBirth invalid.');
+    stub.reset();
+
+    const attempts = await api().get(`/api/customers/${customer.id}/verification-attempts`).expect(200);
+    assert.equal(attempts.body.attempts[0].error, 'DateOfBirth invalid.');
+    assert.equal(attempts.body.attempts[0].resultStatus, null);
+  });
+});
+
+describe('GET /api/customers/eligible', () => {
+  before(connect);
+
+  it('lists customers that can be paid', async () => {
+    const verified = await createVerifiedCustomer();
+    await addBank(verified.id);
+    const unverifiedBank = await createCustomer();
+    await addBank(unverifiedBank.id, { verified: false });
+
+    const response = await api().get('/api/customers/eligible').expect(200);
+    assert.deepEqual(response.body.customers.map(c => c.id), [verified.id]);
+
+    const withUnverified = await api().get('/api/customers/eligible?includeUnverified=true').expect(200);
+    assert.equal(withUnverified.body.total, 1);
+  });
+
+  it('checks funding sources a few customers at a time, keeping the order', async () => {
+    for (let i = 0; i < 6; i++) {
+      await createVerifiedCustomer();
+    }
+    let inFlight = 0;
+    let maxInFlight = 0;
+    stub.on('get', /customers\/[^/]+\/funding-sources$/, async ({ passThrough }) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+      return passThrough();
+    });
+
+    const response = await api().get('/api/customers/eligible').expect(200);
+    stub.reset();
+    const all = await api().get('/api/customers').expect(200);
+
+    assert.ok(maxInFlight > 1 && maxInFlight <= 5, `${maxInFlight} lookups at once`);
+    const eligibleIds = response.body.customers.map(c => c.id);
+    assert.deepEqual(eligibleIds, all.body.customers.map(c => c.id).filter(id => eligibleIds.includes(id)));
+  });
+});
@@ -0,0 +1,228 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, stub, connect, createCustomer, addBank } = require('./helpers/app');
+
+describe('customer funding sources', () => {
+  let customer;
+
+  before(async () => {
+    await connect();
+    customer = await createCustomer();
+  });
+
+  it('adds an unverified bank account', async () => {
+    const response = await api()
+      .post(`/api/customers/${customer.id}/funding-sources`)
+      .send({ name: 'Payroll Checking', routingNumber: '222222226', accountNumber: '11112222', accountType: 'savings' })
+      .expect(201);
+
+    const { fundingSource } = response.body;
+    assert.equal(fundingSource.customerId, customer.id);
+    assert.equal(fundingSource.type, 'bank');
+    assert.equal(fundingSource.bankAccountType, 'savings');
+    assert.equal(fundingSource.status, 'unverified');
+    assert.equal(fundingSource.microDeposits, null);
+  });
+
+  it('requires a nickname', async () => {
+    const response = await api().post(`/api/customers/${customer.id}/funding-sources`).send({}).expect(400);
+    assert.equal(response.body.error.message, 'Account nickname (name) is required');
+  });
+
+  it('rejects the same bank account twice', async () => {
+    const response = await api()
+      .post(`/api/customers/${customer.id}/funding-sources`)
+      .send({ name: 'Again', routingNumber: '222222226', accountNumber: '11112222' })
+      .expect(400);
+    assert.equal(response.body.error.code, 'DuplicateResource');
+    assert.match(response.body.error.message, /^Bank already exists/);
+  });
+
+  it('lists, renames and removes funding sources', async () => {
+    const bank = await addBank(customer.id, { name: 'Old Name', verified: false });
+
+    const renamed = await api().patch(`/api/funding-sources/${bank.id}`).send({ name: '  New Name ' }).expect(200);
+    assert.equal(renamed.body.fundingSource.name, 'New Name');
+
+    const fetched = await api().get(`/api/funding-sources/${bank.id}`).expect(200);
+    assert.equal(fetched.body.fundingSource.name, 'New Name');
+
+    await api().delete(`/api/funding-sources/${bank.id}`).expect(200);
+
+    const removed = await api().get(`/api/funding-sources/${bank.id}`).expect(200);
+    assert.equal(removed.body.fundingSource.removed, true);
+
+    const list = await api().get(`/api/customers/${customer.id}/funding-sources`).expect(200);
+    assert.equal(list.body.fundingSources.some(fs => fs.id === bank.id), false);
+  });
+
+  it('validates renames and unknown funding sources', async () => {
+    const bank = await addBank(customer.id, { verified: false });
+    await api().patch(`/api/funding-sources/${bank.id}`).send({ name: ' ' }).expect(400);
+
+    const missing = await api().get('/api/funding-sources/00000000-0000-4000-8000-000000000000').expect(404);
+    assert.equal(missing.body.error.message, 'Funding source not found');
+  });
+
+  it('rejects funding source IDs that are not UUIDs', async () => {
+    const other = await createCustomer();
+    const callsBefore = stub.calls.length;
+    const traversal = await api().delete(`/api/funding-sources/..%2Fcustomers%2F${other.id}`).expect(400);
+    assert.equal(traversal.body.error.message, 'Invalid funding source ID');
+    await api().patch('/api/funding-sources/not-an-id').send({ name: 'x' }).expect(400);
+    await api().post('/api/funding-sources/not-an-id/micro-deposits').expect(400);
+
+    const byCustomer = await api().get('/api/customers/not-an-id/funding-sources').expect(400);
+    assert.equal(byCustomer.body.error.message, 'Invalid customer ID');
+    assert.equal(stub.calls.length, callsBefore, 'nothing should reach Dwolla');
+  });
+});
+
+describe('micro-deposits', () => {
+  let customer;
+
+  before(async () => {
+    await connect();
+    customer = await createCustomer();
+  });
+
+  it('verifies a bank with the two deposit amounts', async () => {
+    const bank = await addBank(customer.id, { verified: false });
+
+    const initiated = await api().post(`/api/funding-sources/${bank.id}/micro-deposits`).expect(201);
+    assert.equal(initiated.body.fundingSource.microDeposits, 'pending');
+
+    const status = await api().get(`/api/funding-sources/${bank.id}/micro-deposits`).expect(200);
+    assert.equal(status.body.status, 'processed');
+
+    const confirmed = await api()
+      .post(`/api/funding-sources/${bank.id}/micro-deposits/confirm`)
+      .send({ amount1: '0.03', amount2: '0.09' })
+      .expect(200);
+    assert.equal(confirmed.body.fundingSource.status, 'verified');
+    assert.equal(confirmed.body.fundingSource.verificationMethod, 'micro-deposits');
+
+    const again = await api().post(`/api/funding-sources/${bank.id}/micro-deposits`).expect(400);
+    assert.equal(again.body.error.message, 'Funding source is already verified');
+  });
+
+  it('validates amounts before calling Dwolla', async () => {
+    const bank = await addBank(customer.id, { verified: false });
+    const response = await api()
+      .post(`/api/funding-sources/${bank.id}/micro-deposits/confirm`)
+      .send({ amount1: '1.50', amount2: '0.02' })
+      .expect(400);
+    assert.match(response.body.error.message, /^amount1 and amount2 must be micro-deposit amounts/);
+  });
+
+  it('locks the bank after three wrong attempts', async () => {
+    const bank = await addBank(customer.id, { verified: false });
+    await api().post(`/api/funding-sources/${bank.id}/micro-deposits`).expect(201);
+
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      const wrong = await api()
+        .post(`/api/funding-sources/${bank.id}/micro-deposits/confirm`)
+        .send({ amount1: '0.50', amount2: '0.60' })
+        .expect(400);
+      assert.equal(wrong.body.error.message, 'Wrong amount(s).');
+    }
+
+    const locked = await api()
+      .post(`/api/funding-sources/${bank.id}/micro-deposits/confirm`)
+      .send({ amount1: '0.50', amount2: '0.60' })
+      .expect(403);
+    assert.equal(locked.body.error.message, 'Too many wrong attempts. Remove this funding source and add it again to restart verification.');
+
+    const fetched = await api().get(`/api/funding-sources/${bank.id}`).expect(200);
+    assert.equal(fetched.body.fundingSource.microDeposits, 'maxattempts');
+  });
+
+  it('returns 404 when no micro-deposits were sent', async () => {
+    const bank = await addBank(customer.id, { verified: false });
+    await api().get(`/api/funding-sources/${bank.id}/micro-deposits`).expect(404);
+  });
+});
+
+describe('IAV', () => {
+  let customer;
+
+  before(async () => {
+    await connect();
+    customer = await createCustomer();
+  });
+
+  it('creates an IAV token', async () => {
+    const response = await api().post(`/api/customers/${customer.id}/iav-token`).expect(200);
+    assert.ok(response.body.token);
+  });
+
+  it('completes a simulated session by selecting a bank', async () => {
+    const started = await api().post(`/api/customers/${customer.id}/iav-sessions`).send({ simulate: true }).expect(201);
+    const { session } = started.body;
+    assert.equal(session.mode, 'simulated');
+    assert.equal(started.body.token, null);
+
+    const banks = await api().get(`/api/iav-sessions/${session.id}/banks`).expect(200);
+    assert.equal(banks.body.banks[0].id, 'sandbox-bank');
+
+    const badBank = await api().post(`/api/iav-sessions/${session.id}/select-bank`).send({ bankId: 'nope' }).expect(400);
+    assert.match(badBank.body.error.message, /^bankId must be one of/);
+
+    const selected = await api()
+      .post(`/api/iav-sessions/${session.id}/select-bank`)
+      .send({ bankId: 'sandbox-credit-union', bankAccountType: 'savings' })
+      .expect(200);
+    assert.equal(selected.body.session.status, 'completed');
+    assert.equal(selected.body.fundingSource.status, 'unverified');
+    assert.equal(selected.body.fundingSource.verificationMethod, null);
+    assert.equal(selected.body.fundingSource.name, 'Sandbox Credit Union savings');
+
+    const fetched = await api().get(`/api/iav-sessions/${session.id}`).expect(200);
+    assert.equal(fetched.body.fundingSource.id, selected.body.fundingSource.id);
+    assert.equal('token' in fetched.body.session, false);
+
+    await api().post(`/api/iav-sessions/${session.id}/select-bank`).send({ bankId: 'sandbox-bank' }).expect(409);
+  });
+
+  it('completes a drop-in session from the callback', async () => {
+    const started = await api().post(`/api/customers/${customer.id}/iav-sessions`).send({}).expect(201);
+    const { session, token } = started.body;
+    assert.ok(token);
+
+    await api().get(`/api/iav-sessions/${session.id}/banks`).expect(400);
+
+    const bank = await addBank(customer.id);
+    const completed = await api()
+      .post(`/api/iav-sessions/${session.id}/complete`)
+      .send({ fundingSourceUrl: bank.url })
+      .expect(200);
+    assert.equal(completed.body.session.status, 'completed');
+    assert.equal(completed.body.fundingSource.verificationMethod, 'iav');
+  });
+
+  it('fails a session with another customer\'s funding source or a drop-in error', async () => {
+    const other = await createCustomer();
+    const otherBank = await addBank(other.id, { verified: false });
+
+    const first = await api().post(`/api/customers/${customer.id}/iav-sessions`).send({}).expect(201);
+    const wrongOwner = await api()
+      .post(`/api/iav-sessions/${first.body.session.id}/complete`)
+      .send({ fundingSourceUrl: otherBank.url })
+      .expect(400);
+    assert.equal(wrongOwner.body.error.message, 'Funding source does not belong to this customer');
+
+    const second = await api().post(`/api/customers/${customer.id}/iav-sessions`).send({}).expect(201);
+    const failed = await api()
+      .post(`/api/iav-sessions/${second.body.session.id}/complete`)
+      .send({ error: 'User closed the window' })
+      .expect(200);
+    assert.equal(failed.body.success, false);
+    assert.equal(failed.body.session.status, 'failed');
+  });
+
+  it('returns 404 for unknown sessions', async () => {
+    await api().get('/api/iav-sessions/00000000-0000-4000-8000-000000000000').expect(404);
+    const invalid = await api().get('/api/iav-sessions/unknown').expect(400);
+    assert.equal(invalid.body.error.message, 'Invalid IAV session ID');
+  });
+});
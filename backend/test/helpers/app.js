@@ -0,0 +1,129 @@
+/**
+ * Test App
+ *
+ * Loads the Express app with in-memory storage and a stubbed Dwolla client,
+ * plus shortcuts for the setup most tests need (customers, banks, transfers).
+ *
+ * Each test file runs in its own process, so every file gets a fresh app.
+ * connect() switches to a new API key, which also clears stored data and
+ * starts a new mock Dwolla account.
+ */
+
+const crypto = require('crypto');
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.DWOLLA_ENVIRONMENT = 'mock';
+delete process.env.DWOLLA_WEBHOOK_SECRET;
+
+// The routes log every Dwolla call; keep test output readable
+if (!process.env.TEST_LOGS) {
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
+
+const request = require('supertest');
+const { app, storage, setDwollaClientFactory } = require('../../server');
+const { createDwollaStub } = require('./dwollaStub');
+
+const stub = createDwollaStub();
+setDwollaClientFactory(stub.factory);
+
+const api = () => request(app);
+
+/**
+ * Configure credentials for a fresh, empty Dwolla account, optionally with a webhook secret
+ */
+async function connect({ webhookSecret } = {}) {
+  stub.reset();
+  await api()
+    .post('/api/config')
+    .send({ key: `test-${crypto.randomUUID()}`, secret: 'test-secret', webhookSecret })
+    .expect(200);
+}
+
+/**
+ * A unique email so tests never trip the duplicate check by accident
+ */
+function uniqueEmail(prefix = 'customer') {
+  return `${prefix}-${crypto.randomUUID().slice(0, 8)}@example.com`;
+}
+
+/**
+ * Create an unverified customer (or receive-only with type: 'receive-only')
+ */
+async function createCustomer(fields = {}) {
+  const response = await api()
+    .post('/api/customers')
+    .send({ firstName: 'Test', lastName: 'Customer', email: uniqueEmail(), ...fields })
+    .expect(201);
+  return response.body.customer;
+}
+
+/**
+ * Create a customer and verify it with the sandbox SSN for the wanted status
+ * ssn 0000 = verified, 0001 = retry, 0002 = document, 0003 = suspended
+ */
+async function createVerifiedCustomer(ssn = '0000', fields = {}) {
+  const customer = await createCustomer(fields);
+  const response = await api()
+    .post(`/api/customers/${customer.id}/verify`)
+    .send({ ssn })
+    .expect(200);
+  return response.body.customer;
+}
+
+/**
+ * Add a bank to a customer, verified with micro-deposits unless verified: false
+ * The name doubles as the sandbox return code trigger (e.g. 'R01').
+ */
+async function addBank(customerId, { name = 'Checking', verified = true } = {}) {
+  const response = await api()
+    .post(`/api/customers/${customerId}/funding-sources`)
+    .send({ name, routingNumber: '222222226', accountNumber: String(crypto.randomInt(10000000, 99999999)) })
+    .expect(201);
+  const fundingSource = response.body.fundingSource;
+
+  if (!verified) {
+    return fundingSource;
+  }
+
+  await api().post(`/api/funding-sources/${fundingSource.id}/micro-deposits`).expect(201);
+  const confirmed = await api()
+    .post(`/api/funding-sources/${fundingSource.id}/micro-deposits/confirm`)
+    .send({ amount1: '0.03', amount2: '0.09' })
+    .expect(200);
+  return confirmed.body.fundingSource;
+}
+
+/**
+ * The master account's funding sources: { balance, bank }
+ */
+async function accountFundingSources() {
+  const response = await api().get('/api/me/funding-sources').expect(200);
+  const { fundingSources } = response.body;
+  return {
+    balance: fundingSources.find(fs => fs.type === 'balance'),
+    bank: fundingSources.find(fs => fs.type === 'bank')
+  };
+}
+
+/**
+ * Sign a webhook body the way Dwolla does
+ */
+function signWebhook(body, secret) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+module.exports = {
+  api,
+  stub,
+  storage,
+  connect,
+  uniqueEmail,
+  createCustomer,
+  createVerifiedCustomer,
+  addBank,
+  accountFundingSources,
+  signWebhook
+};
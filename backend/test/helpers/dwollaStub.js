@@ -0,0 +1,85 @@
+/**
+ * Stubbed Dwolla Client
+ *
+ * Wraps the mock Dwolla environment (../../mock) so every route has a
+ * working API behind it, and lets a test replace single calls with a
+ * canned response or error - e.g. resources the mock doesn't support,
+ * or upstream failures like a 429.
+ */
+
+const { createMockDwollaClient } = require('../../mock');
+
+/**
+ * Build a response the way dwolla-v2 resolves it
+ */
+function dwollaResponse(status, body = {}, location = null) {
+  const headers = new Headers();
+  if (location) {
+    headers.set('location', location);
+  }
+  return { status, headers, body };
+}
+
+/**
+ * Build an error the way dwolla-v2 rejects with it
+ */
+function dwollaError(status, body) {
+  const error = new Error(JSON.stringify(body));
+  error.status = status;
+  error.headers = new Headers();
+  error.body = body;
+  return error;
+}
+
+/**
+ * Create a stub whose factory can be passed to setDwollaClientFactory
+ *
+ * - on(method, pattern, handler): answer matching calls with handler({ path, body, headers, passThrough }),
+ *   which returns a response or throws an error. passThrough() sends the call on to the
+ *   mock, e.g. after a delay. Later overrides win.
+ * - calls: every request made, as { method, path, body, headers }
+ * - reset(): drop overrides and recorded calls
+ */
+function createDwollaStub() {
+  const overrides = [];
+  const calls = [];
+  let client = null;
+
+  const send = async (method, path, body, headers = {}) => {
+    path = String(path);
+    calls.push({ method, path, body, headers });
+
+    const override = overrides.find(o => o.method === method && o.pattern.test(path));
+    if (override) {
+      const passThrough = () => client[method](path, body, headers);
+      return override.handler({ path, body, headers, passThrough });
+    }
+    return client[method](path, body, headers);
+  };
+
+  return {
+    calls,
+    factory(credentials) {
+      client = createMockDwollaClient(credentials);
+      return {
+        auth: { client: () => client.auth.client() },
+        get: (path, query, headers) => send('get', path, undefined, headers),
+        post: (path, body, headers) => send('post', path, body, headers),
+        delete: (path, query, headers) => send('delete', path, undefined, headers)
+      };
+    },
+    on(method, pattern, handler) {
+      overrides.unshift({ method, pattern, handler });
+    },
+    reset() {
+      overrides.length = 0;
+      calls.length = 0;
+    }
+  };
+}
+
+module.exports = {
+  createDwollaStub,
+  dwollaResponse,
+  dwollaError
+};
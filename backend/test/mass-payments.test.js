@@ -0,0 +1,182 @@
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  api, stub, connect, createCustomer, createVerifiedCustomer, addBank, accountFundingSources, uniqueEmail
+} = require('./helpers/app');
+const { dwollaResponse } = require('./helpers/dwollaStub');
+
+const MASS_PAYMENT_URL = 'https://api-mock.dwolla.local/mass-payments/10000000-0000-4000-8000-000000000001';
+
+/**
+ * Answer mass payment calls, which the mock environment doesn't support
+ * @returns {object[]} The bodies posted to Dwolla
+ */
+function stubMassPayments(sourceUrl) {
+  const posted = [];
+  stub.on('post', /^mass-payments$/, ({ body }) => {
+    posted.push(body);
+    return dwollaResponse(201, {}, MASS_PAYMENT_URL);
+  });
+  stub.on('get', /mass-payments\/10000000-0000-4000-8000-000000000001$/, () => dwollaResponse(200, {
+    _links: { self: { href: MASS_PAYMENT_URL }, source: { href: sourceUrl } },
+    status: 'pending',
+    total: { value: '15.00', currency: 'USD' },
+    created: '2024-01-01T00:00:00.000Z',
+    correlationId: posted[0]?.correlationId
+  }));
+  stub.on('get', /mass-payments\/10000000-0000-4000-8000-000000000001\/items/, () => dwollaResponse(200, {
+    total: 1,
+    _embedded: {
+      items: [{
+        _links: { self: { href: `${MASS_PAYMENT_URL}/items/item-1` }, destination: { href: 'https://api-mock.dwolla.local/funding-sources/fs-1' } },
+        status: 'failed',
+        amount: { value: '5.00', currency: 'USD' },
+        _embedded: { errors: [{ code: 'InsufficientFunds', message: 'Insufficient funds.' }] }
+      }]
+    }
+  }));
+  return posted;
+}
+
+describe('mass payments', () => {
+  let balance;
+  let bank;
+
+  before(async () => {
+    await connect();
+    ({ balance } = await accountFundingSources());
+    const customer = await createVerifiedCustomer();
+    bank = await addBank(customer.id);
+  });
+  afterEach(() => stub.reset());
+
+  it('checks every item before submitting', async () => {
+    const unverified = await createCustomer();
+    const unverifiedBank = await addBank(unverified.id, { verified: false });
+
+    const response = await api()
+      .post('/api/mass-payments')
+      .send({
+        sourceFundingSourceUrl: balance.url,
+        items: [
+          { destinationFundingSourceUrl: bank.url, amount: '5.00' },
+          { destinationFundingSourceUrl: unverifiedBank.url, amount: '5.00' },
+          { destinationFundingSourceUrl: bank.url, amount: '0' }
+        ]
+      })
+      .expect(400);
+
+    assert.equal(response.body.error.message, '2 of 3 items can\'t be paid. No payments were sent.');
+    assert.deepEqual(response.body.error.itemErrors.map(e => e.index), [1, 2]);
+    assert.ok(!stub.calls.some(c => c.method === 'post' && c.path === 'mass-payments'));
+  });
+
+  it('submits, fetches and lists the items of a mass payment', async () => {
+    const posted = stubMassPayments(balance.url);
+
+    const created = await api()
+      .post('/api/mass-payments')
+      .send({
+        sourceFundingSourceUrl: balance.url,
+        items: [
+          { destinationFundingSourceUrl: bank.url, amount: '5.00' },
+          { destinationFundingSourceUrl: bank.url, amount: '10.00', metadata: { note: 'bonus' } }
+        ]
+      })
+      .expect(201);
+    assert.equal(created.body.massPayment.id, '10000000-0000-4000-8000-000000000001');
+    assert.equal(created.body.massPayment.itemCount, 2);
+    assert.deepEqual(posted[0].items[1].metadata, { note: 'bonus' });
+
+    const fetched = await api().get('/api/mass-payments/10000000-0000-4000-8000-000000000001').expect(200);
+    assert.equal(fetched.body.massPayment.status, 'pending');
+
+    const items = await api().get('/api/mass-payments/10000000-0000-4000-8000-000000000001/items').expect(200);
+    assert.deepEqual(items.body.items[0].errors, ['Insufficient funds.']);
+
+    const invalid = await api().get('/api/mass-payments/10000000-0000-4000-8000-000000000001/items?status=done').expect(400);
+    assert.equal(invalid.body.error.message, 'status must be one of: pending, success, failed');
+  });
+});
+
+describe('payroll plans', () => {
+  let balance;
+  let payee;
+  let unpayable;
+
+  before(async () => {
+    await connect();
+    ({ balance } = await accountFundingSources());
+    payee = await createVerifiedCustomer('0000', { email: uniqueEmail('payee') });
+    await addBank(payee.id);
+    unpayable = await createCustomer({ email: uniqueEmail('nobank') });
+  });
+  afterEach(() => stub.reset());
+
+  it('builds a dry-run plan and flags rows that can\'t be paid', async () => {
+    const csv = [
+      'email,amount,memo',
+      `${payee.email},"$1,250.50",March`,
+      `${payee.email},10.00,Again`,
+      'nobody@example.com,5.00,',
+      `${unpayable.email},5.00,`,
+      `${payee.email},abc,`
+    ].join('\n');
+
+    const response = await api().post('/api/payroll/plans').set('Content-Type', 'text/csv').send(csv).expect(201);
+    const { plan } = response.body;
+
+    assert.equal(plan.status, 'draft');
+    assert.deepEqual(plan.summary, { rows: 5, ready: 1, flagged: 4, totalAmount: '1250.50' });
+    assert.deepEqual(plan.rows.map(r => r.reasonCode || r.status), [
+      'ready', 'duplicate_row', 'unknown_email', 'no_verified_bank', 'invalid_amount'
+    ]);
+
+    const fetched = await api().get(`/api/payroll/plans/${plan.id}`).expect(200);
+    assert.equal(fetched.body.plan.id, plan.id);
+  });
+
+  it('pays into a bank account, not the customer\'s balance', async () => {
+    const balanceOnly = await createVerifiedCustomer('0000', { email: uniqueEmail('balance') });
+    const csv = ['email,amount', `${payee.email},20.00`, `${balanceOnly.email},20.00`].join('\n');
+
+    const response = await api().post('/api/payroll/plans').set('Content-Type', 'text/csv').send(csv).expect(201);
+    const [paid, flagged] = response.body.plan.rows;
+    assert.equal(paid.status, 'ready');
+    assert.equal(paid.destinationName, 'Checking');
+    assert.equal(flagged.reasonCode, 'no_verified_bank');
+  });
+
+  it('rejects CSVs without the required columns', async () => {
+    const response = await api().post('/api/payroll/plans').send({ csv: 'name,amount\nA,1.00' }).expect(400);
+    assert.equal(response.body.error.message, 'CSV header must include email and amount columns (memo is optional)');
+  });
+
+  it('confirms a plan once as a mass payment', async () => {
+    const created = await api()
+      .post('/api/payroll/plans')
+      .send({ csv: `email,amount,memo\n${payee.email},15.00,April` })
+      .expect(201);
+    const { plan } = created.body;
+    const posted = stubMassPayments(balance.url);
+
+    const confirmed = await api()
+      .post(`/api/payroll/plans/${plan.id}/confirm`)
+      .send({ sourceFundingSourceUrl: balance.url })
+      .expect(200);
+    assert.equal(confirmed.body.plan.status, 'confirmed');
+    assert.equal(confirmed.body.plan.massPaymentId, '10000000-0000-4000-8000-000000000001');
+    assert.equal(posted[0].correlationId, `payroll-${plan.id}`);
+    assert.deepEqual(posted[0].items[0].metadata, { memo: 'April', email: payee.email });
+
+    const again = await api()
+      .post(`/api/payroll/plans/${plan.id}/confirm`)
+      .send({ sourceFundingSourceUrl: balance.url })
+      .expect(409);
+    assert.equal(again.body.error.message, 'This payout plan has already been confirmed');
+  });
+
+  it('returns 404 for unknown plans', async () => {
+    await api().get('/api/payroll/plans/00000000-0000-4000-8000-000000000000').expect(404);
+  });
+});
@@ -0,0 +1,335 @@
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  api, stub, storage, connect, createCustomer, createVerifiedCustomer, addBank, accountFundingSources
+} = require('./helpers/app');
+const { dwollaError } = require('./helpers/dwollaStub');
+
+/**
+ * POST /api/transfers and return the response without asserting the status
+ */
+function send(source, destination, amount, extra = {}) {
+  return api()
+    .post('/api/transfers')
+    .send({ sourceFundingSourceUrl: source.url, destinationFundingSourceUrl: destination.url, amount, ...extra });
+}
+
+describe('transfer rules', () => {
+  let account;
+
+  before(async () => {
+    await connect();
+    account = await accountFundingSources();
+  });
+
+  it('pays a verified customer\'s verified bank', async () => {
+    const customer = await createVerifiedCustomer();
+    const bank = await addBank(customer.id);
+
+    const response = await send(account.balance, bank, '10.00').expect(201);
+    assert.equal(response.body.transfer.status, 'pending');
+    assert.equal(response.body.transfer.destinationFundingSourceUrl, bank.url);
+  });
+
+  it('pays a verified customer\'s unverified bank only when allowed', async () => {
+    const customer = await createVerifiedCustomer();
+    const bank = await addBank(customer.id, { verified: false });
+
+    const refused = await send(account.balance, bank, '11.00').expect(400);
+    assert.equal(refused.body.error.message, 'Destination funding source is not verified. Enable "Allow unverified" to send to unverified funding sources.');
+
+    await send(account.balance, bank, '11.00', { allowUnverified: true }).expect(201);
+  });
+
+  it('pays an unverified customer only to a verified bank', async () => {
+    const customer = await createCustomer();
+    const unverifiedBank = await addBank(customer.id, { verified: false });
+
+    const refused = await send(account.balance, unverifiedBank, '12.00', { allowUnverified: true }).expect(400);
+    assert.equal(refused.body.error.message, 'Cannot send to unverified funding source - the customer who owns it is not verified.');
+
+    const verifiedBank = await addBank(customer.id);
+    await send(account.balance, verifiedBank, '12.00').expect(201);
+  });
+
+  it('always pays a receive-only customer, who can never send', async () => {
+    const customer = await createCustomer({ type: 'receive-only' });
+    const unverifiedBank = await addBank(customer.id, { verified: false });
+    await send(account.balance, unverifiedBank, '13.00').expect(201);
+
+    const verifiedBank = await addBank(customer.id);
+    const refused = await send(verifiedBank, account.bank, '13.00').expect(400);
+    assert.equal(refused.body.error.message, 'Source customer cannot send funds. Receive-only customers cannot send funds.');
+  });
+
+  it('never pays suspended or partially verified customers', async () => {
+    const suspended = await createVerifiedCustomer();
+    const bank = await addBank(suspended.id);
+    await api().post(`/api/customers/${suspended.id}/suspend`).expect(200);
+
+    const toSuspended = await send(account.balance, bank, '14.00').expect(400);
+    assert.equal(toSuspended.body.error.message, 'Destination customer cannot receive funds. Customer is suspended.');
+
+    const retry = await createVerifiedCustomer('0001');
+    const retryBank = await addBank(retry.id);
+    const toRetry = await send(account.balance, retryBank, '14.00').expect(400);
+    assert.equal(toRetry.body.error.message, 'Destination customer cannot receive funds. Customer verification is not complete (status: retry).');
+  });
+
+  it('needs a verified customer or the account on one side', async () => {
+    const sender = await createCustomer();
+    const senderBank = await addBank(sender.id);
+    const receiver = await createCustomer();
+    const receiverBank = await addBank(receiver.id);
+
+    const response = await send(senderBank, receiverBank, '15.00').expect(400);
+    assert.equal(response.body.error.message, 'Transfers between two unverified or receive-only customers are not allowed. One side must be the master account or a verified customer.');
+
+    await send(senderBank, account.bank, '15.00').expect(201);
+  });
+
+  it('only sends from verified funding sources', async () => {
+    const customer = await createVerifiedCustomer();
+    const unverifiedBank = await addBank(customer.id, { verified: false });
+
+    const response = await send(unverifiedBank, account.bank, '16.00').expect(400);
+    assert.equal(response.body.error.message, 'Source funding source is not verified. Only verified funding sources can send transfers.');
+  });
+
+  it('validates the request', async () => {
+    const missing = await api().post('/api/transfers').send({ amount: '1.00' }).expect(400);
+    assert.equal(missing.body.error.message, 'Source funding source, destination funding source, and amount are required');
+
+    const negative = await send(account.balance, account.bank, -5).expect(400);
+    assert.equal(negative.body.error.message, 'Amount must be greater than 0');
+
+    const metadata = await send(account.balance, account.bank, '1.00', { metadata: ['not', 'an', 'object'] }).expect(400);
+    assert.equal(metadata.body.error.message, 'metadata must be an object of key/value pairs');
+
+    const unknown = await api()
+      .post('/api/transfers')
+      .send({ sourceFundingSourceUrl: 'https://api-mock.dwolla.local/funding-sources/missing', destinationFundingSourceUrl: account.bank.url, amount: '1.00' })
+      .expect(400);
+    assert.equal(unknown.body.error.message, 'Invalid source funding source');
+  });
+});
+
+describe('transfer error messages', () => {
+  let account;
+  let bank;
+
+  before(async () => {
+    await connect();
+    account = await accountFundingSources();
+    const customer = await createVerifiedCustomer();
+    bank = await addBank(customer.id);
+  });
+  afterEach(() => stub.reset());
+
+  it('translates insufficient funds', async () => {
+    const response = await send(account.balance, bank, '20000.00').expect(400);
+    assert.equal(response.body.error.message, 'Insufficient funds in source account.');
+  });
+
+  it('translates unverified funding source errors from Dwolla', async () => {
+    stub.on('post', /^transfers$/, () => {
+      throw dwollaError(400, {
+        code: 'ValidationError',
+        message: 'Validation error(s) present.',
+        _embedded: {
+          errors: [
+            { code: 'Invalid', path: '/_links/destination/href', message: 'Receiver cannot receive.' },
+            { code: 'Restricted', path: '/amount/value', message: 'Amount exceeds the sending limit.' }
+          ]
+        }
+      });
+    });
+
+    const response = await send(account.balance, bank, '21.00').expect(400);
+    assert.equal(response.body.error.message, 'Destination funding source is not verified. Amount exceeds the sending limit.');
+  });
+
+  it('falls back to a generic message for other Dwolla errors', async () => {
+    stub.on('post', /^transfers$/, () => {
+      throw dwollaError(429, { code: 'TooManyRequests', message: 'Too many requests.' });
+    });
+
+    const response = await send(account.balance, bank, '22.00').expect(429);
+    assert.equal(response.body.error.code, 'TooManyRequests');
+    assert.equal(response.body.error.message, 'Failed to create transfer');
+  });
+});
+
+describe('transfers without an Idempotency-Key', () => {
+  let account;
+  let bank;
+
+  before(async () => {
+    await connect();
+    account = await accountFundingSources();
+    const customer = await createVerifiedCustomer();
+    bank = await addBank(customer.id);
+  });
+  afterEach(() => stub.reset());
+
+  it('only treats an identical request as a repeat for a minute', async () => {
+    const first = await send(account.balance, bank, '40.00').expect(201);
+    assert.equal(first.headers['idempotency-key-derived'], 'window=60s');
+
+    const doubleClick = await send(account.balance, bank, '40.00').expect(201);
+    assert.equal(doubleClick.headers['idempotent-replayed'], 'true');
+    assert.equal(doubleClick.body.transfer.id, first.body.transfer.id);
+
+    // A minute later the same payout is a new transfer, with a new key for Dwolla
+    for (const cached of await storage.idempotencyKeys.all()) {
+      await storage.idempotencyKeys.update(cached.id, { expiresAt: cached.expiresAt - 61 * 1000 });
+    }
+    const later = await send(account.balance, bank, '40.00').expect(201);
+    assert.notEqual(later.body.transfer.id, first.body.transfer.id);
+
+    const keys = stub.calls.filter(c => c.method === 'post' && /^transfers$/.test(c.path)).map(c => c.headers['Idempotency-Key']);
+    assert.equal(new Set(keys).size, 2);
+  });
+
+  it('keeps a request in flight after its client disconnects', async () => {
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    let created;
+    const done = new Promise(resolve => { created = resolve; });
+    stub.on('post', /^transfers$/, async ({ passThrough }) => {
+      await gate;
+      const response = await passThrough();
+      created();
+      return response;
+    });
+
+    // The client times out while Dwolla is still working on the first attempt
+    try {
+      await assert.rejects(send(account.balance, bank, '41.00').timeout(50));
+      const retry = await send(account.balance, bank, '41.00').timeout(1000).expect(409);
+      assert.equal(retry.body.error.message, 'A request with this Idempotency-Key is already in progress');
+    } finally {
+      release();
+    }
+    await done;
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const replay = await send(account.balance, bank, '41.00').expect(201);
+    assert.equal(replay.headers['idempotent-replayed'], 'true');
+    const creates = stub.calls.filter(c => c.method === 'post' && /^transfers$/.test(c.path));
+    assert.equal(creates.length, 1);
+  });
+
+  it('prunes expired responses when caching a new one', async () => {
+    const stale = { id: 'transfers:stale', requestHash: 'x', statusCode: 201, body: {}, createdAt: 0, expiresAt: 1 };
+    await storage.idempotencyKeys.add(stale);
+
+    await send(account.balance, bank, '42.00').expect(201);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(await storage.idempotencyKeys.findById(stale.id), null);
+  });
+});
+
+describe('transfer history and lifecycle', () => {
+  let account;
+  let bank;
+  let failingBank;
+
+  before(async () => {
+    await connect();
+    account = await accountFundingSources();
+    const customer = await createVerifiedCustomer();
+    bank = await addBank(customer.id);
+    failingBank = await addBank(customer.id, { name: 'R03' });
+  });
+
+  it('replays a transfer with the same Idempotency-Key', async () => {
+    const first = await send(account.balance, bank, '30.00').set('Idempotency-Key', 'payout-1').expect(201);
+    const replay = await send(account.balance, bank, '30.00').set('Idempotency-Key', 'payout-1').expect(201);
+    assert.equal(replay.body.transfer.id, first.body.transfer.id);
+  });
+
+  it('lists, filters and pages transfers', async () => {
+    await send(account.balance, bank, '31.00', { correlationId: 'batch-7' }).expect(201);
+
+    const all = await api().get('/api/transfers').expect(200);
+    assert.equal(all.body.total, 2);
+
+    const byCorrelation = await api().get('/api/transfers?correlationId=batch-7').expect(200);
+    assert.deepEqual(byCorrelation.body.transfers.map(t => t.amount.value), ['31.00']);
+
+    const byAmount = await api().get('/api/transfers?startAmount=30.50').expect(200);
+    assert.equal(byAmount.body.total, 1);
+
+    const page = await api().get('/api/transfers?limit=1&offset=1').expect(200);
+    assert.equal(page.body.transfers.length, 1);
+    assert.equal(page.body.total, 2);
+
+    const skipped = await api().get('/api/transfers?offset=1').expect(200);
+    assert.equal(skipped.body.transfers.length, 1);
+    assert.equal(skipped.body.total, 2);
+
+    const invalid = await api().get('/api/transfers?startDate=yesterday').expect(400);
+    assert.equal(invalid.body.error.message, 'startDate must be a date in YYYY-MM-DD format');
+  });
+
+  it('looks up each linked resource once when listing', async () => {
+    const callsBefore = stub.calls.length;
+    await api().get('/api/transfers').expect(200);
+
+    const lookups = stub.calls.slice(callsBefore).map(c => `${c.method} ${c.path}`);
+    assert.equal(lookups.length, new Set(lookups).size);
+  });
+
+  it('cancels a pending transfer once', async () => {
+    const created = await send(account.balance, bank, '32.00').expect(201);
+    const { id } = created.body.transfer;
+
+    const cancelled = await api().post(`/api/transfers/${id}/cancel`).expect(200);
+    assert.equal(cancelled.body.transfer.status, 'cancelled');
+
+    const again = await api().post(`/api/transfers/${id}/cancel`).expect(400);
+    assert.match(again.body.error.message, /^Transfer can no longer be cancelled \(status: cancelled\)/);
+  });
+
+  it('processes pending transfers with a simulation', async () => {
+    const created = await send(account.balance, bank, '33.00').expect(201);
+
+    const simulation = await api().post('/api/sandbox/simulations').expect(200);
+    const change = simulation.body.changed.find(c => c.id === created.body.transfer.id);
+    assert.deepEqual([change.previousStatus, change.status], ['pending', 'processed']);
+    assert.equal(simulation.body.stillPending, 0);
+
+    const fetched = await api().get(`/api/transfers/${created.body.transfer.id}`).expect(200);
+    assert.equal(fetched.body.transfer.status, 'processed');
+    assert.equal(fetched.body.transfer.failure, null);
+  });
+
+  it('explains failed transfers with the return code', async () => {
+    const created = await send(account.balance, failingBank, '34.00').expect(201);
+    await api().post('/api/sandbox/simulations').expect(200);
+
+    const fetched = await api().get(`/api/transfers/${created.body.transfer.id}`).expect(200);
+    const { failure } = fetched.body.transfer;
+    assert.equal(fetched.body.transfer.status, 'failed');
+    assert.equal(failure.code, 'R03');
+    assert.equal(failure.failedFundingSourceUrl, failingBank.url);
+    assert.match(failure.fundingSourceEffect, /^Removed by Dwolla/);
+
+    const removed = await api().get(`/api/funding-sources/${failingBank.id}`).expect(200);
+    assert.equal(removed.body.fundingSource.removed, true);
+  });
+
+  it('returns 404 for unknown transfers', async () => {
+    await api().get('/api/transfers/00000000-0000-4000-8000-000000000000').expect(404);
+    await api().post('/api/transfers/00000000-0000-4000-8000-000000000000/cancel').expect(404);
+  });
+
+  it('rejects transfer and mass payment IDs that are not UUIDs', async () => {
+    const transfer = await api().post('/api/transfers/..%2Fcustomers/cancel').expect(400);
+    assert.equal(transfer.body.error.message, 'Invalid transfer ID');
+
+    const massPayment = await api().get('/api/mass-payments/not-an-id/items').expect(400);
+    assert.equal(massPayment.body.error.message, 'Invalid mass payment ID');
+  });
+});
@@ -0,0 +1,315 @@
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const {
+  api, stub, storage, connect, createCustomer, createVerifiedCustomer, addBank, accountFundingSources, signWebhook
+} = require('./helpers/app');
+const { dwollaResponse, dwollaError } = require('./helpers/dwollaStub');
+
+const WEBHOOK_SECRET = 'test-webhook-secret';
+
+/**
+ * Build a Dwolla webhook event
+ */
+function webhookEvent(topic, links) {
+  return {
+    id: crypto.randomUUID(),
+    topic,
+    resourceId: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    _links: links
+  };
+}
+
+/**
+ * Deliver an event as Dwolla does - the raw body is what gets signed
+ */
+function deliver(event, secret) {
+  const body = JSON.stringify(event);
+  const request = api().post('/api/webhooks').set('Content-Type', 'application/json');
+  if (secret) {
+    request.set('X-Request-Signature-SHA-256', signWebhook(body, secret));
+  }
+  return request.send(body);
+}
+
+describe('webhook delivery', () => {
+  before(connect);
+
+  it('stores unsigned events without applying them when no secret is configured', async () => {
+    const customer = await createCustomer();
+    const event = webhookEvent('customer_verified', { customer: { href: customer.url } });
+    const response = await deliver(event).expect(200);
+    assert.deepEqual(response.body, { received: true, signatureVerified: false, applied: false });
+
+    const history = await api().get('/api/webhooks').expect(200);
+    assert.equal(history.body.webhooks[0].id, event.id);
+    assert.equal(history.body.webhooks[0].signatureVerified, false);
+    assert.equal((await storage.customers.findById(customer.id)).status, 'unverified');
+  });
+
+  it('clears the history', async () => {
+    await api().delete('/api/webhooks').expect(200);
+    const history = await api().get('/api/webhooks').expect(200);
+    assert.deepEqual(history.body.webhooks, []);
+  });
+});
+
+describe('webhook-driven updates to stored records', () => {
+  before(() => connect({ webhookSecret: WEBHOOK_SECRET }));
+  afterEach(() => stub.reset());
+
+  it('acknowledges redelivered events without applying them again', async () => {
+    const customer = await createCustomer();
+    const event = webhookEvent('customer_verified', { customer: { href: customer.url } });
+    await deliver(event, WEBHOOK_SECRET).expect(200);
+    await storage.customers.update(customer.id, { status: 'suspended' });
+
+    const redelivery = await deliver(event, WEBHOOK_SECRET).expect(200);
+    assert.deepEqual(redelivery.body, { received: true, signatureVerified: true, duplicate: true });
+    assert.equal((await storage.customers.findById(customer.id)).status, 'suspended');
+  });
+
+  it('processes a redelivery when the first attempt failed', async () => {
+    const customer = await createCustomer();
+    const event = webhookEvent('customer_verified', { customer: { href: customer.url } });
+    const update = storage.customers.update;
+    storage.customers.update = async () => { throw new Error('disk full'); };
+    try {
+      await deliver(event, WEBHOOK_SECRET).expect(500);
+    } finally {
+      storage.customers.update = update;
+    }
+
+    const retry = await deliver(event, WEBHOOK_SECRET).expect(200);
+    assert.equal(retry.body.applied, true);
+    assert.equal((await storage.customers.findById(customer.id)).status, 'verified');
+  });
+
+  it('updates the customer status', async () => {
+    const customer = await createCustomer();
+
+    await deliver(webhookEvent('customer_verified', { customer: { href: customer.url } }), WEBHOOK_SECRET).expect(200);
+    assert.equal((await storage.customers.findById(customer.id)).status, 'verified');
+
+    await deliver(webhookEvent('customer_suspended', { customer: { href: customer.url } }), WEBHOOK_SECRET).expect(200);
+    assert.equal((await storage.customers.findById(customer.id)).status, 'suspended');
+  });
+
+  it('updates funding sources from funding source and micro-deposit topics', async () => {
+    const customer = await createVerifiedCustomer();
+    const bank = await addBank(customer.id, { verified: false });
+    const links = { resource: { href: bank.url }, customer: { href: customer.url } };
+
+    await deliver(webhookEvent('customer_microdeposits_failed', links), WEBHOOK_SECRET).expect(200);
+    await deliver(webhookEvent('customer_funding_source_removed', links), WEBHOOK_SECRET).expect(200);
+
+    const stored = await storage.fundingSources.findById(bank.id);
+    assert.equal(stored.microDeposits, 'failed');
+    assert.equal(stored.removed, true);
+  });
+
+  it('marks transfers processed on transfer_completed', async () => {
+    const { balance } = await accountFundingSources();
+    const customer = await createVerifiedCustomer();
+    const bank = await addBank(customer.id);
+    const created = await api()
+      .post('/api/transfers')
+      .send({ sourceFundingSourceUrl: balance.url, destinationFundingSourceUrl: bank.url, amount: '5.00' })
+      .expect(201);
+    const { transfer } = created.body;
+
+    await deliver(webhookEvent('transfer_completed', { resource: { href: transfer.url } }), WEBHOOK_SECRET).expect(200);
+
+    assert.equal((await storage.transfers.findById(transfer.id)).status, 'processed');
+  });
+
+  it('attaches the failure reason on transfer_failed', async () => {
+    const { balance } = await accountFundingSources();
+    const customer = await createVerifiedCustomer();
+    const bank = await addBank(customer.id);
+    const created = await api()
+      .post('/api/transfers')
+      .send({ sourceFundingSourceUrl: balance.url, destinationFundingSourceUrl: bank.url, amount: '6.00' })
+      .expect(201);
+    const { transfer } = created.body;
+
+    stub.on('get', new RegExp(`${transfer.id}$`), () => dwollaResponse(200, {
+      _links: { self: { href: transfer.url }, failure: { href: `${transfer.url}/failure` } },
+      status: 'failed'
+    }));
+    stub.on('get', /\/failure$/, () => dwollaResponse(200, {
+      code: 'R01',
+      description: 'Insufficient Funds',
+      _links: { 'failed-funding-source': { href: bank.url } }
+    }));
+
+    await deliver(webhookEvent('transfer_failed', { resource: { href: transfer.url } }), WEBHOOK_SECRET).expect(200);
+
+    const history = await api().get('/api/webhooks').expect(200);
+    assert.equal(history.body.webhooks[0].failure.code, 'R01');
+
+    const failed = await storage.transfers.findById(transfer.id);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.failure.code, 'R01');
+    assert.equal(failed.failure.failedFundingSourceUrl, bank.url);
+  });
+});
+
+describe('signed webhooks', () => {
+  const subscriptionUrl = 'https://api-mock.dwolla.local/webhook-subscriptions/20000000-0000-4000-8000-000000000001';
+  let secret;
+
+  before(async () => {
+    await connect();
+    stub.on('post', /^webhook-subscriptions$/, () => dwollaResponse(201, {}, subscriptionUrl));
+    stub.on('get', /webhook-subscriptions\/20000000-0000-4000-8000-000000000001$/, () => dwollaResponse(200, {
+      _links: { self: { href: subscriptionUrl } },
+      url: 'https://example.com/api/webhooks',
+      paused: false,
+      created: '2024-01-01T00:00:00.000Z'
+    }));
+
+    const response = await api()
+      .post('/api/webhook-subscriptions')
+      .send({ url: 'https://example.com/api/webhooks' })
+      .expect(201);
+    secret = response.body.subscription.secret;
+    assert.equal(response.body.subscription.hasLocalSecret, true);
+  });
+
+  it('accepts events signed with a subscription secret', async () => {
+    const response = await deliver(webhookEvent('customer_created', {}), secret).expect(200);
+    assert.equal(response.body.signatureVerified, true);
+  });
+
+  it('rejects unsigned and wrongly signed events', async () => {
+    const unsigned = await deliver(webhookEvent('customer_created', {})).expect(401);
+    assert.equal(unsigned.body.error.message, 'Invalid webhook signature');
+
+    await deliver(webhookEvent('customer_created', {}), 'some-other-secret').expect(401);
+  });
+});
+
+describe('webhook subscriptions', () => {
+  const subscriptionUrl = 'https://api-mock.dwolla.local/webhook-subscriptions/20000000-0000-4000-8000-000000000002';
+  const subscription = {
+    _links: { self: { href: subscriptionUrl } },
+    url: 'https://example.com/api/webhooks',
+    paused: false,
+    created: '2024-01-01T00:00:00.000Z'
+  };
+
+  before(connect);
+  afterEach(() => stub.reset());
+
+  it('requires a URL', async () => {
+    const response = await api().post('/api/webhook-subscriptions').send({}).expect(400);
+    assert.equal(response.body.error.message, 'Webhook URL is required');
+  });
+
+  it('reports Dwolla validation errors on create', async () => {
+    stub.on('post', /^webhook-subscriptions$/, () => {
+      throw dwollaError(400, {
+        code: 'ValidationError',
+        message: 'Validation error(s) present.',
+        _embedded: { errors: [{ code: 'Invalid', path: '/url', message: 'Invalid url.' }] }
+      });
+    });
+
+    const response = await api().post('/api/webhook-subscriptions').send({ url: 'nope' }).expect(400);
+    assert.equal(response.body.error.message, 'Invalid url.');
+  });
+
+  it('keeps Dwolla\'s status when create fails', async () => {
+    stub.on('post', /^webhook-subscriptions$/, () => {
+      throw dwollaError(403, { code: 'MaxNumberOfResources', message: 'The maximum number of subscriptions has been reached.' });
+    });
+
+    const response = await api().post('/api/webhook-subscriptions').send({ url: 'https://example.com/api/webhooks' }).expect(403);
+    assert.equal(response.body.error.code, 'MaxNumberOfResources');
+  });
+
+  it('validates the secret before calling Dwolla', async () => {
+    const callsBefore = stub.calls.length;
+    for (const secret of ['x'.repeat(129), 12345, '']) {
+      const response = await api()
+        .post('/api/webhook-subscriptions')
+        .send({ url: 'https://example.com/api/webhooks', secret })
+        .expect(400);
+      assert.equal(response.body.error.fields[0].path, '/secret');
+    }
+    assert.equal(stub.calls.length, callsBefore);
+  });
+
+  it('lists, gets, pauses and deletes subscriptions', async () => {
+    stub.on('get', /^webhook-subscriptions$/, () => dwollaResponse(200, {
+      _embedded: { 'webhook-subscriptions': [subscription] }
+    }));
+    stub.on('get', /^webhook-subscriptions\/20000000-0000-4000-8000-000000000002$/, () => dwollaResponse(200, subscription));
+    stub.on('post', /^webhook-subscriptions\/20000000-0000-4000-8000-000000000002$/, ({ body }) => dwollaResponse(200, { ...subscription, ...body }));
+    stub.on('delete', /^webhook-subscriptions\/20000000-0000-4000-8000-000000000002$/, () => dwollaResponse(200, {}));
+
+    const list = await api().get('/api/webhook-subscriptions').expect(200);
+    assert.deepEqual(list.body.subscriptions.map(s => [s.id, s.hasLocalSecret]), [['20000000-0000-4000-8000-000000000002', false]]);
+
+    const fetched = await api().get('/api/webhook-subscriptions/20000000-0000-4000-8000-000000000002').expect(200);
+    assert.equal(fetched.body.subscription.webhookUrl, 'https://example.com/api/webhooks');
+
+    const paused = await api().post('/api/webhook-subscriptions/20000000-0000-4000-8000-000000000002/pause').expect(200);
+    assert.equal(paused.body.subscription.paused, true);
+
+    const unpaused = await api().post('/api/webhook-subscriptions/20000000-0000-4000-8000-000000000002/unpause').expect(200);
+    assert.equal(unpaused.body.subscription.paused, false);
+
+    await api().delete('/api/webhook-subscriptions/20000000-0000-4000-8000-000000000002').expect(200);
+  });
+
+  it('maps a missing subscription to 404', async () => {
+    stub.on('get', /^webhook-subscriptions\/20000000-0000-4000-8000-000000000009$/, () => {
+      throw dwollaError(404, { code: 'NotFound', message: 'The requested resource was not found.' });
+    });
+
+    const response = await api().get('/api/webhook-subscriptions/20000000-0000-4000-8000-000000000009').expect(404);
+    assert.equal(response.body.error.message, 'Webhook subscription not found');
+  });
+
+  it('rejects subscription and webhook IDs that are not UUIDs', async () => {
+    const subscription = await api().delete('/api/webhook-subscriptions/..%2Fcustomers').expect(400);
+    assert.equal(subscription.body.error.message, 'Invalid webhook subscription ID');
+
+    const webhook = await api()
+      .post('/api/webhook-subscriptions/20000000-0000-4000-8000-000000000002/webhooks/not-an-id/retries')
+      .expect(400);
+    assert.equal(webhook.body.error.message, 'Invalid webhook ID');
+  });
+
+  it('lists deliveries and retries webhooks', async () => {
+    stub.on('get', /^webhook-subscriptions\/20000000-0000-4000-8000-000000000002\/webhooks$/, () => dwollaResponse(200, {
+      total: 1,
+      _embedded: {
+        webhooks: [{
+          id: '30000000-0000-4000-8000-000000000001',
+          topic: 'customer_created',
+          eventId: 'event-1',
+          attempts: [{ id: 'attempt-1', request: { timestamp: '2024-01-01T00:00:00.000Z' }, response: { statusCode: 200 } }]
+        }]
+      }
+    }));
+    stub.on('get', /^webhooks\/30000000-0000-4000-8000-000000000001\/retries$/, () => dwollaResponse(200, {
+      _embedded: { retries: [{ id: 'retry-1', timestamp: '2024-01-02T00:00:00.000Z' }] }
+    }));
+    stub.on('post', /^webhooks\/30000000-0000-4000-8000-000000000001\/retries$/, () =>
+      dwollaResponse(201, {}, 'https://api-mock.dwolla.local/retries/retry-2'));
+
+    const deliveries = await api().get('/api/webhook-subscriptions/20000000-0000-4000-8000-000000000002/webhooks').expect(200);
+    assert.equal(deliveries.body.total, 1);
+    assert.equal(deliveries.body.deliveries[0].attempts[0].responseStatusCode, 200);
+
+    const retries = await api().get('/api/webhook-subscriptions/20000000-0000-4000-8000-000000000002/webhooks/30000000-0000-4000-8000-000000000001/retries').expect(200);
+    assert.deepEqual(retries.body.retries.map(r => r.id), ['retry-1']);
+
+    const retry = await api().post('/api/webhook-subscriptions/20000000-0000-4000-8000-000000000002/webhooks/30000000-0000-4000-8000-000000000001/retries').expect(201);
+    assert.equal(retry.body.retryUrl, 'https://api-mock.dwolla.local/retries/retry-2');
+  });
+});
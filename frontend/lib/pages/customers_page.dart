@@ -410,6 +410,9 @@ class _CreateCustomerDialogState extends State<_CreateCustomerDialog> {
   String _customerType = 'personal';
   bool _isCreating = false;
 
+  // Messages from the backend for individual fields (e.g. a duplicate email)
+  Map<String, String> _fieldErrors = {};
+
   @override
   void dispose() {
     _firstNameController.dispose();
@@ -439,7 +442,10 @@ class _CreateCustomerDialogState extends State<_CreateCustomerDialog> {
           : null,
     );
 
-    setState(() => _isCreating = false);
+    setState(() {
+      _isCreating = false;
+      _fieldErrors = provider.fieldErrors;
+    });
 
     if (result != null && mounted) {
       Navigator.of(context).pop();
@@ -489,15 +495,24 @@ class _CreateCustomerDialogState extends State<_CreateCustomerDialog> {
                       if (selected) setState(() => _customerType = 'business');
                     },
                   ),
+                  const SizedBox(width: 8),
+                  ChoiceChip(
+                    label: const Text('Receive-only'),
+                    selected: _customerType == 'receive-only',
+                    onSelected: (selected) {
+                      if (selected) setState(() => _customerType = 'receive-only');
+                    },
+                  ),
                 ],
               ),
               const SizedBox(height: 16),
 
               TextFormField(
                 controller: _firstNameController,
-                decoration: const InputDecoration(
+                decoration: InputDecoration(
                   labelText: 'First Name *',
-                  border: OutlineInputBorder(),
+                  border: const OutlineInputBorder(),
+                  errorText: _fieldErrors['firstName'],
                 ),
                 validator: (v) =>
                     v?.trim().isEmpty == true ? 'Required' : null,
@@ -506,9 +521,10 @@ class _CreateCustomerDialogState extends State<_CreateCustomerDialog> {
 
               TextFormField(
                 controller: _lastNameController,
-                decoration: const InputDecoration(
+                decoration: InputDecoration(
                   labelText: 'Last Name *',
-                  border: OutlineInputBorder(),
+                  border: const OutlineInputBorder(),
+                  errorText: _fieldErrors['lastName'],
                 ),
                 validator: (v) =>
                     v?.trim().isEmpty == true ? 'Required' : null,
@@ -517,9 +533,10 @@ class _CreateCustomerDialogState extends State<_CreateCustomerDialog> {
 
               TextFormField(
                 controller: _emailController,
-                decoration: const InputDecoration(
+                decoration: InputDecoration(
                   labelText: 'Email *',
-                  border: OutlineInputBorder(),
+                  border: const OutlineInputBorder(),
+                  errorText: _fieldErrors['email'],
                 ),
                 keyboardType: TextInputType.emailAddress,
                 validator: (v) {
@@ -532,9 +549,10 @@ class _CreateCustomerDialogState extends State<_CreateCustomerDialog> {
 
               TextFormField(
                 controller: _phoneController,
-                decoration: const InputDecoration(
+                decoration: InputDecoration(
                   labelText: 'Phone (optional)',
-                  border: OutlineInputBorder(),
+                  border: const OutlineInputBorder(),
+                  errorText: _fieldErrors['phone'],
                 ),
                 keyboardType: TextInputType.phone,
               ),
@@ -543,9 +561,10 @@ class _CreateCustomerDialogState extends State<_CreateCustomerDialog> {
                 const SizedBox(height: 12),
                 TextFormField(
                   controller: _businessNameController,
-                  decoration: const InputDecoration(
+                  decoration: InputDecoration(
                     labelText: 'Business Name',
-                    border: OutlineInputBorder(),
+                    border: const OutlineInputBorder(),
+                    errorText: _fieldErrors['businessName'],
                   ),
                 ),
               ],
@@ -776,6 +795,9 @@ class _AddFundingSourceDialogState extends State<_AddFundingSourceDialog> {
   String _accountType = 'checking';
   bool _isAdding = false;
 
+  // Messages from the backend for individual fields (e.g. an invalid routing number)
+  Map<String, String> _fieldErrors = {};
+
   @override
   void dispose() {
     _nameController.dispose();
@@ -798,7 +820,10 @@ class _AddFundingSourceDialogState extends State<_AddFundingSourceDialog> {
       accountType: _accountType,
     );
 
-    setState(() => _isAdding = false);
+    setState(() {
+      _isAdding = false;
+      _fieldErrors = provider.fieldErrors;
+    });
 
     if (success && mounted) {
       Navigator.of(context).pop();
@@ -846,10 +871,11 @@ class _AddFundingSourceDialogState extends State<_AddFundingSourceDialog> {
 
               TextFormField(
                 controller: _nameController,
-                decoration: const InputDecoration(
+                decoration: InputDecoration(
                   labelText: 'Account Nickname *',
                   hintText: 'e.g., My Checking Account',
-                  border: OutlineInputBorder(),
+                  border: const OutlineInputBorder(),
+                  errorText: _fieldErrors['name'],
                 ),
                 validator: (v) =>
                     v?.trim().isEmpty == true ? 'Required' : null,
@@ -858,18 +884,20 @@ class _AddFundingSourceDialogState extends State<_AddFundingSourceDialog> {
 
               TextFormField(
                 controller: _routingController,
-                decoration: const InputDecoration(
+                decoration: InputDecoration(
                   labelText: 'Routing Number',
-                  border: OutlineInputBorder(),
+                  border: const OutlineInputBorder(),
+                  errorText: _fieldErrors['routingNumber'],
                 ),
               ),
               const SizedBox(height: 12),
 
               TextFormField(
                 controller: _accountController,
-                decoration: const InputDecoration(
+                decoration: InputDecoration(
                   labelText: 'Account Number',
-                  border: OutlineInputBorder(),
+                  border: const OutlineInputBorder(),
+                  errorText: _fieldErrors['accountNumber'],
                 ),
               ),
               const SizedBox(height: 12),
@@ -37,6 +37,32 @@ class _TransfersPageState extends State<TransfersPage> {
     }
   }
 
+  /// Process pending sandbox transfers and report what changed
+  Future<void> _runSimulation() async {
+    final provider = context.read<DwollaProvider>();
+    final messenger = ScaffoldMessenger.of(context);
+
+    final changed = await provider.runSandboxSimulations();
+
+    String message;
+    if (changed == null) {
+      message = provider.error ?? 'Failed to run sandbox simulation';
+    } else if (changed.isEmpty) {
+      message = 'Simulation ran - no transfers changed state';
+    } else {
+      message = changed
+          .map((t) => '${t['id'].toString().split('-').first}: ${t['previousStatus']} → ${t['status']}')
+          .join('\n');
+    }
+
+    messenger.showSnackBar(
+      SnackBar(
+        content: Text(message),
+        backgroundColor: changed == null ? Colors.red : Colors.green,
+      ),
+    );
+  }
+
   @override
   void dispose() {
     _refreshTimer?.cancel();
@@ -70,6 +96,11 @@ class _TransfersPageState extends State<TransfersPage> {
               ],
             ),
           ),
+          IconButton(
+            icon: const Icon(Icons.play_arrow),
+            onPressed: _runSimulation,
+            tooltip: 'Run sandbox simulation',
+          ),
           IconButton(
             icon: const Icon(Icons.refresh),
             onPressed: _fetchTransfers,
@@ -204,6 +235,9 @@ class _TransferCard extends StatelessWidget {
     final created = transfer['created'];
     final sourceDetails = transfer['sourceDetails'];
     final destinationDetails = transfer['destinationDetails'];
+    final correlationId = transfer['correlationId'];
+    final failure = transfer['failure'] as Map<String, dynamic>?;
+    final fees = List<Map<String, dynamic>>.from(transfer['fees'] ?? []);
 
     Color statusColor;
     IconData statusIcon;
@@ -309,6 +343,67 @@ class _TransferCard extends StatelessWidget {
               ],
             ),
 
+            // Facilitator fees charged with this transfer
+            for (final fee in fees)
+              Padding(
+                padding: const EdgeInsets.only(top: 4, left: 28),
+                child: Text(
+                  'Fee: \$${fee['amount']?['value'] ?? '?'} (${fee['status'] ?? 'unknown'})',
+                  style: TextStyle(fontSize: 12, color: Colors.grey[600]),
+                ),
+              ),
+
+            // ACH return code and what it means for a failed transfer
+            if (failure != null) ...[
+              const SizedBox(height: 8),
+              Container(
+                padding: const EdgeInsets.all(8),
+                decoration: BoxDecoration(
+                  color: Colors.red[50],
+                  borderRadius: BorderRadius.circular(8),
+                ),
+                child: Column(
+                  crossAxisAlignment: CrossAxisAlignment.start,
+                  children: [
+                    Text(
+                      '${failure['code']}: ${failure['description'] ?? 'Transfer failed'}',
+                      style: TextStyle(
+                        fontWeight: FontWeight.bold,
+                        color: Colors.red[800],
+                      ),
+                    ),
+                    const SizedBox(height: 4),
+                    Text(failure['explanation'] ?? ''),
+                    const SizedBox(height: 4),
+                    Text(
+                      'Bank account: ${failure['fundingSourceEffect'] ?? 'Unknown'}',
+                      style: TextStyle(fontSize: 12, color: Colors.grey[700]),
+                    ),
+                  ],
+                ),
+              ),
+            ],
+
+            if (correlationId != null) ...[
+              const SizedBox(height: 8),
+              Row(
+                children: [
+                  const Icon(Icons.tag, size: 20, color: Colors.grey),
+                  const SizedBox(width: 8),
+                  Text(
+                    'Correlation ID: ',
+                    style: TextStyle(color: Colors.grey[600]),
+                  ),
+                  Expanded(
+                    child: Text(
+                      correlationId,
+                      style: TextStyle(color: Colors.grey[800]),
+                    ),
+                  ),
+                ],
+              ),
+            ],
+
             const SizedBox(height: 12),
 
             // Source funding source
@@ -368,12 +463,42 @@ class _TransferCard extends StatelessWidget {
                 ),
               ],
             ),
+
+            // Pending transfers can still be cancelled
+            if (status.toLowerCase() == 'pending') ...[
+              const SizedBox(height: 8),
+              Align(
+                alignment: Alignment.centerRight,
+                child: TextButton.icon(
+                  onPressed: () => _cancelTransfer(context),
+                  icon: const Icon(Icons.cancel_outlined, size: 18),
+                  label: const Text('Cancel Transfer'),
+                  style: TextButton.styleFrom(foregroundColor: Colors.red),
+                ),
+              ),
+            ],
           ],
         ),
       ),
     );
   }
 
+  Future<void> _cancelTransfer(BuildContext context) async {
+    final provider = context.read<DwollaProvider>();
+    final messenger = ScaffoldMessenger.of(context);
+
+    final success = await provider.cancelTransfer(transfer['id']);
+
+    messenger.showSnackBar(
+      SnackBar(
+        content: Text(success
+            ? 'Transfer cancelled'
+            : provider.error ?? 'Failed to cancel transfer'),
+        backgroundColor: success ? Colors.green : Colors.red,
+      ),
+    );
+  }
+
   String _getFundingSourceDisplay(Map<String, dynamic>? details) {
     if (details == null) return 'Unknown';
     final name = details['name'] ?? 'Unknown';
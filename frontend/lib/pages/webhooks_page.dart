@@ -233,6 +233,7 @@ class _WebhookCard extends StatelessWidget {
     final topic = webhook['topic'] ?? 'unknown';
     final timestamp = webhook['timestamp'] ?? webhook['created'];
     final resourceId = webhook['resourceId'];
+    final signatureVerified = webhook['signatureVerified'] == true;
 
     // Determine color based on topic
     Color topicColor;
@@ -312,6 +313,12 @@ class _WebhookCard extends StatelessWidget {
                 value: _truncateId(resourceId),
               ),
 
+            _DetailRow(
+              icon: signatureVerified ? Icons.verified_user : Icons.gpp_maybe,
+              label: 'Signature',
+              value: signatureVerified ? 'Verified' : 'Unverified',
+            ),
+
             // Topic explanation
             const SizedBox(height: 8),
             Container(
@@ -21,6 +21,10 @@ class DwollaProvider extends ChangeNotifier {
   bool _isLoading = false;
   String? _error;
 
+  // Messages for individual form fields from the last failed request,
+  // keyed by field name (e.g. 'email')
+  Map<String, String> _fieldErrors = {};
+
   // Customer data
   List<Map<String, dynamic>> _customers = [];
 
@@ -45,6 +49,7 @@ class DwollaProvider extends ChangeNotifier {
   bool get isConfigured => _isConfigured;
   bool get isLoading => _isLoading;
   String? get error => _error;
+  Map<String, String> get fieldErrors => _fieldErrors;
 
   List<Map<String, dynamic>> get customers => _customers;
   List<Map<String, dynamic>> get eligibleCustomers => _eligibleCustomers;
@@ -163,7 +168,7 @@ class DwollaProvider extends ChangeNotifier {
       await fetchCustomers();
       return result;
     } catch (e) {
-      _setError(e.toString());
+      _setFormError(e);
       return null;
     } finally {
       _setLoading(false);
@@ -236,7 +241,7 @@ class DwollaProvider extends ChangeNotifier {
       );
       return true;
     } catch (e) {
-      _setError(e.toString());
+      _setFormError(e);
       return false;
     } finally {
       _setLoading(false);
@@ -299,6 +304,35 @@ class DwollaProvider extends ChangeNotifier {
     }
   }
 
+  /// Cancel a pending transfer
+  Future<bool> cancelTransfer(String transferId) async {
+    _clearError();
+
+    try {
+      await _api.cancelTransfer(transferId);
+      await fetchTransfers();
+      return true;
+    } catch (e) {
+      _setError(e.toString());
+      return false;
+    }
+  }
+
+  /// Process pending sandbox transfers
+  /// Returns the transfers that changed state, or null on failure
+  Future<List<Map<String, dynamic>>?> runSandboxSimulations() async {
+    _clearError();
+
+    try {
+      final result = await _api.runSandboxSimulations();
+      await fetchTransfers();
+      return List<Map<String, dynamic>>.from(result['changed']);
+    } catch (e) {
+      _setError(e.toString());
+      return null;
+    }
+  }
+
   // --------------------------------------------------------------------------
   // Webhook Methods
   // --------------------------------------------------------------------------
@@ -414,8 +448,15 @@ class DwollaProvider extends ChangeNotifier {
     notifyListeners();
   }
 
+  /// Set the error from a failed form submission, keeping per-field messages
+  void _setFormError(Object error) {
+    _fieldErrors = error is ApiException ? error.fieldMessages : {};
+    _setError(error.toString());
+  }
+
   void _clearError() {
     _error = null;
+    _fieldErrors = {};
     notifyListeners();
   }
 
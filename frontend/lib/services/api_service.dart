@@ -8,6 +8,52 @@ import 'dart:convert';
 import 'package:http/http.dart' as http;
 import 'package:shared_preferences/shared_preferences.dart';
 
+/// An error returned by the backend
+///
+/// The backend reports every error as
+/// `{"error": {"code", "message", "fields": [{"path", "code", "message"}]}}`.
+/// [code] and [fields] are Dwolla's when Dwolla rejected the request, so a
+/// form can show each message next to the field it belongs to.
+class ApiException implements Exception {
+  final int statusCode;
+  final String code;
+  final String message;
+  final List<Map<String, dynamic>> fields;
+
+  ApiException(this.statusCode, this.code, this.message, this.fields);
+
+  /// Build from a decoded error response, using [fallback] if it has no message
+  factory ApiException.fromResponse(
+      int statusCode, dynamic body, String fallback) {
+    final error = body is Map ? body['error'] : null;
+    if (error is! Map) {
+      return ApiException(statusCode, 'Error', fallback, const []);
+    }
+    return ApiException(
+      statusCode,
+      error['code'] ?? 'Error',
+      error['message'] ?? fallback,
+      List<Map<String, dynamic>>.from(error['fields'] ?? const []),
+    );
+  }
+
+  /// Field messages keyed by request field name
+  /// Dwolla paths like "/email" become "email".
+  Map<String, String> get fieldMessages {
+    final messages = <String, String>{};
+    for (final field in fields) {
+      final path = field['path'];
+      if (path is String && path.isNotEmpty) {
+        messages[path.replaceFirst('/', '')] = field['message'] ?? code;
+      }
+    }
+    return messages;
+  }
+
+  @override
+  String toString() => message;
+}
+
 class ApiService {
   // Backend server URL - change this if running on different host/port
   static const String baseUrl = 'http://localhost:3000/api';
@@ -63,7 +109,7 @@ class ApiService {
       return jsonDecode(response.body);
     } else {
       final error = jsonDecode(response.body);
-      throw Exception(error['error'] ?? 'Failed to configure credentials');
+      throw ApiException.fromResponse(response.statusCode, error, 'Failed to configure credentials');
     }
   }
 
@@ -104,7 +150,7 @@ class ApiService {
     if (response.statusCode == 201) {
       return data;
     } else {
-      throw Exception(data['error'] ?? 'Failed to create customer');
+      throw ApiException.fromResponse(response.statusCode, data, 'Failed to create customer');
     }
   }
 
@@ -131,7 +177,7 @@ class ApiService {
       return jsonDecode(response.body);
     } else {
       final data = jsonDecode(response.body);
-      throw Exception(data['error'] ?? 'Failed to fetch customer');
+      throw ApiException.fromResponse(response.statusCode, data, 'Failed to fetch customer');
     }
   }
 
@@ -162,7 +208,7 @@ class ApiService {
     if (response.statusCode == 200) {
       return data;
     } else {
-      throw Exception(data['error'] ?? 'Failed to verify customer');
+      throw ApiException.fromResponse(response.statusCode, data, 'Failed to verify customer');
     }
   }
 
@@ -210,7 +256,7 @@ class ApiService {
     if (response.statusCode == 201) {
       return data;
     } else {
-      throw Exception(data['error'] ?? 'Failed to add funding source');
+      throw ApiException.fromResponse(response.statusCode, data, 'Failed to add funding source');
     }
   }
 
@@ -312,7 +358,7 @@ class ApiService {
     if (response.statusCode == 201) {
       return data;
     } else {
-      throw Exception(data['error'] ?? 'Failed to create transfer');
+      throw ApiException.fromResponse(response.statusCode, data, 'Failed to create transfer');
     }
   }
 
@@ -339,6 +385,35 @@ class ApiService {
     }
   }
 
+  /// Cancel a pending transfer
+  Future<Map<String, dynamic>> cancelTransfer(String transferId) async {
+    final response = await http.post(
+      Uri.parse('$baseUrl/transfers/$transferId/cancel'),
+    );
+
+    final data = jsonDecode(response.body);
+    if (response.statusCode == 200) {
+      return data;
+    } else {
+      throw ApiException.fromResponse(response.statusCode, data, 'Failed to cancel transfer');
+    }
+  }
+
+  /// Process pending sandbox transfers
+  /// Returns the transfers that changed state under 'changed'
+  Future<Map<String, dynamic>> runSandboxSimulations() async {
+    final response = await http.post(
+      Uri.parse('$baseUrl/sandbox/simulations'),
+    );
+
+    final data = jsonDecode(response.body);
+    if (response.statusCode == 200) {
+      return data;
+    } else {
+      throw ApiException.fromResponse(response.statusCode, data, 'Failed to run sandbox simulations');
+    }
+  }
+
   // --------------------------------------------------------------------------
   // Webhook Endpoints
   // --------------------------------------------------------------------------